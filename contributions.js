@@ -0,0 +1,216 @@
+// Mandatory contributions and withholding tax for the earnings calculator.
+//
+// Each table is keyed by the year it took effect; getTableForYear() picks
+// the latest table whose effective year is not after the pay period's year.
+// All amounts are employee shares.  Contributions are computed monthly and
+// split evenly between the two semi‑monthly pay periods.
+
+// BIR semi‑monthly withholding tax table (Revenue Regulations No. 11‑2018).
+// For compensation above `over`, the tax is `base` plus `rate` of the
+// excess.  The 2023 table applies the lower TRAIN rates from 1 January 2023.
+const withholdingTaxTables = {
+  2018: [
+    { over: 0, base: 0, rate: 0 },
+    { over: 10417, base: 0, rate: 0.2 },
+    { over: 16667, base: 1250, rate: 0.25 },
+    { over: 33333, base: 5416.67, rate: 0.3 },
+    { over: 83333, base: 20416.67, rate: 0.32 },
+    { over: 333333, base: 100416.67, rate: 0.35 }
+  ],
+  2023: [
+    { over: 0, base: 0, rate: 0 },
+    { over: 10417, base: 0, rate: 0.15 },
+    { over: 16667, base: 937.5, rate: 0.2 },
+    { over: 33333, base: 4270.7, rate: 0.25 },
+    { over: 83333, base: 16770.7, rate: 0.3 },
+    { over: 333333, base: 91770.7, rate: 0.35 }
+  ]
+};
+
+// BIR annual income tax table for compensation income (TRAIN law), used
+// for the year‑end annualization.  Same shape as the semi‑monthly table.
+const annualIncomeTaxTables = {
+  2018: [
+    { over: 0, base: 0, rate: 0 },
+    { over: 250000, base: 0, rate: 0.2 },
+    { over: 400000, base: 30000, rate: 0.25 },
+    { over: 800000, base: 130000, rate: 0.3 },
+    { over: 2000000, base: 490000, rate: 0.32 },
+    { over: 8000000, base: 2410000, rate: 0.35 }
+  ],
+  2023: [
+    { over: 0, base: 0, rate: 0 },
+    { over: 250000, base: 0, rate: 0.15 },
+    { over: 400000, base: 22500, rate: 0.2 },
+    { over: 800000, base: 102500, rate: 0.25 },
+    { over: 2000000, base: 402500, rate: 0.3 },
+    { over: 8000000, base: 2202500, rate: 0.35 }
+  ]
+};
+
+// SSS contribution schedule.  Compensation is mapped to a monthly salary
+// credit (MSC) in steps of ₱500 between the minimum and maximum credit.
+// The part of the MSC up to `regularCap` goes to the regular Social
+// Security program; the rest is the Mandatory Provident Fund (MPF/WISP).
+const sssContributionTables = {
+  2023: { employeeRate: 0.045, minCredit: 4000, maxCredit: 30000, regularCap: 20000, step: 500 },
+  2025: { employeeRate: 0.05, minCredit: 5000, maxCredit: 35000, regularCap: 20000, step: 500 }
+};
+
+// PhilHealth premium.  The premium rate applies to the monthly basic salary
+// clamped between the floor and the ceiling and is shared equally by the
+// employee and the employer.
+const philHealthPremiumTables = {
+  2022: { rate: 0.04, floor: 10000, ceiling: 80000 },
+  2024: { rate: 0.05, floor: 10000, ceiling: 100000 }
+};
+
+// Pag‑IBIG (HDMF) employee contribution: 1% of compensation up to ₱1,500
+// and 2% above, computed on at most `maxCompensation`.
+const pagIbigContributionTables = {
+  2019: { lowRate: 0.01, lowLimit: 1500, rate: 0.02, maxCompensation: 5000 },
+  2024: { lowRate: 0.01, lowLimit: 1500, rate: 0.02, maxCompensation: 10000 }
+};
+
+// 13th‑month pay and other benefits are exempt from income tax up to this
+// amount per year (TRAIN law).
+const otherBenefitsExemptionCeiling = 90000;
+
+/**
+ * Returns the entry of a year‑keyed table that is in effect for the given
+ * year.  Years before the earliest entry use the earliest entry.
+ *
+ * @param {Object<string, *>} tables - Tables keyed by effective year.
+ * @param {number} year - Calendar year of the pay period.
+ */
+function getTableForYear(tables, year) {
+  const years = Object.keys(tables).map(Number).sort((a, b) => a - b);
+  let effective = years[0];
+  years.forEach(y => {
+    if (y <= year) effective = y;
+  });
+  return tables[effective];
+}
+
+/**
+ * Maps monthly compensation to its SSS monthly salary credit.  Each credit
+ * covers compensation from ₱250 below to ₱249.99 above it.
+ */
+function getSssMonthlySalaryCredit(monthlyCompensation, table) {
+  const credit = Math.round(monthlyCompensation / table.step) * table.step;
+  return Math.min(Math.max(credit, table.minCredit), table.maxCredit);
+}
+
+/**
+ * Employee share of the monthly SSS contribution, split into the regular
+ * Social Security part and the MPF part.
+ *
+ * @param {number} monthlyCompensation - Monthly compensation (PHP).
+ * @param {number} year - Calendar year of the pay period.
+ * @returns {{credit: number, regular: number, mpf: number, total: number}}
+ */
+function calculateSssContribution(monthlyCompensation, year) {
+  const table = getTableForYear(sssContributionTables, year);
+  const credit = getSssMonthlySalaryCredit(monthlyCompensation, table);
+  const regular = Math.min(credit, table.regularCap) * table.employeeRate;
+  const mpf = Math.max(credit - table.regularCap, 0) * table.employeeRate;
+  return { credit, regular, mpf, total: regular + mpf };
+}
+
+/**
+ * Employee share of the monthly PhilHealth premium.
+ *
+ * @param {number} monthlyBasicSalary - Monthly basic salary (PHP).
+ * @param {number} year - Calendar year of the pay period.
+ */
+function calculatePhilHealthContribution(monthlyBasicSalary, year) {
+  const table = getTableForYear(philHealthPremiumTables, year);
+  const base = Math.min(Math.max(monthlyBasicSalary, table.floor), table.ceiling);
+  return (base * table.rate) / 2;
+}
+
+/**
+ * Employee share of the monthly Pag‑IBIG contribution.
+ *
+ * @param {number} monthlyCompensation - Monthly compensation (PHP).
+ * @param {number} year - Calendar year of the pay period.
+ */
+function calculatePagIbigContribution(monthlyCompensation, year) {
+  const table = getTableForYear(pagIbigContributionTables, year);
+  const rate = monthlyCompensation <= table.lowLimit ? table.lowRate : table.rate;
+  return Math.min(monthlyCompensation, table.maxCompensation) * rate;
+}
+
+/**
+ * Withholding tax on taxable compensation for one semi‑monthly period.
+ *
+ * @param {number} taxableCompensation - Taxable compensation for the period.
+ * @param {number} year - Calendar year of the pay period.
+ */
+function calculateSemiMonthlyWithholdingTax(taxableCompensation, year) {
+  const table = getTableForYear(withholdingTaxTables, year);
+  let bracket = table[0];
+  table.forEach(row => {
+    if (taxableCompensation > row.over) bracket = row;
+  });
+  return bracket.base + (taxableCompensation - bracket.over) * bracket.rate;
+}
+
+/**
+ * Income tax due on a year's taxable compensation.
+ *
+ * @param {number} taxableCompensation - Taxable compensation for the year.
+ * @param {number} year - Calendar year.
+ */
+function calculateAnnualIncomeTax(taxableCompensation, year) {
+  const table = getTableForYear(annualIncomeTaxTables, year);
+  let bracket = table[0];
+  table.forEach(row => {
+    if (taxableCompensation > row.over) bracket = row;
+  });
+  return bracket.base + (taxableCompensation - bracket.over) * bracket.rate;
+}
+
+/**
+ * Itemized employee deductions for one semi‑monthly pay period.
+ * Contributions are half of the monthly employee share computed on the
+ * monthly salary.  Taxable compensation is the period's gross pay minus
+ * the de minimis allowance, the exempt part of 13th‑month pay and other
+ * benefits, and the employee's mandatory contributions.
+ *
+ * @param {Object} params
+ * @param {number} params.year - Calendar year of the pay period.
+ * @param {number} params.monthlySalary - Monthly basic salary (PHP).
+ * @param {number} params.grossPay - Gross pay for the period, including allowances and benefits.
+ * @param {number} [params.deMinimis=0] - De minimis allowance included in grossPay.
+ * @param {number} [params.otherBenefits=0] - 13th‑month pay and other benefits included in grossPay.
+ * @param {number} [params.otherBenefitsYearToDate=0] - Benefits already paid earlier in the year.
+ * @returns {{withholdingTax: number, sss: number, sssMpf: number, philHealth: number,
+ *   pagIbig: number, contributions: number, taxableIncome: number, total: number}}
+ */
+function calculatePeriodDeductions(params) {
+  const { year, monthlySalary, grossPay } = params;
+  const deMinimis = params.deMinimis || 0;
+  const otherBenefits = params.otherBenefits || 0;
+  const otherBenefitsYearToDate = params.otherBenefitsYearToDate || 0;
+  const sssMonthly = calculateSssContribution(monthlySalary, year);
+  const sss = sssMonthly.regular / 2;
+  const sssMpf = sssMonthly.mpf / 2;
+  const philHealth = calculatePhilHealthContribution(monthlySalary, year) / 2;
+  const pagIbig = calculatePagIbigContribution(monthlySalary, year) / 2;
+  const contributions = sss + sssMpf + philHealth + pagIbig;
+  const remainingExemption = Math.max(otherBenefitsExemptionCeiling - otherBenefitsYearToDate, 0);
+  const exemptBenefits = Math.min(otherBenefits, remainingExemption);
+  const taxableIncome = Math.max(grossPay - deMinimis - exemptBenefits - contributions, 0);
+  const withholdingTax = calculateSemiMonthlyWithholdingTax(taxableIncome, year);
+  return {
+    withholdingTax,
+    sss,
+    sssMpf,
+    philHealth,
+    pagIbig,
+    contributions,
+    taxableIncome,
+    total: withholdingTax + contributions
+  };
+}
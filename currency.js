@@ -0,0 +1,134 @@
+// Currency conversion and formatting for the earnings calculator.
+//
+// Pay is computed in a base currency, the one the salary is stated in,
+// and can also be shown in a second display currency.  Exchange rates are
+// entered by the user as the value of one unit of a currency in the base
+// currency, e.g. { USD: 56.25 } with a peso base.  Amounts are formatted
+// with Intl.NumberFormat for a locale, the browser's unless one is set,
+// so they carry the currency's symbol, thousands separators and decimals.
+//
+// Nothing here reads the DOM or localStorage: script.js passes in the
+// settings.  The functions can be checked from Node with `npm test` (see
+// test/currency.test.js).
+
+export const defaultCurrency = 'PHP';
+// Currency of the contribution and withholding tax tables
+export const statutoryCurrency = 'PHP';
+// Suggested in the currency panel; any ISO 4217 code is accepted
+export const suggestedCurrencies = ['PHP', 'USD', 'EUR', 'GBP', 'JPY', 'SGD', 'HKD', 'AUD', 'CAD', 'AED', 'SAR'];
+
+/**
+ * Whether a value is an ISO 4217 currency code that can be formatted.
+ */
+export function isCurrencyCode(code) {
+  if (typeof code !== 'string' || !/^[A-Z]{3}$/.test(code)) return false;
+  if (typeof Intl.supportedValuesOf === 'function') return Intl.supportedValuesOf('currency').includes(code);
+  return true;
+}
+
+/**
+ * Whether a value is a locale Intl.NumberFormat supports.  The empty
+ * string stands for the browser's locale.
+ */
+export function isValidLocale(locale) {
+  if (locale === '') return true;
+  if (typeof locale !== 'string') return false;
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validates currency settings.
+ *
+ * @param {{baseCurrency: string, displayCurrency: string, locale: string,
+ *   rates: Object<string, number>}} settings - Candidate settings.
+ * @returns {{baseCurrency?: string, displayCurrency?: string, locale?: string,
+ *   rates?: Object<string, string>}} Error messages by field, with those of
+ *   the exchange rates by currency code; empty when valid.
+ */
+export function validateCurrencySettings(settings) {
+  const errors = {};
+  const rateErrors = {};
+  const base = settings.baseCurrency;
+  const rates = settings.rates && typeof settings.rates === 'object' ? settings.rates : {};
+  if (!isCurrencyCode(base)) errors.baseCurrency = 'Enter a three‑letter currency code, e.g. PHP.';
+  Object.keys(rates).forEach(code => {
+    if (!isCurrencyCode(code)) {
+      rateErrors[code] = 'Enter a three‑letter currency code.';
+    } else if (code === base) {
+      rateErrors[code] = 'The salary currency needs no rate.';
+    } else if (typeof rates[code] !== 'number' || !isFinite(rates[code]) || rates[code] <= 0) {
+      rateErrors[code] = 'Enter a rate above 0.';
+    }
+  });
+  const display = settings.displayCurrency;
+  if (display !== '') {
+    if (!isCurrencyCode(display)) {
+      errors.displayCurrency = 'Enter a three‑letter currency code, or leave it empty.';
+    } else if (display === base) {
+      errors.displayCurrency = 'Choose a currency other than the salary currency.';
+    } else if (!rates.hasOwnProperty(display)) {
+      errors.displayCurrency = `Add an exchange rate for ${display}.`;
+    }
+  }
+  // Contributions and tax are worked out in pesos
+  if (!errors.baseCurrency && base !== statutoryCurrency && !rates.hasOwnProperty(statutoryCurrency)) {
+    errors.baseCurrency = `Add an exchange rate for ${statutoryCurrency}; contributions and tax are computed in it.`;
+  }
+  if (!isValidLocale(settings.locale)) errors.locale = 'Enter a locale such as en-PH, or leave it empty.';
+  if (Object.keys(rateErrors).length > 0) errors.rates = rateErrors;
+  return errors;
+}
+
+/**
+ * Converts an amount in the base currency into another currency.
+ *
+ * @param {number} value - Amount in the base currency.
+ * @param {string} code - Currency to convert into.
+ * @param {{baseCurrency: string, rates: Object<string, number>}} settings
+ * @returns {number|null} The converted amount, or null without a rate.
+ */
+export function convertFromBase(value, code, settings) {
+  if (code === settings.baseCurrency) return value;
+  const rate = settings.rates[code];
+  return rate > 0 ? value / rate : null;
+}
+
+/**
+ * Converts an amount in another currency into the base currency.  See
+ * convertFromBase().
+ */
+export function convertToBase(value, code, settings) {
+  if (code === settings.baseCurrency) return value;
+  const rate = settings.rates[code];
+  return rate > 0 ? value * rate : null;
+}
+
+/**
+ * Returns a function formatting amounts in a currency for a locale, e.g.
+ * ₱1,234.56 for PHP in en-PH.
+ *
+ * @param {string} currency - ISO 4217 code.
+ * @param {string} [locale] - Locale; empty or omitted for the default one.
+ * @returns {function(number): string}
+ */
+export function createMoneyFormatter(currency, locale) {
+  const formatter = new Intl.NumberFormat(locale || undefined, { style: 'currency', currency });
+  // Negative zero, e.g. an amount that rounds away, shows without a sign
+  return value => formatter.format(Object.is(value, -0) ? 0 : value);
+}
+
+/**
+ * Symbol of a currency in a locale, e.g. ₱ for PHP.
+ *
+ * @param {string} currency - ISO 4217 code.
+ * @param {string} [locale] - Locale; empty or omitted for the default one.
+ */
+export function getCurrencySymbol(currency, locale) {
+  const parts = new Intl.NumberFormat(locale || undefined, { style: 'currency', currency }).formatToParts(0);
+  const symbol = parts.find(part => part.type === 'currency');
+  return symbol ? symbol.value : currency;
+}
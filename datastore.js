@@ -0,0 +1,257 @@
+// Data access layer for the dated records of the earnings calculator.
+//
+// Records keyed by calendar date (YYYY‑MM‑DD) are kept in IndexedDB, in
+// one object store per kind of record with the date key as the record
+// key.  Date keys sort in calendar order, so a single day or a range of
+// days can be read or written without touching the others.  The database
+// carries a schema version; opening it creates or upgrades the object
+// stores.  Earlier versions kept each kind of record as one JSON object
+// under a localStorage key of the same name; migrateLegacyRecords() moves
+// them over once.
+//
+// Every function returns a promise that rejects with a DataStoreError
+// naming what failed, so the page can report it.  Nothing here reads the
+// DOM or localStorage: script.js passes in the IndexedDB factory and the
+// legacy values.  The pure helpers can be checked from Node with
+// `npm test` (see test/datastore.test.js).
+
+export const databaseName = 'WorkMotivation';
+// Version 1: the recorded totals and the day details
+export const databaseVersion = 1;
+export const recordStoreNames = ['completedWeekdayEarnings', 'dayDetails'];
+// Object store holding the state of the data layer itself, e.g. whether
+// the legacy keys were migrated
+const metaStoreName = 'meta';
+const migrationKey = 'legacyMigration';
+
+/**
+ * Error raised by the data layer.  `operation` says what failed, e.g.
+ * 'open the database', and `cause` holds the underlying error.
+ */
+export class DataStoreError extends Error {
+  constructor(operation, cause) {
+    super(`Could not ${operation}${cause && cause.message ? `: ${cause.message}` : '.'}`);
+    this.name = 'DataStoreError';
+    this.operation = operation;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Parses the value of a legacy localStorage key holding records keyed by
+ * date.  Entries whose key is not a date are dropped.
+ *
+ * @param {string|null} json - Stored value, or null when the key is absent.
+ * @returns {{records: Object<string, *>, error: Error|null}} The records,
+ *   empty when the value is absent or cannot be read, and the parse error.
+ */
+export function parseLegacyRecords(json) {
+  const records = {};
+  if (json === null || json === undefined || json === '') return { records, error: null };
+  let obj;
+  try {
+    obj = JSON.parse(json);
+  } catch (e) {
+    return { records, error: e };
+  }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    return { records, error: new TypeError('The stored value is not an object of dated records.') };
+  }
+  Object.keys(obj).forEach(key => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(key) && obj[key] !== null && obj[key] !== undefined) records[key] = obj[key];
+  });
+  return { records, error: null };
+}
+
+/**
+ * Works out which records to write so that storage matches `current`.
+ *
+ * @param {Object<string, string>} saved - JSON of each record as last written, by key.
+ * @param {Object<string, *>} current - Records as they are now, by key.
+ * @returns {{put: Object<string, *>, remove: string[], saved: Object<string, string>}}
+ *   Records to write and keys to delete, and the JSON of `current` to
+ *   compare the next save against.
+ */
+export function diffRecords(saved, current) {
+  const put = {};
+  const next = {};
+  Object.keys(current).forEach(key => {
+    const json = JSON.stringify(current[key]);
+    next[key] = json;
+    if (saved[key] !== json) put[key] = current[key];
+  });
+  const remove = Object.keys(saved).filter(key => !next.hasOwnProperty(key));
+  return { put, remove, saved: next };
+}
+
+/**
+ * Resolves with the result of an IndexedDB request.
+ */
+function requestDone(request, operation) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(new DataStoreError(operation, request.error));
+  });
+}
+
+/**
+ * Resolves once an IndexedDB transaction has committed, with the value
+ * `resultOf` returns then.
+ */
+function transactionDone(transaction, operation, resultOf) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(resultOf ? resultOf() : undefined);
+    transaction.onabort = () => reject(new DataStoreError(operation, transaction.error));
+  });
+}
+
+/**
+ * Opens a database, creating or upgrading its object stores.  Another tab
+ * that later opens a newer version closes this connection.
+ *
+ * @param {IDBFactory} factory - The browser's indexedDB.
+ * @param {string} [name=databaseName] - Name of the database, e.g. one per profile.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDataStore(factory, name = databaseName) {
+  let request;
+  try {
+    request = factory.open(name, databaseVersion);
+  } catch (e) {
+    return Promise.reject(new DataStoreError('open the database', e));
+  }
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    recordStoreNames.concat([metaStoreName]).forEach(name => {
+      if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+    });
+  };
+  request.onblocked = () => {
+    // Resolved once the other tabs close their connection
+  };
+  return requestDone(request, 'open the database').then(db => {
+    db.onversionchange = () => db.close();
+    return db;
+  });
+}
+
+/**
+ * Reads the record of one day.
+ *
+ * @param {IDBDatabase} db - Result of openDataStore().
+ * @param {string} storeName - One of recordStoreNames.
+ * @param {string} dateKey - Date key (YYYY‑MM‑DD).
+ * @returns {Promise<*>} The record, or undefined when there is none.
+ */
+export function getRecord(db, storeName, dateKey) {
+  try {
+    const request = db.transaction(storeName, 'readonly').objectStore(storeName).get(dateKey);
+    return requestDone(request, `read ${storeName} of ${dateKey}`);
+  } catch (e) {
+    return Promise.reject(new DataStoreError(`read ${storeName} of ${dateKey}`, e));
+  }
+}
+
+/**
+ * Reads the records of a range of days, or of every day when no range is
+ * given.
+ *
+ * @param {IDBDatabase} db - Result of openDataStore().
+ * @param {string} storeName - One of recordStoreNames.
+ * @param {string} [firstKey] - First date key of the range.
+ * @param {string} [lastKey] - Last date key of the range, included.
+ * @returns {Promise<Object<string, *>>} Records keyed by date.
+ */
+export function getRecords(db, storeName, firstKey, lastKey) {
+  const operation = firstKey ? `read ${storeName} from ${firstKey} to ${lastKey}` : `read ${storeName}`;
+  const records = {};
+  try {
+    const transaction = db.transaction(storeName, 'readonly');
+    const range = firstKey ? IDBKeyRange.bound(firstKey, lastKey) : undefined;
+    const request = transaction.objectStore(storeName).openCursor(range);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      records[cursor.key] = cursor.value;
+      cursor.continue();
+    };
+    return transactionDone(transaction, operation, () => records);
+  } catch (e) {
+    return Promise.reject(new DataStoreError(operation, e));
+  }
+}
+
+/**
+ * Writes and deletes records of one kind in a single transaction, so
+ * either all changes are stored or none.
+ *
+ * @param {IDBDatabase} db - Result of openDataStore().
+ * @param {string} storeName - One of recordStoreNames.
+ * @param {{put: Object<string, *>, remove: string[]}} changes - Result of diffRecords().
+ * @returns {Promise<void>}
+ */
+export function writeRecords(db, storeName, changes) {
+  const operation = `save ${storeName}`;
+  try {
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    Object.keys(changes.put).forEach(key => store.put(changes.put[key], key));
+    changes.remove.forEach(key => store.delete(key));
+    return transactionDone(transaction, operation);
+  } catch (e) {
+    return Promise.reject(new DataStoreError(operation, e));
+  }
+}
+
+/**
+ * Moves the records kept under legacy localStorage keys into their object
+ * stores, once per store: the stores moved over are recorded in the same
+ * transaction, so none is moved twice or left half done.  Records already
+ * in a store are kept.  A value that cannot be read is left out and its
+ * error returned, so the caller can report it and keep the legacy key;
+ * that store is tried again the next time.
+ *
+ * @param {IDBDatabase} db - Result of openDataStore().
+ * @param {Object<string, string|null>} legacy - Stored value of each legacy key, by store name.
+ * @param {number} now - Time of the migration, recorded with it.
+ * @returns {Promise<{migrated: string[], errors: Object<string, Error>}>}
+ *   The store names whose legacy key was moved over now, empty when every
+ *   store was moved before, and the parse errors by store name.
+ */
+export function migrateLegacyRecords(db, legacy, now) {
+  const operation = 'move the stored records to the database';
+  const result = { migrated: [], errors: {} };
+  try {
+    const storeNames = recordStoreNames.concat([metaStoreName]);
+    const transaction = db.transaction(storeNames, 'readwrite');
+    const meta = transaction.objectStore(metaStoreName);
+    const check = meta.get(migrationKey);
+    check.onsuccess = () => {
+      const done = check.result ? check.result.keys : [];
+      const pending = recordStoreNames.filter(name => !done.includes(name));
+      if (pending.length === 0) return;
+      pending.forEach(name => {
+        if (!legacy.hasOwnProperty(name)) return;
+        const parsed = parseLegacyRecords(legacy[name]);
+        if (parsed.error) {
+          result.errors[name] = parsed.error;
+          return;
+        }
+        const store = transaction.objectStore(name);
+        Object.keys(parsed.records).forEach(key => {
+          const add = store.add(parsed.records[key], key);
+          add.onerror = event => {
+            // The store already has this day; keep it
+            event.preventDefault();
+            event.stopPropagation();
+          };
+        });
+        result.migrated.push(name);
+      });
+      meta.put({ version: databaseVersion, at: now, keys: done.concat(result.migrated) }, migrationKey);
+    };
+    return transactionDone(transaction, operation, () => result);
+  } catch (e) {
+    return Promise.reject(new DataStoreError(operation, e));
+  }
+}
@@ -0,0 +1,95 @@
+// Bundled Philippine holiday table used by the earnings calculator.
+//
+// Keys are calendar dates (YYYY‑MM‑DD) and values describe the holiday:
+// `type` is 'regular' for regular holidays (200% pay, 260% on a rest day)
+// and 'special' for special non‑working days (130% pay, 150% on a rest
+// day).  Dates follow the yearly proclamations.  Islamic holidays (Eid'l
+// Fitr and Eid'l Adha) are proclaimed shortly before they occur, so years
+// without a proclamation yet leave them out; add them, and any local or
+// newly proclaimed holidays, from the Holidays panel.  Entries saved there
+// override this table.
+const bundledHolidays = {
+  // 2024 (Proclamation No. 368, s. 2023 and later proclamations)
+  '2024-01-01': { name: "New Year's Day", type: 'regular' },
+  '2024-02-10': { name: 'Chinese New Year', type: 'special' },
+  '2024-03-28': { name: 'Maundy Thursday', type: 'regular' },
+  '2024-03-29': { name: 'Good Friday', type: 'regular' },
+  '2024-03-30': { name: 'Black Saturday', type: 'special' },
+  '2024-04-09': { name: 'Araw ng Kagitingan', type: 'regular' },
+  '2024-04-10': { name: "Eid'l Fitr", type: 'regular' },
+  '2024-05-01': { name: 'Labor Day', type: 'regular' },
+  '2024-06-12': { name: 'Independence Day', type: 'regular' },
+  '2024-06-17': { name: "Eid'l Adha", type: 'regular' },
+  '2024-08-21': { name: 'Ninoy Aquino Day', type: 'special' },
+  '2024-08-26': { name: 'National Heroes Day', type: 'regular' },
+  '2024-11-01': { name: "All Saints' Day", type: 'special' },
+  '2024-11-02': { name: "All Souls' Day", type: 'special' },
+  '2024-11-30': { name: 'Bonifacio Day', type: 'regular' },
+  '2024-12-08': { name: 'Feast of the Immaculate Conception', type: 'special' },
+  '2024-12-24': { name: 'Christmas Eve', type: 'special' },
+  '2024-12-25': { name: 'Christmas Day', type: 'regular' },
+  '2024-12-30': { name: 'Rizal Day', type: 'regular' },
+  '2024-12-31': { name: 'Last Day of the Year', type: 'special' },
+
+  // 2025 (Proclamation No. 727, s. 2024 and later proclamations)
+  '2025-01-01': { name: "New Year's Day", type: 'regular' },
+  '2025-01-29': { name: 'Chinese New Year', type: 'special' },
+  '2025-04-01': { name: "Eid'l Fitr", type: 'regular' },
+  '2025-04-09': { name: 'Araw ng Kagitingan', type: 'regular' },
+  '2025-04-17': { name: 'Maundy Thursday', type: 'regular' },
+  '2025-04-18': { name: 'Good Friday', type: 'regular' },
+  '2025-04-19': { name: 'Black Saturday', type: 'special' },
+  '2025-05-01': { name: 'Labor Day', type: 'regular' },
+  '2025-05-12': { name: 'National and Local Elections', type: 'special' },
+  '2025-06-06': { name: "Eid'l Adha", type: 'regular' },
+  '2025-06-12': { name: 'Independence Day', type: 'regular' },
+  '2025-08-21': { name: 'Ninoy Aquino Day', type: 'special' },
+  '2025-08-25': { name: 'National Heroes Day', type: 'regular' },
+  '2025-10-31': { name: "All Saints' Day Eve", type: 'special' },
+  '2025-11-01': { name: "All Saints' Day", type: 'special' },
+  '2025-11-30': { name: 'Bonifacio Day', type: 'regular' },
+  '2025-12-08': { name: 'Feast of the Immaculate Conception', type: 'special' },
+  '2025-12-24': { name: 'Christmas Eve', type: 'special' },
+  '2025-12-25': { name: 'Christmas Day', type: 'regular' },
+  '2025-12-30': { name: 'Rizal Day', type: 'regular' },
+  '2025-12-31': { name: 'Last Day of the Year', type: 'special' },
+
+  // 2026
+  '2026-01-01': { name: "New Year's Day", type: 'regular' },
+  '2026-02-17': { name: 'Chinese New Year', type: 'special' },
+  '2026-04-02': { name: 'Maundy Thursday', type: 'regular' },
+  '2026-04-03': { name: 'Good Friday', type: 'regular' },
+  '2026-04-04': { name: 'Black Saturday', type: 'special' },
+  '2026-04-09': { name: 'Araw ng Kagitingan', type: 'regular' },
+  '2026-05-01': { name: 'Labor Day', type: 'regular' },
+  '2026-06-12': { name: 'Independence Day', type: 'regular' },
+  '2026-08-21': { name: 'Ninoy Aquino Day', type: 'special' },
+  '2026-08-31': { name: 'National Heroes Day', type: 'regular' },
+  '2026-11-01': { name: "All Saints' Day", type: 'special' },
+  '2026-11-30': { name: 'Bonifacio Day', type: 'regular' },
+  '2026-12-08': { name: 'Feast of the Immaculate Conception', type: 'special' },
+  '2026-12-24': { name: 'Christmas Eve', type: 'special' },
+  '2026-12-25': { name: 'Christmas Day', type: 'regular' },
+  '2026-12-30': { name: 'Rizal Day', type: 'regular' },
+  '2026-12-31': { name: 'Last Day of the Year', type: 'special' },
+
+  // 2027 (fixed dates and the Holy Week dates; check the proclamation
+  // once it is issued)
+  '2027-01-01': { name: "New Year's Day", type: 'regular' },
+  '2027-02-06': { name: 'Chinese New Year', type: 'special' },
+  '2027-03-25': { name: 'Maundy Thursday', type: 'regular' },
+  '2027-03-26': { name: 'Good Friday', type: 'regular' },
+  '2027-03-27': { name: 'Black Saturday', type: 'special' },
+  '2027-04-09': { name: 'Araw ng Kagitingan', type: 'regular' },
+  '2027-05-01': { name: 'Labor Day', type: 'regular' },
+  '2027-06-12': { name: 'Independence Day', type: 'regular' },
+  '2027-08-21': { name: 'Ninoy Aquino Day', type: 'special' },
+  '2027-08-30': { name: 'National Heroes Day', type: 'regular' },
+  '2027-11-01': { name: "All Saints' Day", type: 'special' },
+  '2027-11-30': { name: 'Bonifacio Day', type: 'regular' },
+  '2027-12-08': { name: 'Feast of the Immaculate Conception', type: 'special' },
+  '2027-12-24': { name: 'Christmas Eve', type: 'special' },
+  '2027-12-25': { name: 'Christmas Day', type: 'regular' },
+  '2027-12-30': { name: 'Rizal Day', type: 'regular' },
+  '2027-12-31': { name: 'Last Day of the Year', type: 'special' }
+};
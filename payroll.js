@@ -0,0 +1,662 @@
+// Pay computation core for the earnings calculator.
+//
+// The payroll rules as pure functions: nothing here reads the DOM,
+// localStorage or the clock.  Every input is passed in, namely dates,
+// punches, day editor entries and a pay context { profile, schedule,
+// getHoliday, timeZone } holding the compensation profile, the weekly
+// schedule, a function returning the holiday on a date (or null) and the
+// payroll time zone.  script.js builds the context from the stored
+// settings for the page, and the rules can be checked from Node with
+// `npm test` (see test/payroll.test.js).
+
+export const msPerHour = 60 * 60 * 1000;
+
+// Pay multipliers applied to the hourly rate for work on rest days and
+// holidays.
+export const restDayMultiplier = 1.3;
+export const holidayMultipliers = {
+  regular: { workday: 2.0, restDay: 2.6 },
+  special: { workday: 1.3, restDay: 1.5 }
+};
+
+// Daily clock windows of the night (22:00–06:00) and mid shift
+// (18:00–22:00) differentials, in minutes after midnight.
+export const nightWindow = { start: 22 * 60, end: 6 * 60 };
+export const midShiftWindow = { start: 18 * 60, end: 22 * 60 };
+
+// Time zone whose wall clock the schedule, the pay windows and the date
+// keys follow unless another one is configured
+export const defaultTimeZone = 'Asia/Manila';
+
+// Kinds of leave.  Paid leave keeps the day's share of the salary.
+export const leaveKinds = ['vacation', 'sick', 'unpaid'];
+export const paidLeaveKinds = ['vacation', 'sick'];
+
+// Pay components of a day, in the order they are itemized
+export const payLineLabels = {
+  base: 'Base pay',
+  holiday: 'Holiday premium',
+  restDay: 'Rest‑day premium',
+  night: 'Night differential',
+  mid: 'Mid shift premium',
+  overtime: 'Overtime'
+};
+
+/**
+ * Converts an HH:MM string to minutes after midnight, or NaN if the string
+ * is not a valid 24‑hour time.
+ */
+export function parseTimeToMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return NaN;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return NaN;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Formats a Date as YYYY‑MM‑DD using its local calendar fields.  Holiday
+ * lookups use this rather than toISOString() so that a date is never
+ * shifted to the neighbouring day by the UTC conversion.
+ */
+export function formatDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parses a YYYY‑MM‑DD key into a local Date at midnight.
+ */
+export function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// Date layer
+// Calendar dates are local Date objects at midnight of which only the
+// calendar fields (getFullYear(), getMonth(), getDate() and getDay()) are
+// read; those are the same whatever the browser's time zone.  Points in
+// time, such as punches, are millisecond timestamps.  The two only meet in
+// the payroll time zone: getZonedParts() reads the wall clock of a
+// timestamp there and zonedTimeToMs() finds the timestamp of a wall‑clock
+// time on a calendar date, so shifts are filed and priced the same from
+// any browser.
+
+// Intl formatters by time zone; creating one is comparatively slow
+const zoneFormatters = {};
+
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters[timeZone]) {
+    zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+  return zoneFormatters[timeZone];
+}
+
+/**
+ * Whether the given name is a time zone known to the Intl API, such as
+ * 'Asia/Manila'.
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    getZoneFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Reads the wall clock of a timestamp in a time zone.
+ *
+ * @param {number} ms - Timestamp.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {{year: number, month: number, day: number, hours: number, minutes: number,
+ *   seconds: number}} `month` is zero‑based.
+ */
+export function getZonedParts(ms, timeZone) {
+  const parts = {};
+  getZoneFormatter(timeZone).formatToParts(new Date(ms)).forEach(part => {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month - 1,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at the given timestamp, in milliseconds.
+ */
+function getZoneOffset(ms, timeZone) {
+  const parts = getZonedParts(ms, timeZone);
+  const wall = Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds);
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Returns the calendar date of a timestamp in a time zone.
+ */
+export function getZonedDate(ms, timeZone) {
+  const parts = getZonedParts(ms, timeZone);
+  return new Date(parts.year, parts.month, parts.day);
+}
+
+/**
+ * Returns the time of day of a timestamp in a time zone, in minutes after
+ * midnight.
+ */
+export function getZonedMinutes(ms, timeZone) {
+  const parts = getZonedParts(ms, timeZone);
+  return parts.hours * 60 + parts.minutes + (parts.seconds + ms / 1000 - Math.floor(ms / 1000)) / 60;
+}
+
+/**
+ * Returns the timestamp of a wall‑clock time on a calendar date in a time
+ * zone.  Minutes past midnight beyond a day carry into the following days.
+ * A time skipped by a daylight saving change is read on the clock in
+ * effect before the change.
+ *
+ * @param {Date} date - Calendar date.
+ * @param {number} minutes - Minutes after midnight.
+ * @param {string} timeZone - IANA time zone name.
+ */
+export function zonedTimeToMs(date, minutes, timeZone) {
+  const wall = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes);
+  const guess = wall - getZoneOffset(wall, timeZone);
+  return wall - getZoneOffset(guess, timeZone);
+}
+
+/**
+ * Returns an array of Date objects for a pay period of a month: the 1st to
+ * the 15th for period 1 and the 16th to the end of the month for period 2.
+ *
+ * @param {number} period - 1 or 2.
+ * @param {number} year - Full year.
+ * @param {number} month - Zero‑based month.
+ */
+export function getPayPeriodDates(period, year, month) {
+  const startDay = period === 1 ? 1 : 16;
+  const endDay = period === 1 ? 15 : new Date(year, month + 1, 0).getDate();
+  const dates = [];
+  for (let day = startDay; day <= endDay; day++) {
+    dates.push(new Date(year, month, day));
+  }
+  return dates;
+}
+
+/**
+ * Returns the schedule entry for the day of the week of the given date.
+ */
+export function getScheduleForDate(schedule, date) {
+  return schedule.days[date.getDay()];
+}
+
+/**
+ * Whether the given date is a rest day, i.e. not a scheduled workday.
+ */
+export function isRestDay(schedule, date) {
+  return !getScheduleForDate(schedule, date).workday;
+}
+
+/**
+ * Returns the scheduled start of the shift that begins on the given date,
+ * with the start time read in the given time zone.
+ */
+export function getScheduledShiftStart(schedule, date, timeZone) {
+  const minutes = parseTimeToMinutes(getScheduleForDate(schedule, date).start);
+  return new Date(zonedTimeToMs(date, minutes, timeZone));
+}
+
+/**
+ * Fixed base pay for each semi‑monthly period.
+ */
+export function getHalfSalary(profile) {
+  return profile.monthlySalary / 2;
+}
+
+/**
+ * Hourly rate derived from the monthly salary.  It is used to compute
+ * premiums such as night differential and overtime.
+ */
+export function getHourlyRate(profile) {
+  return profile.monthlySalary / profile.workingDaysPerMonth / profile.hoursPerDay;
+}
+
+/**
+ * Returns the fixed base pay for one workday: the semi‑monthly salary
+ * spread evenly across the scheduled workdays of the pay period (1–15 or
+ * 16–end of month) that contains the date.
+ */
+export function getDailyBasePay(date, context) {
+  const period = date.getDate() <= 15 ? 1 : 2;
+  const workdayCount = getPayPeriodDates(period, date.getFullYear(), date.getMonth())
+    .filter(day => !isRestDay(context.schedule, day)).length;
+  return workdayCount > 0 ? getHalfSalary(context.profile) / workdayCount : 0;
+}
+
+/**
+ * Returns the pay multipliers for work performed on the given date.
+ * `day` is the multiplier for regular hours (1 on an ordinary workday,
+ * 1.3 on a rest day, and the holiday rates above), `overtime` the
+ * multiplier for hours beyond the scheduled shift and `overtimeCategory`
+ * the overtime rule it comes from: 'ordinary', 'restDay' or 'holiday'
+ * (a holiday's rate times the holiday overtime factor, also on a rest day).
+ *
+ * A day type chosen in the day editor replaces the weekly schedule and the
+ * holiday calendar: 'restDay' pays rest‑day rates (with the holiday's
+ * rest‑day rate on a holiday), 'holiday' pays the holiday's rate (a regular
+ * holiday when the calendar has none) and 'regular' pays ordinary rates.
+ *
+ * @param {Date} date - Date the shift started.
+ * @param {Object} context - Pay context.
+ * @param {string} [dayType] - Day type from the day editor.
+ * @returns {{day: number, overtime: number, overtimeCategory: string, restDay: boolean,
+ *   holiday: Object|null}}
+ */
+export function getDayPayRates(date, context, dayType) {
+  const { profile } = context;
+  const restDay = dayType ? dayType === 'restDay' : isRestDay(context.schedule, date);
+  let holiday = dayType === 'regular' ? null : context.getHoliday(date);
+  if (dayType === 'holiday' && !holiday) {
+    holiday = { name: 'Holiday', type: 'regular', custom: true };
+  }
+  let day = restDay ? restDayMultiplier : 1;
+  if (holiday) {
+    day = holidayMultipliers[holiday.type][restDay ? 'restDay' : 'workday'];
+  }
+  let overtimeCategory = 'ordinary';
+  let overtime = profile.overtimeMultiplier;
+  if (holiday) {
+    overtimeCategory = 'holiday';
+    overtime = day * profile.holidayOvertimeFactor;
+  } else if (restDay) {
+    overtimeCategory = 'restDay';
+    overtime = profile.restDayOvertimeMultiplier;
+  }
+  return { day, overtime, overtimeCategory, restDay, holiday };
+}
+
+/**
+ * Returns the kind of leave of a leave entry.
+ */
+export function getLeaveKind(entry) {
+  return entry.leave || 'vacation';
+}
+
+/**
+ * Splits a punched shift into the spans actually worked, excluding the
+ * break.  An open shift or break runs until `untilMs`.
+ *
+ * @param {Object} record - Punch record.
+ * @param {number} untilMs - End of the span for punches not yet made.
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function getWorkedSegments(record, untilMs) {
+  if (record.clockIn == null) return [];
+  const end = record.clockOut != null ? record.clockOut : untilMs;
+  if (record.breakStart == null) {
+    return [{ start: record.clockIn, end: Math.max(end, record.clockIn) }];
+  }
+  const breakEnd = record.breakEnd != null ? record.breakEnd : Math.max(untilMs, record.breakStart);
+  const segments = [{ start: record.clockIn, end: Math.min(record.breakStart, end) }];
+  if (end > breakEnd) segments.push({ start: breakEnd, end });
+  return segments.filter(segment => segment.end > segment.start);
+}
+
+/**
+ * Turns a shift given by its start time, paid hours and break into worked
+ * spans on the given date.  The break is taken to fall in the middle of
+ * the shift.  Used for day editor entries and scheduled shifts, which have
+ * no punches.
+ *
+ * @param {Date} date - Shift date.
+ * @param {string} startTime - Start time in HH:MM, 24‑hour format.
+ * @param {number} hours - Paid hours.
+ * @param {number} [breakHours=0] - Unpaid break in hours.
+ * @param {string} timeZone - Time zone of the start time.
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function getShiftSpans(date, startTime, hours, breakHours, timeZone) {
+  const minutes = parseTimeToMinutes(startTime);
+  if (isNaN(minutes) || !(hours > 0)) return [];
+  const first = zonedTimeToMs(date, minutes, timeZone);
+  if (!breakHours) return [{ start: first, end: first + hours * msPerHour }];
+  const half = hours / 2 * msPerHour;
+  const resume = first + half + breakHours * msPerHour;
+  return [{ start: first, end: first + half }, { start: resume, end: resume + half }];
+}
+
+// Pay engine
+// Every worked day is priced from its worked spans: real clock intervals
+// with the break already left out.  splitWorkedSpans() cuts the spans where
+// the regular hours and the grace period run out and at the edges of the
+// night and mid shift windows on the payroll time zone's clock, so each
+// piece has a single phase and window.  calculateSpanPay() then prices the pieces at the day's rates:
+// night hours of overtime earn the night differential on overtime, and
+// neither the grace period between the regular hours and overtime nor
+// overtime beyond the approved hours is paid.
+
+/**
+ * Whether a time of day, in minutes after midnight, lies inside a daily
+ * window that may wrap past midnight.
+ */
+export function isInWindow(minutes, window) {
+  if (window.start < window.end) return minutes >= window.start && minutes < window.end;
+  return minutes >= window.start || minutes < window.end;
+}
+
+/**
+ * Splits worked spans into segments.  Hours are counted in time order:
+ * the first `regularHours` are regular, the next `graceHours` fall in the
+ * grace period, the next `approvedOvertimeHours` are overtime and the rest
+ * are unapproved overtime.
+ *
+ * @param {Array<{start: number, end: number}>} spans - Worked spans in time order.
+ * @param {number} regularHours - Hours paid as regular time.
+ * @param {number} [graceHours=0] - Unpaid hours between the regular hours and overtime.
+ * @param {number} [approvedOvertimeHours=Infinity] - Overtime hours that are paid.
+ * @param {string} timeZone - Time zone of the night and mid shift windows.
+ * @returns {Array<{start: number, end: number, hours: number, phase: string, window: string|null,
+ *   kind: string}>} `phase` is 'regular', 'grace', 'overtime' or
+ *   'unapproved'; `window` is 'night', 'mid' or null; `kind` is 'regular',
+ *   'night', 'overtime', 'overtimeNight', 'grace' or 'unapproved'.
+ */
+export function splitWorkedSpans(spans, regularHours, graceHours, approvedOvertimeHours, timeZone) {
+  const regularEnd = regularHours * msPerHour;
+  const graceEnd = regularEnd + (graceHours || 0) * msPerHour;
+  const overtimeEnd = approvedOvertimeHours === undefined ? Infinity : graceEnd + approvedOvertimeHours * msPerHour;
+  const segments = [];
+  let worked = 0;
+  spans.forEach(span => {
+    if (!(span.end > span.start)) return;
+    const cuts = new Set([span.start, span.end]);
+    [regularEnd, graceEnd, overtimeEnd].forEach(limit => {
+      const at = span.start + limit - worked;
+      if (at > span.start && at < span.end) cuts.add(at);
+    });
+    // Window edges on every day the span touches
+    const day = getZonedDate(span.start, timeZone);
+    while (zonedTimeToMs(day, 0, timeZone) < span.end) {
+      [nightWindow.start, nightWindow.end, midShiftWindow.start, midShiftWindow.end].forEach(minutes => {
+        const at = zonedTimeToMs(day, minutes, timeZone);
+        if (at > span.start && at < span.end) cuts.add(at);
+      });
+      day.setDate(day.getDate() + 1);
+    }
+    const points = [...cuts].sort((a, b) => a - b);
+    for (let i = 1; i < points.length; i++) {
+      const start = points[i - 1];
+      const end = points[i];
+      const offset = worked + start - span.start;
+      let phase = 'unapproved';
+      if (offset < regularEnd) phase = 'regular';
+      else if (offset < graceEnd) phase = 'grace';
+      else if (offset < overtimeEnd) phase = 'overtime';
+      const minutes = getZonedMinutes((start + end) / 2, timeZone);
+      let window = null;
+      if (isInWindow(minutes, nightWindow)) window = 'night';
+      else if (isInWindow(minutes, midShiftWindow)) window = 'mid';
+      let kind = phase;
+      if (window === 'night' && (phase === 'regular' || phase === 'overtime')) {
+        kind = phase === 'overtime' ? 'overtimeNight' : 'night';
+      }
+      segments.push({ start, end, hours: (end - start) / msPerHour, phase, window, kind });
+    }
+    worked += span.end - span.start;
+  });
+  return segments;
+}
+
+/**
+ * Prices the worked spans of a day.  On a day at rest‑day rates the first
+ * 8 hours are paid at the day's rate (130%, or the holiday's rest‑day
+ * rate) and the rest at its overtime rate.  Otherwise the scheduled paid
+ * hours (8 on a rest day worked at regular rates) earn the daily base pay
+ * in proportion, plus any holiday premium, and hours past them and the
+ * grace period are overtime.  Overtime is paid at the rate of its category
+ * (see getDayPayRates()) up to the approved hours; `unapprovedOvertime` is
+ * what the hours beyond would have earned and is not part of the total.
+ * The mid shift differential is computed on the rate of the hours it
+ * applies to, and night hours earn the night differential on regular
+ * hours or the night differential on overtime.
+ *
+ * @param {Date} date - Shift date.
+ * @param {Array<{start: number, end: number}>} spans - Worked spans in time order.
+ * @param {Object} context - Pay context.
+ * @param {Object} [options]
+ * @param {string} [options.dayType] - Day type from the day editor, overriding the calendar.
+ * @param {number} [options.graceHours=0] - Grace period after the regular hours on a workday.
+ * @param {number} [options.approvedOvertimeHours=Infinity] - Overtime hours that are paid.
+ * @returns {{dayType: string, overtimeCategory: string, segments: Object[], hours: number,
+ *   regularHours: number, overtimeHours: number, nightHours: number, overtimeNightHours: number,
+ *   unapprovedHours: number, base: number, holiday: number, restDay: number, night: number,
+ *   mid: number, overtime: number, total: number, unapprovedOvertime: number}}
+ */
+export function calculateSpanPay(date, spans, context, options) {
+  options = options || {};
+  const { profile, schedule } = context;
+  const rates = getDayPayRates(date, context, options.dayType);
+  const hourlyRate = getHourlyRate(profile);
+  const scheduledHours = rates.restDay || isRestDay(schedule, date) ? 8 : getScheduleForDate(schedule, date).paidHours;
+  const segments = splitWorkedSpans(spans, scheduledHours, rates.restDay ? 0 : options.graceHours,
+    options.approvedOvertimeHours, context.timeZone);
+  const sumHours = test => segments.filter(test).reduce((sum, segment) => sum + segment.hours, 0);
+  const pay = {
+    dayType: rates.restDay ? 'restDay' : (rates.holiday ? 'holiday' : 'regular'),
+    overtimeCategory: rates.overtimeCategory,
+    segments,
+    hours: sumHours(() => true),
+    regularHours: sumHours(segment => segment.phase === 'regular'),
+    overtimeHours: sumHours(segment => segment.phase === 'overtime'),
+    nightHours: sumHours(segment => segment.kind === 'night'),
+    overtimeNightHours: sumHours(segment => segment.kind === 'overtimeNight'),
+    unapprovedHours: sumHours(segment => segment.phase === 'unapproved'),
+    base: 0,
+    holiday: 0,
+    restDay: 0,
+    night: 0,
+    mid: 0,
+    overtime: 0,
+    total: 0,
+    unapprovedOvertime: 0
+  };
+  segments.forEach(segment => {
+    if (segment.phase === 'grace') return;
+    const overtime = segment.phase !== 'regular';
+    const rate = hourlyRate * (overtime ? rates.overtime : rates.day);
+    let differential = 0;
+    if (segment.window === 'night') {
+      differential = rate * segment.hours * (overtime ? profile.nightOvertimeDiffRate : profile.nightDiffRate);
+    } else if (segment.window === 'mid') {
+      differential = rate * profile.midShiftDiffRate * segment.hours;
+    }
+    if (segment.phase === 'unapproved') {
+      pay.unapprovedOvertime += rate * segment.hours + differential;
+    } else if (segment.window === 'night') {
+      pay.night += differential;
+    } else {
+      pay.mid += differential;
+    }
+  });
+  if (rates.restDay) {
+    pay.base = hourlyRate * pay.regularHours;
+    pay.restDay = hourlyRate * (restDayMultiplier - 1) * pay.regularHours;
+    pay.holiday = hourlyRate * (rates.day - restDayMultiplier) * pay.regularHours;
+  } else {
+    pay.base = getDailyBasePay(date, context) * pay.regularHours / scheduledHours;
+    pay.holiday = hourlyRate * (rates.day - 1) * pay.regularHours;
+  }
+  pay.overtime = hourlyRate * rates.overtime * pay.overtimeHours;
+  pay.total = pay.base + pay.holiday + pay.restDay + pay.night + pay.mid + pay.overtime;
+  return pay;
+}
+
+/**
+ * Computes the earnings of a punched shift from its timestamps with the
+ * pay engine (see calculateSpanPay()).  On a workday, hours past the
+ * scheduled paid hours plus the grace period are overtime, paid up to the
+ * approved overtime hours, and tardiness and undertime are measured
+ * against the scheduled shift.
+ *
+ * @param {Date} date - Shift date.
+ * @param {Object} record - Punch record for that date.
+ * @param {number} untilMs - End of the span for punches not yet made.
+ * @param {Object} context - Pay context.
+ * @param {number} [approvedOvertimeHours=Infinity] - Overtime hours that are paid.
+ * @returns {Object} The result of calculateSpanPay() with `paidHours` (all
+ *   hours worked), `tardyMinutes` and `undertimeMinutes`.
+ */
+export function calculatePunchedShiftEarnings(date, record, untilMs, context, approvedOvertimeHours) {
+  const pay = calculateSpanPay(date, getWorkedSegments(record, untilMs), context, {
+    graceHours: context.profile.gracePeriodMinutes / 60,
+    approvedOvertimeHours
+  });
+  const result = Object.assign(pay, { paidHours: pay.hours, tardyMinutes: 0, undertimeMinutes: 0 });
+  if (!isRestDay(context.schedule, date)) {
+    const entry = getScheduleForDate(context.schedule, date);
+    const scheduledStart = getScheduledShiftStart(context.schedule, date, context.timeZone).getTime();
+    const scheduledEnd = scheduledStart + (entry.paidHours + entry.breakHours) * msPerHour;
+    if (record.clockIn != null) {
+      result.tardyMinutes = Math.max(record.clockIn - scheduledStart, 0) / 60000;
+    }
+    if (record.clockOut != null) {
+      result.undertimeMinutes = Math.max(scheduledEnd - record.clockOut, 0) / 60000;
+    }
+  }
+  return result;
+}
+
+/**
+ * Computes the earnings for a given date, itemized by pay component.
+ * Shifts with punches are priced from them, days with a day editor entry
+ * from that entry, and other workdays from the weekly schedule; all three
+ * go through the pay engine.  Rest days without an entry earn nothing.  A
+ * scheduled workday earns the daily share of the fixed semi‑monthly salary
+ * plus the holiday premium and differentials of the scheduled shift.
+ *
+ * Pay for regular hours at a rest‑day or holiday rate is split into
+ * straight pay (`base`) and the premiums on top of it (`restDay`,
+ * `holiday`).  Legacy recorded totals carry no breakdown and are reported
+ * entirely as `base`.  On unpaid leave and absences `unpaidBase` is the
+ * daily base pay forfeited; it is not part of the total.  Likewise
+ * `unapprovedOvertime` is the pay for overtime worked beyond the approved
+ * hours, which is not paid.
+ *
+ * @param {Date} date - Calendar date.
+ * @param {Object} inputs - What is recorded for the date.
+ * @param {Object|null} [inputs.punches] - Punch record of the shift starting on the date.
+ * @param {Object|null} [inputs.details] - Day editor entry.
+ * @param {number} [inputs.recordedTotal] - Legacy recorded total for the date.
+ * @param {number} [inputs.approvedOvertimeHours=Infinity] - Overtime hours that are paid.
+ * @param {number} inputs.nowMs - Current time, the end of a shift still open.
+ * @param {Object} context - Pay context.
+ * @returns {{source: string, dayType: string, leave: string|null, hours: number, base: number,
+ *   holiday: number, restDay: number, night: number, mid: number, overtime: number,
+ *   total: number, unpaidBase: number, overtimeHours: number, unapprovedHours: number,
+ *   unapprovedOvertime: number}}
+ *   `source` is 'punched', 'entered', 'recorded', 'scheduled' or 'off';
+ *   `dayType` is a day editor type and `leave` one of leaveKinds on leave days.
+ */
+export function calculateDayBreakdown(date, inputs, context) {
+  const { punches, details, recordedTotal, approvedOvertimeHours, nowMs } = inputs;
+  const { schedule } = context;
+  const breakdown = {
+    source: 'off',
+    dayType: 'regular',
+    leave: null,
+    hours: 0,
+    base: 0,
+    holiday: 0,
+    restDay: 0,
+    night: 0,
+    mid: 0,
+    overtime: 0,
+    total: 0,
+    unpaidBase: 0,
+    overtimeHours: 0,
+    unapprovedHours: 0,
+    unapprovedOvertime: 0
+  };
+  const finish = () => {
+    breakdown.total = breakdown.base + breakdown.holiday + breakdown.restDay +
+      breakdown.night + breakdown.mid + breakdown.overtime;
+    return breakdown;
+  };
+  const usePay = (source, pay) => {
+    breakdown.source = source;
+    ['dayType', 'hours', 'base', 'holiday', 'restDay', 'night', 'mid', 'overtime', 'overtimeHours',
+      'unapprovedHours', 'unapprovedOvertime'].forEach(key => {
+      breakdown[key] = pay[key];
+    });
+    return finish();
+  };
+  if (punches && punches.clockIn != null) {
+    return usePay('punched', calculatePunchedShiftEarnings(date, punches, nowMs, context, approvedOvertimeHours));
+  }
+  if (details) {
+    // Paid leave keeps the day's share of the salary but earns no
+    // differentials; unpaid leave and absences forfeit it
+    if (details.type === 'leave' || details.type === 'absent') {
+      const dailyBase = isRestDay(schedule, date) ? 0 : getDailyBasePay(date, context);
+      breakdown.source = 'entered';
+      breakdown.dayType = details.type;
+      if (details.type === 'leave') breakdown.leave = getLeaveKind(details);
+      if (breakdown.leave && paidLeaveKinds.includes(breakdown.leave)) {
+        breakdown.base = dailyBase;
+      } else {
+        breakdown.unpaidBase = dailyBase;
+      }
+      return finish();
+    }
+    const spans = getShiftSpans(date, details.startTime, details.hours, details.breakHours, context.timeZone);
+    const pay = calculateSpanPay(date, spans, context, { dayType: details.type, approvedOvertimeHours });
+    // Keep the day type chosen in the editor, e.g. 'holiday' for a custom holiday
+    return usePay('entered', Object.assign(pay, { dayType: details.type }));
+  }
+  // Rest days without an entry earn nothing
+  if (isRestDay(schedule, date)) {
+    breakdown.dayType = 'restDay';
+    return breakdown;
+  }
+  breakdown.dayType = context.getHoliday(date) ? 'holiday' : 'regular';
+  // Workdays: if a total was recorded before the time log existed, return
+  // that recorded value.  Otherwise compute the expected daily earnings
+  // from the scheduled shift.  Overtime is not included here because the
+  // base pay already accounts for the scheduled paid hours.
+  const entry = getScheduleForDate(schedule, date);
+  if (recordedTotal !== undefined) {
+    breakdown.source = 'recorded';
+    breakdown.hours = entry.paidHours;
+    breakdown.base = recordedTotal;
+    return finish();
+  }
+  return usePay('scheduled', calculateSpanPay(date,
+    getShiftSpans(date, entry.start, entry.paidHours, entry.breakHours, context.timeZone), context));
+}
+
+/**
+ * Lists the pay components of a day or shift as line items, in the order
+ * of payLineLabels.
+ *
+ * @param {Object} pay - Result of calculateDayBreakdown() or calculateSpanPay().
+ * @returns {Array<{key: string, label: string, amount: number}>}
+ */
+export function getPayLineItems(pay) {
+  return Object.keys(payLineLabels).map(key => ({ key, label: payLineLabels[key], amount: pay[key] }));
+}
@@ -1,68 +1,69 @@
 // JavaScript for real‑time earnings calculator with weekend rules and semi‑monthly pay calculations
-
-// Compensation constants
-// Updated monthly salary to reflect the user's fixed semi‑monthly pay of
-// ₱14,100 per period (₱28,200 per month).  The halfSalary constant
-// represents the fixed base pay for each semi‑monthly period.  The
-// hourlyRate derived from the monthlySalary is still used to compute
-// premiums such as night differential and overtime.
-const monthlySalary = 28200;           // Monthly fixed salary (PHP)
-const halfSalary = monthlySalary / 2;  // Fixed pay per semi‑monthly period (₱14,100)
-const workingDaysPerMonth = 26;        // Average working days used to derive hourly rate【504998637967793†L320-L324】
-const hoursPerDay = 8;                 // Standard hours for computing hourly rate
-const hourlyRate = monthlySalary / workingDaysPerMonth / hoursPerDay;
-const nightDiffRate = 0.18;            // Night shift premium (applies 10 PM–6 AM)
-const overtimeMultiplier = 1.25;       // Weekday overtime premium【116724529657621†L175-L179】
-// A de minimis allowance exists but is no longer displayed on the
-// real‑time dashboard.  It is applied only in semi‑monthly calendar totals.
-const deMinimisMonthly = 2800
-  // Semi-monthly deductions (employee share) for taxes and mandatory contributions.
-// These are deducted from each semi-monthly pay period but not from daily earnings.
-const annualSalary = monthlySalary * 12;
-const annualTaxExcess = Math.max(annualSalary - 250000, 0);
-const annualTax = annualTaxExcess * 0.15;
-const semiMonthlyTax = annualTax / 24;
-const monthlySSS = monthlySalary * 0.05;
-const semiMonthlySSS = monthlySSS / 2;
-const monthlyPhilHealthEmployee = Math.min(Math.max(monthlySalary * 0.025, 250), 1250);
-const semiMonthlyPhilHealth = monthlyPhilHealthEmployee / 2;
-const monthlyPagIbig = Math.min(monthlySalary * 0.02, 200);
-const semiMonthlyPagIbig = monthlyPagIbig / 2;
-const semiMonthlyDeductions = semiMonthlyTax + semiMonthlySSS + semiMonthlyPhilHealth + semiMonthlyPagIbig;
 //
-// Shift configuration
-const paidShiftHours = 9;              // Total paid hours per shift (8 regular + 1 extra)
-const breakDurationHours = 1;          // Unpaid break during the shift
-
-// Grace period in minutes beyond the scheduled 8 AM end time.  If the end
-// shift button is not clicked by 8:00 AM, up to this many additional
-// minutes will still be counted as regular time before overtime applies.
-const gracePeriodMinutes = 15;
-
-// Variables to manage manual shift end
-let shiftEnded = false;
-let endedElapsedHours = 0;
-
-// Flag to ensure automatic recording is performed only once when the page
-// detects that the grace period has passed or the page is closing.  This
-// prevents duplicate entries in the calendar.
-let autoRecorded = false;
-let currentShiftStart = null;
-
-
-// Object mapping weekday dates (YYYY‑MM‑DD) to actual earnings recorded when
-// the shift is ended.  This allows the calendar to display the real
-// earnings for each weekday once the user clicks End Shift.  The state
-// is persisted in localStorage under the key 'completedWeekdayEarnings'.
-let completedWeekdayEarnings = {};
+// The pay rules themselves live in payroll.js.  This script keeps the
+// settings and records in localStorage, and the dated records in
+// IndexedDB through datastore.js, hands them to the pay computation
+// through getPayContext() and renders the page, with amounts formatted
+// through currency.js.
+import * as payroll from './payroll.js';
+import * as datastore from './datastore.js';
+import * as currency from './currency.js';
+import {
+  msPerHour,
+  defaultTimeZone,
+  leaveKinds,
+  paidLeaveKinds,
+  parseTimeToMinutes,
+  formatDateKey,
+  parseDateKey,
+  isValidTimeZone,
+  getZonedParts,
+  getZonedDate,
+  zonedTimeToMs,
+  getLeaveKind,
+  getWorkedSegments,
+  getPayLineItems
+} from './payroll.js';
 
-function loadCompletedWeekdayEarnings() {
+// Clock and simulation
+// Every reading of the current time goes through getCurrentTime() and
+// every read and write of stored data through `storage`, so that both can
+// be swapped out.  Simulation mode runs the whole page against a simulated
+// clock, which can be set to any time, sped up or stepped through a shift,
+// and against a sandbox copy of the stored data.  Auto clock‑out,
+// grace‑period overtime and month rollover can then be tried out without
+// waiting for them and without touching the real records.  The simulation
+// is kept in sessionStorage under the key 'simulation' as { version, time,
+// startedAt, speed, data }: the simulated timestamp at the real time
+// `startedAt`, the speed‑up factor (0 while paused) and the sandboxed
+// stored keys.  It lasts until it is ended or the tab is closed.
+// Version 2 stores real timestamps (see "Payroll time zone" below).
+const simulationVersion = 2;
+const simulationSpeedLabels = {
+  0: 'Paused',
+  1: 'Real time',
+  60: '1 minute per second',
+  600: '10 minutes per second',
+  3600: '1 hour per second'
+};
+// Keys copied into the sandbox when a simulation starts from the real data
+const storedKeys = ['compensationProfile', 'weeklySchedule', 'payrollTimeZone', 'customHolidays',
+  'completedWeekdayEarnings', 'dayDetails', 'workedWeekendDetails', 'shiftPunches', 'payslipReconciliation',
+  'leavePolicy', 'overtimeRequests', 'earningsGoals', 'reminderSettings', 'currencySettings'];
+
+let simulation = null;
+// Set while the page reloads to enter or leave simulation mode or to
+// switch profile
+let switchingStorage = false;
+
+function loadSimulation() {
   try {
-    const data = localStorage.getItem('completedWeekdayEarnings');
+    const data = sessionStorage.getItem('simulation');
     if (data) {
       const obj = JSON.parse(data);
-      if (obj && typeof obj === 'object') {
-        completedWeekdayEarnings = obj;
+      if (obj && obj.version === simulationVersion && isFinite(obj.time) && isFinite(obj.startedAt) &&
+          simulationSpeedLabels.hasOwnProperty(obj.speed) && obj.data && typeof obj.data === 'object') {
+        simulation = obj;
       }
     }
   } catch (e) {
@@ -70,27 +71,94 @@ function loadCompletedWeekdayEarnings() {
   }
 }
 
-function saveCompletedWeekdayEarnings() {
+function saveSimulation() {
   try {
-    localStorage.setItem('completedWeekdayEarnings', JSON.stringify(completedWeekdayEarnings));
+    sessionStorage.setItem('simulation', JSON.stringify(simulation));
   } catch (e) {
     // Ignore storage errors
   }
 }
 
-// Object mapping weekend dates (YYYY‑MM‑DD) to work details.  Each entry
-// stores { hours: number, startTime: 'HH:MM' }.  This allows spontaneous
-// weekend shifts of varying length and start times.  The state is persisted
-// in localStorage under the key 'workedWeekendDetails'.
-let workedWeekendDetails = {};
+// Stored data: the active profile's localStorage keys, or the sandbox
+// while simulating
+const storage = {
+  getItem(key) {
+    if (!simulation) return localStorage.getItem(getProfileStorageKey(profiles.active, key));
+    return simulation.data.hasOwnProperty(key) ? simulation.data[key] : null;
+  },
+  setItem(key, value) {
+    if (!simulation) {
+      localStorage.setItem(getProfileStorageKey(profiles.active, key), value);
+      return;
+    }
+    simulation.data[key] = String(value);
+    saveSimulation();
+  },
+  removeItem(key) {
+    if (!simulation) {
+      localStorage.removeItem(getProfileStorageKey(profiles.active, key));
+      return;
+    }
+    delete simulation.data[key];
+    saveSimulation();
+  }
+};
+
+// Profiles
+// Several people can keep their own settings and records in one browser,
+// each in a named profile.  The first profile keeps the unprefixed keys
+// and the database of earlier versions, so nothing needs migrating; the
+// keys of every other profile are prefixed with 'profile:<id>:' and its
+// dated records have a database of their own.  The profiles and the
+// active one are persisted in localStorage under the key 'profiles' as {
+// version, active, profiles }, mapping ids to { name }.  Switching profile
+// reloads the page, as entering a simulation does, so that everything is
+// read again from the profile's storage; other tabs follow.  Each profile
+// keeps the net pay of the pay periods its calendars last showed under
+// the key 'periodTotals' as { version, periods }, mapping period keys to
+// { gross, net, currency, updatedAt }, which the household view adds up.
+// `currency` is the base currency of the amounts (see "Currency"); totals
+// kept without one are in pesos.
+const profilesVersion = 1;
+const defaultProfileId = 'default';
+const profileIdPattern = /^profile-[a-z0-9]+$/;
+const periodTotalsVersion = 1;
+
+let profiles = createDefaultProfiles();
+
+function createDefaultProfiles() {
+  return { version: profilesVersion, active: defaultProfileId, profiles: { [defaultProfileId]: { name: 'Me' } } };
+}
+
+/**
+ * Validates a profile name.
+ *
+ * @returns {string} Error message, or '' when valid.
+ */
+function validateProfileName(name, id) {
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 40) {
+    return 'Enter a name of up to 40 characters.';
+  }
+  const taken = Object.keys(profiles.profiles).some(other => other !== id &&
+    profiles.profiles[other].name.toLowerCase() === name.trim().toLowerCase());
+  return taken ? 'Another profile has this name.' : '';
+}
 
-function loadWorkedWeekendDates() {
+function loadProfiles() {
   try {
-    const data = localStorage.getItem('workedWeekendDetails');
+    const data = localStorage.getItem('profiles');
     if (data) {
       const obj = JSON.parse(data);
-      if (obj && typeof obj === 'object') {
-        workedWeekendDetails = obj;
+      if (obj && obj.profiles && typeof obj.profiles === 'object' && obj.profiles.hasOwnProperty(defaultProfileId)) {
+        const loaded = createDefaultProfiles();
+        Object.keys(obj.profiles).forEach(id => {
+          const profile = obj.profiles[id];
+          if ((id === defaultProfileId || profileIdPattern.test(id)) && profile && typeof profile.name === 'string') {
+            loaded.profiles[id] = { name: profile.name };
+          }
+        });
+        if (loaded.profiles.hasOwnProperty(obj.active)) loaded.active = obj.active;
+        profiles = loaded;
       }
     }
   } catch (e) {
@@ -98,567 +166,6534 @@ function loadWorkedWeekendDates() {
   }
 }
 
-function saveWorkedWeekendDates() {
+function saveProfiles() {
   try {
-    localStorage.setItem('workedWeekendDetails', JSON.stringify(workedWeekendDetails));
+    localStorage.setItem('profiles', JSON.stringify(profiles));
   } catch (e) {
     // Ignore storage errors
   }
 }
 
 /**
- * Records the final earnings for a weekday shift based on the provided
- * elapsed hours.  This helper computes base, overtime and night
- * differential using the same rules as in the updateDisplay function.
- * It caps the base hours at the maximum paid hours (including grace
- * period) and computes overtime beyond that threshold.  The result is
- * stored in the completedWeekdayEarnings object keyed by the shift
- * start date (YYYY-MM-DD) and persisted to localStorage.  This is
- * invoked either when the user clicks the "End Shift" button or
- * automatically when the grace period has passed without user
- * interaction.
- *
- * @param {Date} shiftStart - The Date when the shift began.
- * @param {number} elapsedHours - The total elapsed hours since shift start.
- */
-function recordWeekdayEarnings(shiftStart, elapsedHours) {
-  // Do not record for weekends; weekend work is handled manually.
-  const day = shiftStart.getDay();
-  if (day === 0 || day === 6) return;
-  const paidHours = Math.max(elapsedHours - breakDurationHours, 0);
-  const maxHours = paidShiftHours + gracePeriodMinutes / 60;
-  const baseHrs = Math.min(paidHours, maxHours);
-  const otHrs = Math.max(paidHours - maxHours, 0);
-  // Determine which semi‑monthly period the shift falls into to compute
-  // the daily base pay (halfSalary divided by the number of weekdays in
-  // that period).
-  const dayOfMonth = shiftStart.getDate();
-  const period = dayOfMonth <= 15 ? 1 : 2;
-  const year = shiftStart.getFullYear();
-  const month = shiftStart.getMonth();
-  const periodStart = new Date(year, month, period === 1 ? 1 : 16);
-  const periodEnd = new Date(year, month, period === 1 ? 15 : new Date(year, month + 1, 0).getDate());
-  const weekdayCount = getWeekdaysBetween(periodStart, periodEnd);
-  const dailyBase = halfSalary / weekdayCount;
-  // Weekday pay consists of the fixed daily base plus night differential
-  // for the hours between 10 PM and 6 AM.  Overtime hours beyond the
-  // scheduled paid hours are paid with a 25% premium on the hourly rate.
-  const nightHrs = Math.min(baseHrs + otHrs, 8);
-  const nightPay = hourlyRate * nightDiffRate * nightHrs;
-  const otPay = hourlyRate * overtimeMultiplier * otHrs;
-  const totalPay = dailyBase + nightPay + otPay;
-  const dateStr = shiftStart.toISOString().split('T')[0];
-  completedWeekdayEarnings[dateStr] = totalPay;
-  saveCompletedWeekdayEarnings();
+ * Returns the localStorage key under which a profile keeps a stored key.
+ */
+function getProfileStorageKey(id, key) {
+  return id === defaultProfileId ? key : `profile:${id}:${key}`;
+}
+
+/**
+ * Returns the stored key a localStorage key holds for the active
+ * profile, or null when it belongs to another profile or to no profile.
+ */
+function getActiveProfileKey(storageKey) {
+  if (storageKey === null || storageKey === 'profiles') return null;
+  const match = /^profile:([^:]+):(.+)$/.exec(storageKey);
+  if (!match) return profiles.active === defaultProfileId ? storageKey : null;
+  return match[1] === profiles.active ? match[2] : null;
+}
+
+/**
+ * Returns the name of the database holding a profile's dated records.
+ */
+function getProfileDatabaseName(id) {
+  return id === defaultProfileId ? datastore.databaseName : `${datastore.databaseName}-${id}`;
+}
+
+/**
+ * Returns an id for a new profile.
+ */
+function createProfileId() {
+  const stamp = Date.now().toString(36);
+  let id = `profile-${stamp}`;
+  for (let n = 1; profiles.profiles.hasOwnProperty(id); n++) id = `profile-${stamp}${n}`;
+  return id;
+}
+
+/**
+ * Makes another profile the active one and reloads the page to read its
+ * settings and records.  The profile being left is closed normally, so
+ * its open shift is not taken for an interrupted one.
+ *
+ * @param {string} id - Id of the profile to switch to.
+ */
+function switchProfile(id) {
+  if (simulation || id === profiles.active || !profiles.profiles.hasOwnProperty(id)) return;
+  closeShiftHeartbeat();
+  profiles.active = id;
+  saveProfiles();
+  switchingStorage = true;
+  window.location.reload();
+}
+
+/**
+ * Deletes a profile other than the first and the active one, with every
+ * key and the database it kept.
+ */
+function deleteProfile(id) {
+  if (id === defaultProfileId || id === profiles.active || !profiles.profiles.hasOwnProperty(id)) return;
+  delete profiles.profiles[id];
+  saveProfiles();
+  const prefix = getProfileStorageKey(id, '');
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith(prefix)) keys.push(key);
+  }
+  keys.forEach(key => localStorage.removeItem(key));
+  if (typeof indexedDB !== 'undefined') {
+    const request = indexedDB.deleteDatabase(getProfileDatabaseName(id));
+    request.onerror = () => reportStorageError(new datastore.DataStoreError('delete the records of the profile', request.error));
+  }
 }
 
 /**
- * Automatically records the shift if the user has not clicked "End Shift"
- * and the elapsed paid hours exceed the maximum paid hours allowed
- * (including grace period).  This function ensures the recording is
- * performed only once by checking the autoRecorded flag.  Overtime
- * beyond the threshold will continue to display on screen but will
- * not be included in the recorded total.
+ * Returns the period totals a profile keeps (see "Profiles" above).
  *
- * @param {Date} shiftStart - The Date when the shift began.
- * @param {number} elapsedHours - The total elapsed hours since shift start.
+ * @param {string} id - Profile id.
+ * @returns {Object<string, {gross: number, net: number, currency: string, updatedAt: number}>}
  */
-function autoRecordIfPastGrace(shiftStart, elapsedHours) {
-  if (shiftEnded || autoRecorded) return;
-  const day = shiftStart.getDay();
-  // Skip weekends; weekend work is manually recorded.
-  if (day === 0 || day === 6) return;
-  const paidHours = Math.max(elapsedHours - breakDurationHours, 0);
-  const maxHours = paidShiftHours + gracePeriodMinutes / 60;
-  if (paidHours >= maxHours) {
-    recordWeekdayEarnings(shiftStart, elapsedHours);
-    autoRecorded = true;
+function loadPeriodTotals(id) {
+  try {
+    const data = id === profiles.active ? storage.getItem('periodTotals')
+      : localStorage.getItem(getProfileStorageKey(id, 'periodTotals'));
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && obj.periods && typeof obj.periods === 'object') return obj.periods;
+    }
+  } catch (e) {
+    // Ignore parse errors
   }
+  return {};
 }
 
-// Before the window unloads (e.g., the user closes the tab or the computer
-// shuts down), automatically record the shift if it hasn't been ended.
-window.addEventListener('beforeunload', () => {
-  if (!shiftEnded && !autoRecorded) {
-    const now = getPhilippinesTime();
-    const start = getShiftStart(now);
-    const elapsedHours = Math.max((now.getTime() - start.getTime()) / (1000 * 60 * 60), 0);
-    autoRecordIfPastGrace(start, elapsedHours);
+/**
+ * Keeps the gross and net pay of a pay period, in the base currency, for
+ * the household view.  Nothing is written when they did not change.
+ *
+ * @param {string} periodKey - Result of getPeriodKey().
+ * @param {{gross: number, net: number}} summary - Result of calculatePeriodSummary().
+ */
+function recordPeriodTotals(periodKey, summary) {
+  const periods = loadPeriodTotals(profiles.active);
+  const stored = periods[periodKey];
+  const gross = Math.round(summary.gross * 100) / 100;
+  const net = Math.round(summary.net * 100) / 100;
+  const code = currencySettings.baseCurrency;
+  if (stored && stored.gross === gross && stored.net === net && stored.currency === code) return;
+  periods[periodKey] = { gross, net, currency: code, updatedAt: getCurrentTime().getTime() };
+  try {
+    storage.setItem('periodTotals', JSON.stringify({ version: periodTotalsVersion, periods }));
+  } catch (e) {
+    // Ignore storage errors
   }
-});
+}
+
+// Dated records
+// The recorded totals and the day details are kept in IndexedDB through
+// the data access layer in datastore.js, one record per day.  They are
+// read into memory once when the page opens, and a save writes only the
+// days that changed since the last one.  Other tabs of the profile are
+// told which days changed over a BroadcastChannel and read just those
+// days again.  While
+// simulating, or where IndexedDB cannot be used, they stay under their
+// localStorage keys like the rest of the stored data.  Failures are shown
+// in the banner at the top of the page instead of being ignored.
+const recordsChannelName = 'WorkMotivation-records';
+// Names and accessors of the in‑memory records of each object store
+const recordStores = {
+  completedWeekdayEarnings: {
+    label: 'recorded totals',
+    get: () => completedWeekdayEarnings,
+    set: records => {
+      completedWeekdayEarnings = records;
+    }
+  },
+  dayDetails: {
+    label: 'day details',
+    get: () => dayDetails,
+    set: records => {
+      dayDetails = records;
+    }
+  }
+};
+
+// Open database, or null while the records are kept in `storage`
+let dataStore = null;
+// JSON of each day as last written, by store name
+const savedRecords = {};
+let recordsChannel = null;
+// Messages of the failures shown in the banner
+const storageErrors = [];
 
 /**
- * Returns the current date/time in the Asia/Manila timezone.
- * Uses Intl API to ensure calculations reflect Philippine local time.
+ * Shows a storage failure in the banner at the top of the page, after the
+ * ones shown before.
+ *
+ * @param {Error} error - Usually a datastore.DataStoreError.
  */
-function getPhilippinesTime() {
-  const now = new Date();
-  const phString = now.toLocaleString('en-US', { timeZone: 'Asia/Manila' });
-  return new Date(phString);
+function reportStorageError(error) {
+  const message = /[.!?]$/.test(error.message) ? error.message : `${error.message}.`;
+  if (!storageErrors.includes(message)) storageErrors.push(message);
+  const banner = document.getElementById('storage-error');
+  if (!banner) return;
+  banner.textContent = `${storageErrors.join(' ')} Recent changes may not be saved; reload the page to try again.`;
+  banner.hidden = false;
 }
 
 /**
- * Determines the start time of the current shift. Shifts begin at 10 PM and end at 8 AM.
- * If the current time is after midnight but before 8 AM, the shift started the previous day.
+ * Opens the database, moves the records kept in localStorage by earlier
+ * versions into it once, and reads every dated record into memory.
+ * Falls back to `storage` while simulating or when the database cannot
+ * be opened.
+ *
+ * @returns {Promise<void>} Resolves once the records are in memory.
  */
-function getShiftStart(date) {
-  const start = new Date(date);
-  start.setHours(22, 0, 0, 0);
-  if (date.getHours() < 8) {
-    start.setDate(start.getDate() - 1);
+function loadRecordStores() {
+  const fromStorage = () => {
+    loadCompletedWeekdayEarnings();
+    loadDayDetails();
+  };
+  if (simulation || typeof indexedDB === 'undefined') {
+    fromStorage();
+    return Promise.resolve();
   }
-  return start;
+  return datastore.openDataStore(indexedDB, getProfileDatabaseName(profiles.active)).then(db => {
+    const legacy = {};
+    datastore.recordStoreNames.forEach(name => {
+      legacy[name] = storage.getItem(name);
+    });
+    return datastore.migrateLegacyRecords(db, legacy, getCurrentTime().getTime()).then(result => {
+      result.migrated.forEach(name => storage.removeItem(name));
+      // Unreadable legacy records are left under their key and tried again
+      // on the next load
+      Object.keys(result.errors).forEach(name => {
+        reportStorageError(new datastore.DataStoreError(`move the ${recordStores[name].label} to the database`, result.errors[name]));
+      });
+      return Promise.all(datastore.recordStoreNames.map(name => datastore.getRecords(db, name).then(records => {
+        recordStores[name].set(records);
+        savedRecords[name] = datastore.diffRecords({}, records).saved;
+      })));
+    }).then(() => {
+      dataStore = db;
+      listenForRecordChanges();
+      migrateWorkedWeekendDetails();
+    });
+  }).catch(error => {
+    reportStorageError(error);
+    fromStorage();
+  });
 }
 
 /**
- * Counts weekdays (Monday through Friday) between two dates inclusive.
+ * Saves the records of one object store: the days changed since the last
+ * save to the database, or the whole store to `storage`.  A day that
+ * could not be written is written again by the next save.
+ *
+ * @param {string} name - One of datastore.recordStoreNames.
  */
-function getWeekdaysBetween(startDate, endDate) {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  let count = 0;
-  while (start <= end) {
-    const day = start.getDay();
-    if (day !== 0 && day !== 6) {
-      count++;
+function saveRecordStore(name) {
+  const records = recordStores[name].get();
+  if (!dataStore) {
+    try {
+      storage.setItem(name, JSON.stringify(records));
+    } catch (e) {
+      reportStorageError(new datastore.DataStoreError(`save the ${recordStores[name].label}`, e));
     }
-    start.setDate(start.getDate() + 1);
+    return;
   }
-  return count;
+  const changes = datastore.diffRecords(savedRecords[name], records);
+  const keys = Object.keys(changes.put).concat(changes.remove);
+  if (keys.length === 0) return;
+  savedRecords[name] = changes.saved;
+  datastore.writeRecords(dataStore, name, changes).then(() => {
+    if (recordsChannel) recordsChannel.postMessage({ store: name, keys });
+  }).catch(error => {
+    keys.forEach(key => {
+      savedRecords[name][key] = '';
+    });
+    reportStorageError(error);
+  });
 }
 
 /**
- * Calculates semi‑monthly pay for the current month.
- * Only weekdays are included; weekend work must be tallied separately.
- * The entire de minimis allowance is added to the first pay period (1–15).
+ * Reads the days another tab saved to the database again and refreshes
+ * the views.
  */
-function calculateSemiMonthlyPay() {
-  const now = getPhilippinesTime();
-  const year = now.getFullYear();
-  const month = now.getMonth();
-  // Count weekdays in each period
-  const weekdays1 = getWeekdaysBetween(new Date(year, month, 1), new Date(year, month, 15));
-  const weekdays2 = getWeekdaysBetween(new Date(year, month, 16), new Date(year, month + 1, 0));
-  // Compute daily weekday earnings (9 hours paid, night premium up to 8 hours)
-  const dailyBase = hourlyRate * paidShiftHours;
-  const dailyNight = hourlyRate * nightDiffRate * Math.min(paidShiftHours, 8);
-  const dailyTotal = dailyBase + dailyNight;
-  // Assemble semi‑monthly totals; de minimis paid in first half
-  const pay1 = dailyTotal * weekdays1 + deMinimisMonthly;
-  const pay2 = dailyTotal * weekdays2;
-  return { pay1, pay2 };
+function listenForRecordChanges() {
+  if (typeof BroadcastChannel === 'undefined') return;
+  recordsChannel = new BroadcastChannel(`${recordsChannelName}:${profiles.active}`);
+  recordsChannel.onmessage = event => {
+    const message = event.data;
+    if (!message || !recordStores.hasOwnProperty(message.store) || !Array.isArray(message.keys)) return;
+    const name = message.store;
+    Promise.all(message.keys.map(key => datastore.getRecord(dataStore, name, key).then(record => {
+      const records = recordStores[name].get();
+      if (record === undefined) {
+        delete records[key];
+        delete savedRecords[name][key];
+      } else {
+        records[key] = record;
+        savedRecords[name][key] = JSON.stringify(record);
+      }
+    }))).then(renderStoredData, reportStorageError);
+  };
 }
 
 /**
- * Formats a number into a Philippine peso currency string.
+ * Returns the simulated time as a timestamp.
  */
-function formatMoney(value) {
-  return `₱${value.toFixed(2)}`;
+function getSimulatedTime() {
+  return simulation.time + (Date.now() - simulation.startedAt) * simulation.speed;
 }
 
 /**
- * Returns an array of Date objects for a specified pay period in the current month.
- * period = 1 returns dates from 1st to 15th; period = 2 returns 16th to end of month.
+ * Moves the simulated clock to the given time and lets it run from there
+ * at the given speed.
+ *
+ * @param {number} time - Simulated time in milliseconds.
+ * @param {number} speed - Speed‑up factor, one of the simulationSpeedLabels keys.
  */
-function getPayPeriodDates(period) {
-  const now = getPhilippinesTime();
-  const year = now.getFullYear();
-  const month = now.getMonth();
-  let startDay, endDay;
-  if (period === 1) {
-    startDay = 1;
-    endDay = 15;
-  } else {
-    startDay = 16;
-    endDay = new Date(year, month + 1, 0).getDate();
+function setSimulatedClock(time, speed) {
+  simulation.time = time;
+  simulation.startedAt = Date.now();
+  simulation.speed = speed;
+  saveSimulation();
+}
+
+/**
+ * Enters simulation mode, or leaves it when `next` is null, by storing the
+ * simulation and reloading the page so that every setting and record is
+ * loaded again from the matching storage.
+ *
+ * @param {Object|null} next - Simulation to enter.
+ */
+function switchSimulation(next) {
+  // The mode being left is closed normally, so its open shift is not
+  // taken for an interrupted one when it is entered again
+  closeShiftHeartbeat();
+  try {
+    if (next) {
+      sessionStorage.setItem('simulation', JSON.stringify(next));
+    } else {
+      sessionStorage.removeItem('simulation');
+    }
+  } catch (e) {
+    return false;
   }
-  const dates = [];
-  for (let day = startDay; day <= endDay; day++) {
-    dates.push(new Date(year, month, day));
+  switchingStorage = true;
+  window.location.reload();
+  return true;
+}
+
+/**
+ * Starts a simulation at the given time and speed.  The sandbox starts as
+ * a copy of the stored data, or empty for a demo from default settings.
+ *
+ * @param {number} time - Simulated start time in milliseconds.
+ * @param {number} speed - Speed‑up factor.
+ * @param {boolean} copyData - Whether to copy the stored data into the sandbox.
+ */
+function startSimulation(time, speed, copyData) {
+  const data = {};
+  if (copyData) {
+    storedKeys.forEach(key => {
+      // Dated records may live in the database
+      const value = recordStores.hasOwnProperty(key)
+        ? JSON.stringify(recordStores[key].get())
+        : storage.getItem(key);
+      if (value !== null) data[key] = value;
+    });
   }
-  return dates;
+  return switchSimulation({ version: simulationVersion, time, startedAt: Date.now(), speed, data });
 }
 
 /**
- * Computes the expected earnings for a given date based on a 9‑hour shift.
- * Applies weekend (rest‑day) multipliers for Saturdays and Sundays and
- * includes the night differential for up to 8 hours between 10 PM and 6 AM.
+ * Ends the simulation, discarding its sandbox.
  */
-function calculateDailyEarningsForDate(date) {
-  const isWeekend = date.getDay() === 0 || date.getDay() === 6;
-  const dateStr = date.toISOString().split('T')[0];
-  // Weekend dates: compute earnings only if details exist; otherwise zero
-  if (isWeekend) {
-    const details = workedWeekendDetails[dateStr];
-    if (!details) {
-      return 0;
-    }
-    const { hours, startTime } = details;
-    return calculateWeekendEarnings(hours, startTime);
-  }
-  // Weekday dates: if an actual shift has been recorded via the End Shift
-  // button or automatic recording, return that recorded value.  Otherwise
-  // compute the expected daily earnings by dividing the fixed semi‑monthly
-  // salary across the number of weekdays in the appropriate pay period.
-  if (completedWeekdayEarnings.hasOwnProperty(dateStr)) {
-    return completedWeekdayEarnings[dateStr];
-  }
-  // Determine which semi‑monthly period this date falls into.
-  const dayOfMonth = date.getDate();
-  const period = dayOfMonth <= 15 ? 1 : 2;
-  const year = date.getFullYear();
-  const month = date.getMonth();
-  const periodStart = new Date(year, month, period === 1 ? 1 : 16);
-  const periodEnd = new Date(year, month, period === 1 ? 15 : new Date(year, month + 1, 0).getDate());
-  const weekdayCount = getWeekdaysBetween(periodStart, periodEnd);
-  // Spread the fixed half‑salary evenly across the weekdays of the period.
-  const dailyBase = halfSalary / weekdayCount;
-  // Expected night differential for a full shift: 18% of the hourly rate
-  // applied to the hours between 10 PM and 6 AM (8 hours).  Overtime and
-  // mid‑shift premiums are not included here because the base pay already
-  // accounts for the 9 paid hours.
-  const nightHoursForDaily = Math.min(paidShiftHours, 8);
-  const night = hourlyRate * nightDiffRate * nightHoursForDaily;
-  return dailyBase + night;
-}
-
-/**
- * Calculates the earnings for a weekend (rest‑day) shift given the
- * number of hours worked and the start time (HH:MM in 24‑hour format).
- * Rest‑day pay rules: the first 8 hours are paid at 130% of the
- * hourly rate, and any hours beyond 8 are paid at 169%【997854114004205†L460-L472】.
- * Night differential (18% of hourly rate) applies to hours worked
- * between 10 PM and 6 AM.  This function uses calculateNightHours() to
- * determine the number of hours in that window.
- *
- * @param {number} hours - Total hours worked on the rest day.
- * @param {string} startTime - Shift start time in HH:MM, 24‑hour format.
- * @returns {number} Total earnings for the weekend shift.
- */
-function calculateWeekendEarnings(hours, startTime) {
-  const weekendBaseHours = Math.min(hours, 8);
-  const weekendExtraHours = Math.max(hours - 8, 0);
-  const basePay = hourlyRate * 1.3 * weekendBaseHours + hourlyRate * 1.69 * weekendExtraHours;
-  const nightHours = calculateNightHours(hours, startTime);
-  const nightPay = hourlyRate * nightDiffRate * nightHours;
-  return basePay + nightPay;
-}
-
-/**
- * Calculates the number of hours within a given shift that fall into
- * the night differential period (10:00 PM to 6:00 AM).  The function
- * handles shifts that may start before midnight and continue past it,
- * or begin after midnight in the early morning.  It assumes the
- * provided start time is on the same day as the weekend shift.
- *
- * @param {number} hours - Length of the shift in hours.
- * @param {string} startTime - Start time in HH:MM, 24‑hour format.
- * @returns {number} Total hours of the shift that qualify for the night differential.
- */
-function calculateNightHours(hours, startTime) {
-  const parts = startTime.split(':');
-  let startH = parseInt(parts[0], 10);
-  let startM = parseInt(parts[1], 10);
-  if (isNaN(startH) || isNaN(startM)) return 0;
-  const startMinutes = startH * 60 + startM;
-  const endMinutes = startMinutes + hours * 60;
-  let nightMinutes = 0;
-  // Calculate overlap with 10 PM (22:00) to midnight (24:00) on the start day.
-  const nightStart1 = 22 * 60; // 1320
-  const nightEnd1 = 24 * 60;   // 1440
-  const day1End = Math.min(endMinutes, 1440);
-  nightMinutes += Math.max(0, Math.min(day1End, nightEnd1) - Math.max(startMinutes, nightStart1));
-  // Calculate overlap with midnight to 6 AM on the start or next day.
-  const nightStart2 = 0;
-  const nightEnd2 = 6 * 60; // 360
-  if (endMinutes > 1440) {
-    // Shift crosses midnight; compute minutes in next day
-    const minutesPastMidnight = endMinutes - 1440;
-    nightMinutes += Math.max(0, Math.min(minutesPastMidnight, nightEnd2) - nightStart2);
-    // If startMinutes < 360 (i.e., shift started in early morning), also add overlap on the start day
-    if (startMinutes < nightEnd2) {
-      nightMinutes += Math.min(nightEnd2, day1End) - startMinutes;
-    }
-  } else {
-    // Shift does not cross midnight but may start in early morning
-    if (startMinutes < nightEnd2) {
-      nightMinutes += Math.max(0, Math.min(endMinutes, nightEnd2) - startMinutes);
+function endSimulation() {
+  return switchSimulation(null);
+}
+
+// Payroll time zone
+// The schedule, the night and mid shift windows and every date key follow
+// the wall clock of the payroll time zone rather than the browser's, so a
+// shift is filed under the same day from any machine.  Punches and other
+// times are stored as real timestamps.  Earlier versions stored the Manila
+// wall clock as if it were the browser's local time and keyed recorded
+// totals by the UTC date of local midnight, which is the wrong day outside
+// UTC+8 or once the browser's time zone changes; migrateToPayrollTimeZone()
+// converts both the first time the setting is loaded.  The setting is
+// persisted in localStorage under the key 'payrollTimeZone' as { version,
+// timeZone }.
+const payrollTimeZoneVersion = 1;
+// Suggested in the schedule panel; any IANA time zone name is accepted
+const suggestedTimeZones = ['Asia/Manila', 'Asia/Singapore', 'Asia/Hong_Kong', 'Asia/Tokyo', 'Asia/Dubai',
+  'Australia/Sydney', 'Europe/London', 'America/New_York', 'America/Los_Angeles', 'UTC'];
+
+let payrollTimeZone = defaultTimeZone;
+
+function loadPayrollTimeZone() {
+  let data = null;
+  try {
+    data = storage.getItem('payrollTimeZone');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && isValidTimeZone(obj.timeZone)) {
+        payrollTimeZone = obj.timeZone;
+      }
     }
+  } catch (e) {
+    // Ignore parse errors
+  }
+  if (!data) migrateToPayrollTimeZone();
+}
+
+function savePayrollTimeZone() {
+  try {
+    storage.setItem('payrollTimeZone', JSON.stringify({ version: payrollTimeZoneVersion, timeZone: payrollTimeZone }));
+  } catch (e) {
+    // Ignore storage errors
   }
-  return nightMinutes / 60;
 }
 
 /**
- * Renders a simple calendar for the current pay period.  The calendar shows
- * day numbers in a grid starting on Monday and includes day‑of‑week labels.
- * Hovering over a day will display a tooltip with the estimated earnings
- * calculated via calculateDailyEarningsForDate().  The current day is
- * highlighted.
+ * Converts a timestamp written by earlier versions, which stored the
+ * Manila wall clock as the browser's local time, into a real timestamp.
+ * The browser is assumed to be in the time zone it was in when the
+ * timestamp was recorded; in Manila the timestamp is unchanged.
  */
-function renderCalendar(period, titleId, gridId, totalId) {
-  const calendarGrid = document.getElementById(gridId);
-  const calendarTitleEl = document.getElementById(titleId);
-  const totalEl = document.getElementById(totalId);
-  if (!calendarGrid || !calendarTitleEl || !totalEl) return;
-  const dates = getPayPeriodDates(period);
-  if (dates.length === 0) return;
-  const firstDate = dates[0];
-  const options = { month: 'long', year: 'numeric' };
-  calendarTitleEl.textContent = firstDate.toLocaleDateString('en-US', options);
-  calendarGrid.innerHTML = '';
-  // Day labels
-  const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
-  dayNames.forEach(name => {
-    const label = document.createElement('div');
-    label.className = 'day-label';
-    label.textContent = name;
-    calendarGrid.appendChild(label);
+function convertLegacyTimestamp(ms) {
+  if (typeof ms !== 'number' || !isFinite(ms)) return ms;
+  const local = new Date(ms);
+  const minutes = local.getHours() * 60 + local.getMinutes();
+  const day = new Date(local.getFullYear(), local.getMonth(), local.getDate());
+  return zonedTimeToMs(day, minutes, defaultTimeZone) + local.getSeconds() * 1000 + local.getMilliseconds();
+}
+
+/**
+ * Converts the timestamps of a punch record, including its audit trail,
+ * with convertLegacyTimestamp().
+ */
+function convertLegacyPunchRecord(record) {
+  if (!record || typeof record !== 'object') return record;
+  punchFields.forEach(field => {
+    if (record[field] != null) record[field] = convertLegacyTimestamp(record[field]);
   });
-  // Offset for alignment (Monday as first column)
-  const offset = (firstDate.getDay() + 6) % 7;
-  for (let i = 0; i < offset; i++) {
-    const empty = document.createElement('div');
-    empty.className = 'calendar-day';
-    empty.style.visibility = 'hidden';
-    calendarGrid.appendChild(empty);
-  }
-  const today = getPhilippinesTime();
-  let periodTotal = 0;
-  dates.forEach(dateObj => {
-    const dateStr = dateObj.toISOString().split('T')[0];
-    const earnings = calculateDailyEarningsForDate(dateObj);
-    periodTotal += earnings;
-    const cell = document.createElement('div');
-    cell.className = 'calendar-day';
-    // Highlight current day
-    if (dateObj.toDateString() === today.toDateString()) {
-      cell.classList.add('today');
-    }
-    // Mark weekend cells that are worked (i.e., have details)
-    const isWeekend = dateObj.getDay() === 0 || dateObj.getDay() === 6;
-    if (isWeekend && workedWeekendDetails[dateStr]) {
-      cell.classList.add('worked');
-    }
-    cell.textContent = dateObj.getDate();
-    cell.dataset.date = dateStr;
-    const tooltip = document.createElement('span');
-    tooltip.className = 'tooltip';
-    tooltip.textContent = `₱${earnings.toFixed(2)}`;
-    cell.appendChild(tooltip);
-    // Click handler to manage weekend work details.  When a weekend cell
-    // is clicked, prompt the user to enter the number of hours worked and
-    // the shift start time.  Leaving the hours blank will remove the entry.
-    if (isWeekend) {
-      cell.style.cursor = 'pointer';
-      cell.addEventListener('click', () => {
-        const existing = workedWeekendDetails[dateStr];
-        let hours, startTime;
-        if (existing) {
-          // If already present, ask if the user wants to remove or update
-          const remove = window.confirm('This weekend entry is already recorded. Click OK to remove it, or Cancel to edit the details.');
-          if (remove) {
-            delete workedWeekendDetails[dateStr];
-            saveWorkedWeekendDates();
-            renderCalendars();
-            return;
-          } else {
-            hours = prompt('Enter hours worked for ' + dateStr + ' (e.g., 5.5):', existing.hours);
-            if (hours === null) return; // Cancel editing
-            hours = parseFloat(hours);
-            if (isNaN(hours) || hours <= 0) {
-              alert('Invalid hours. Please enter a positive number.');
-              return;
-            }
-            startTime = prompt('Enter shift start time (HH:MM, 24‑hour) for ' + dateStr + ':', existing.startTime);
-            if (startTime === null) return;
-            // Basic validation of HH:MM
-            if (!/^\d{1,2}:\d{2}$/.test(startTime)) {
-              alert('Invalid time format. Please use HH:MM in 24‑hour format.');
-              return;
-            }
-          }
-        } else {
-          hours = prompt('Enter hours worked for ' + dateStr + ' (e.g., 5.5):', '8');
-          if (hours === null) return;
-          hours = parseFloat(hours);
-          if (isNaN(hours) || hours <= 0) {
-            alert('Invalid hours. Please enter a positive number.');
-            return;
-          }
-          startTime = prompt('Enter shift start time (HH:MM, 24‑hour) for ' + dateStr + ':', '08:00');
-          if (startTime === null) return;
-          if (!/^\d{1,2}:\d{2}$/.test(startTime)) {
-            alert('Invalid time format. Please use HH:MM in 24‑hour format.');
-            return;
-          }
-        }
-        // Save updated details
-        workedWeekendDetails[dateStr] = { hours, startTime };
-        saveWorkedWeekendDates();
-        renderCalendars();
+  if (Array.isArray(record.edits)) {
+    record.edits.forEach(edit => {
+      if (!edit || typeof edit !== 'object') return;
+      edit.at = convertLegacyTimestamp(edit.at);
+      Object.keys(edit.changes || {}).forEach(field => {
+        const change = edit.changes[field];
+        if (Array.isArray(change)) edit.changes[field] = change.map(ms => (ms == null ? ms : convertLegacyTimestamp(ms)));
       });
+    });
+  }
+  return record;
+}
+
+/**
+ * Converts the records of earlier versions in place: punches and the
+ * update times of overtime requests and reconciled payslips become real
+ * timestamps, and recorded totals move to the key of their calendar day.
+ * Used for the stored records and for older backups.
+ *
+ * @param {Object} data - Records keyed like the stored keys.
+ */
+function convertLegacyRecords(data) {
+  const punches = data.shiftPunches;
+  if (punches && typeof punches === 'object') {
+    Object.keys(punches).forEach(key => convertLegacyPunchRecord(punches[key]));
+  }
+  const totals = data.completedWeekdayEarnings;
+  if (totals && typeof totals === 'object') {
+    const converted = {};
+    Object.keys(totals).forEach(key => {
+      converted[dateKeyPattern.test(key) ? convertLegacyDateKey(key) : key] = totals[key];
+    });
+    data.completedWeekdayEarnings = converted;
+  }
+  [[data.overtimeRequests, 'requests'], [data.payslipReconciliation, 'periods']].forEach(([store, field]) => {
+    const entries = store && typeof store === 'object' ? store[field] : null;
+    if (!entries || typeof entries !== 'object') return;
+    Object.keys(entries).forEach(key => {
+      const entry = entries[key];
+      if (entry && entry.updatedAt != null) entry.updatedAt = convertLegacyTimestamp(entry.updatedAt);
+    });
+  });
+}
+
+/**
+ * Converts the stored records of earlier versions (see
+ * convertLegacyRecords()) and then stores the payroll time zone, which
+ * marks the conversion as done.
+ */
+function migrateToPayrollTimeZone() {
+  const keys = ['shiftPunches', 'completedWeekdayEarnings', 'overtimeRequests', 'payslipReconciliation'];
+  const data = {};
+  keys.forEach(key => {
+    try {
+      const value = storage.getItem(key);
+      if (value) data[key] = JSON.parse(value);
+    } catch (e) {
+      // Ignore parse errors; the record is left as it is
     }
-    calendarGrid.appendChild(cell);
   });
-  // Add the de minimis allowance to the first pay period total.  The
-  // calendar cells already incorporate the fixed semi‑monthly salary on a
-  // per‑weekday basis, so there is no need to adjust the base pay here.
-      if (period === 1) {
-      periodTotal += deMinimisMonthly;
+  convertLegacyRecords(data);
+  keys.forEach(key => {
+    if (data[key] === undefined) return;
+    try {
+      storage.setItem(key, JSON.stringify(data[key]));
+    } catch (e) {
+      // Ignore storage errors
     }
-    // Subtract semi-monthly deductions (employee share) and compute net pay for this period
-    const netTotal = periodTotal - semiMonthlyDeductions;
-    /// Update total display for this period with detailed deductions and net pay
-  totalEl.innerHTML =
-   'Deductions: ' + String.fromCharCode(8369) + semiMonthlyDeductions.toFixed(2) + '<br>' +
-'Net: ' + String.fromCharCode(8369) + netTotal.toFixed(2);
-
-
+  });
+  savePayrollTimeZone();
 }
 
 /**
- * Render both semi‑monthly calendars.  This function reads the list of worked
- * weekend dates from localStorage, then regenerates each calendar and
- * updates the period totals.
+ * Returns the current time, or the simulated time in simulation mode.
  */
-function renderCalendars() {
-  // Load persisted data for weekend work and completed weekday earnings
-  loadWorkedWeekendDates();
-  loadCompletedWeekdayEarnings();
-  renderCalendar(1, 'calendar-title-1', 'calendar-grid-1', 'period-total-1');
-  renderCalendar(2, 'calendar-title-2', 'calendar-grid-2', 'period-total-2');
+function getCurrentTime() {
+  return new Date(simulation ? getSimulatedTime() : Date.now());
 }
 
 /**
- * Updates the real‑time earnings display. Detects weekend shifts and applies rest‑day rules.
+ * Returns the calendar date of a timestamp in the payroll time zone.
  */
-function updateDisplay() {
-  const now = getPhilippinesTime();
-  let shiftStart = getShiftStart(now);
-      if (!shiftEnded) {
-        if (!currentShiftStart) {
-            currentShiftStart = shiftStart;
-        }
-    } else {
-        currentShiftStart = null;
-    }
-    shiftStart = currentShiftStart || shiftStart;
-  
-  // Elapsed hours since shift start (in Philippine time)
-  const elapsedHours = Math.max((now.getTime() - shiftStart.getTime()) / (1000 * 60 * 60), 0);
-  // Freeze elapsed hours when shift is manually ended
-  const effectiveElapsedHours = shiftEnded ? endedElapsedHours : elapsedHours;
-  // Subtract unpaid break
-  const paidHoursWorked = Math.max(effectiveElapsedHours - breakDurationHours, 0);
-  // Allow a grace period beyond the scheduled 9 paid hours before overtime applies
-  const maxPaidHoursNoOT = paidShiftHours + gracePeriodMinutes / 60;
-  const baseHours = Math.min(paidHoursWorked, maxPaidHoursNoOT);
-  const overtimeHours = Math.max(paidHoursWorked - maxPaidHoursNoOT, 0);
-  // Detect if the shift started on a weekend (Saturday or Sunday)
-  const isWeekend = shiftStart.getDay() === 0 || shiftStart.getDay() === 6;
-  let baseEarnings;
-  let overtimeEarnings;
-  if (isWeekend) {
-    // Rest‑day pay: first 8 hours at 130%, hours beyond 8 at 169%
-    const weekendBaseHours = Math.min(baseHours, 8);
-    const weekendExtraHours = Math.max(baseHours - 8, 0);
-    baseEarnings = hourlyRate * 1.3 * weekendBaseHours + hourlyRate * 1.69 * weekendExtraHours;
-    // Overtime beyond the nine paid hours (if any) at 169%
-    overtimeEarnings = hourlyRate * 1.69 * overtimeHours;
-  } else {
-    // Weekday pay: all paid hours at regular rate; overtime at 25% premium
-    baseEarnings = hourlyRate * baseHours;
-    overtimeEarnings = hourlyRate * overtimeMultiplier * overtimeHours;
-  }
-  // Night shift premium applies up to 8 hours of work between 10 PM and 6 AM
-  const nightHours = Math.min(baseHours + overtimeHours, 8);
-  const nightEarnings = hourlyRate * nightDiffRate * nightHours;
-  // Mid shift premium is zero for this schedule
-  const midEarnings = 0;
-  // De minimis allowance is not accrued during the shift
-  const allowanceEarnings = 0;
-  // Total earnings
-  const total = baseEarnings + nightEarnings + midEarnings + overtimeEarnings + allowanceEarnings;
-  // Format time worked
-  const displayHours = Math.floor(paidHoursWorked);
-  const displayMinutes = Math.floor(((paidHoursWorked * 3600) % 3600) / 60);
-  const displaySeconds = Math.floor((paidHoursWorked * 3600) % 60);
-  // Update DOM elements
-  document.getElementById('time-worked').textContent = `${displayHours}h ${displayMinutes}m ${displaySeconds}s`;
-  document.getElementById('base-earnings').textContent = formatMoney(baseEarnings);
-  document.getElementById('night-earnings').textContent = formatMoney(nightEarnings);
-  document.getElementById('mid-earnings').textContent = formatMoney(midEarnings);
-  document.getElementById('ot-earnings').textContent = formatMoney(overtimeEarnings);
-  // Update DOM elements (allowance and semi‑monthly metrics have been removed)
-  document.getElementById('total-earnings').textContent = formatMoney(total);
+function getCalendarDate(ms) {
+  return getZonedDate(ms, payrollTimeZone);
+}
 
-  // After updating the display, check if the shift has exceeded the
-  // allowed paid hours without an explicit end. If so, automatically
-  // record the shift once.  This ensures that if the user forgets to
-  // click "End Shift" and continues working, the earnings for the
-  // scheduled portion of the shift (including grace period) are still
-  // captured in the calendar.  Overtime beyond this threshold will
-  // continue to accumulate on screen but will not affect the recorded
-  // weekday earnings.
-  autoRecordIfPastGrace(shiftStart, effectiveElapsedHours);
+/**
+ * Returns today's date in the payroll time zone.
+ */
+function getToday() {
+  return getCalendarDate(getCurrentTime().getTime());
 }
 
-// Initialize display and update every second
-// Call updateDisplay immediately and then every second.  The update
-// function also invokes autoRecordIfPastGrace() to handle automatic
-// recording of shifts when appropriate.
-updateDisplay();
-setInterval(updateDisplay, 1000);
+// Compensation profile
+// Every pay figure is derived from a compensation profile rather than from
+// fixed constants, so each person using the calculator can enter their own
+// salary and shift terms.  The profile is persisted in localStorage under
+// the key 'compensationProfile' together with a schema version so that
+// future fields can be migrated without discarding saved settings.
+// Version 2 moved the shift length and break into the weekly schedule and
+// added the mid shift premium.  Version 3 added separate overtime rates for
+// rest days, holidays and night hours.
+const compensationProfileVersion = 3;
+const defaultCompensationProfile = Object.freeze({
+  version: compensationProfileVersion,
+  monthlySalary: 28200,       // Monthly fixed salary (PHP); half is paid each semi‑monthly period
+  workingDaysPerMonth: 26,    // Average working days used to derive hourly rate【504998637967793†L320-L324】
+  hoursPerDay: 8,             // Standard hours for computing hourly rate
+  nightDiffRate: 0.18,        // Night shift premium (applies 10 PM–6 AM)
+  midShiftDiffRate: 0.1,      // Mid shift premium (applies 6 PM–10 PM)
+  overtimeMultiplier: 1.25,   // Weekday overtime premium【116724529657621†L175-L179】
+  restDayOvertimeMultiplier: 1.69, // Overtime on a rest day (130% rest‑day rate plus 30%)
+  holidayOvertimeFactor: 1.3, // Overtime on a holiday, as a multiple of the holiday's rate
+  nightOvertimeDiffRate: 0.1, // Night differential on overtime hours, on the overtime rate
+  deMinimisMonthly: 2800,     // De minimis allowance, applied only in semi‑monthly calendar totals
+  gracePeriodMinutes: 15      // Minutes past the scheduled end still counted as regular time
+});
+
+// Field descriptors for the settings panel.  They drive both the rendered
+// form and validation so the two can never drift apart.  Fields marked
+// `percent` are stored as fractions but edited as percentages; `money`
+// fields are amounts in the base currency (see "Currency").
+const compensationFields = [
+  { key: 'monthlySalary', label: 'Monthly salary', min: 1, max: 10000000, step: 0.01, money: true },
+  { key: 'workingDaysPerMonth', label: 'Working days per month', min: 1, max: 31, step: 0.5 },
+  { key: 'hoursPerDay', label: 'Standard hours per day', min: 1, max: 24, step: 0.5 },
+  { key: 'nightDiffRate', label: 'Night differential (%)', min: 0, max: 100, step: 0.1, percent: true },
+  { key: 'midShiftDiffRate', label: 'Mid shift differential (%)', min: 0, max: 100, step: 0.1, percent: true },
+  { key: 'overtimeMultiplier', label: 'Ordinary‑day overtime rate (%)', min: 100, max: 500, step: 1, percent: true },
+  { key: 'restDayOvertimeMultiplier', label: 'Rest‑day overtime rate (%)', min: 100, max: 500, step: 1, percent: true },
+  { key: 'holidayOvertimeFactor', label: 'Holiday overtime (% of holiday rate)', min: 100, max: 500, step: 1, percent: true },
+  { key: 'nightOvertimeDiffRate', label: 'Night differential on overtime (%)', min: 0, max: 100, step: 0.1, percent: true },
+  { key: 'deMinimisMonthly', label: 'De minimis allowance per month', min: 0, max: 1000000, step: 0.01, money: true },
+  { key: 'gracePeriodMinutes', label: 'Grace period (minutes)', min: 0, max: 240, step: 1 }
+];
+
+let compensationProfile = Object.assign({}, defaultCompensationProfile);
 
 /**
- * Event listener for the "End Shift" button. Records the elapsed hours
- * at the moment of clicking, freezes updates, and disables the button.
+ * Checks a candidate compensation profile against the field descriptors.
+ * Returns an object mapping field keys to error messages; an empty object
+ * means the profile is valid.  Values are compared in their display unit
+ * (percentages for `percent` fields).
+ *
+ * @param {Object} profile - Candidate profile with numeric fields.
+ * @returns {Object<string, string>} Validation errors keyed by field.
  */
-document.addEventListener('DOMContentLoaded', () => {
-  const endShiftBtn = document.getElementById('end-shift-btn');
-  if (endShiftBtn) {
-    endShiftBtn.addEventListener('click', () => {
-      if (!shiftEnded) {
-        const now = getPhilippinesTime();
-        const start = getShiftStart(now);
-        // Record elapsed hours up to this moment
-        endedElapsedHours = Math.max((now.getTime() - start.getTime()) / (1000 * 60 * 60), 0);
-        shiftEnded = true;
-        endShiftBtn.disabled = true;
-        // Compute final earnings for the shift and record them for the calendar if it is a weekday
-        const paidHours = Math.max(endedElapsedHours - breakDurationHours, 0);
-        const maxHours = paidShiftHours + gracePeriodMinutes / 60;
-        const baseHrs = Math.min(paidHours, maxHours);
-        const otHrs = Math.max(paidHours - maxHours, 0);
-        const weekend = start.getDay() === 0 || start.getDay() === 6;
-        let basePay, otPay;
-        if (weekend) {
-          // Rest‑day pay: first 8 hours at 130%, beyond 8 at 169%
-          const weekendBaseHours = Math.min(baseHrs, 8);
-          const weekendExtraHours = Math.max(baseHrs - 8, 0);
-          basePay = hourlyRate * 1.3 * weekendBaseHours + hourlyRate * 1.69 * weekendExtraHours;
-          otPay = hourlyRate * 1.69 * otHrs;
-        } else {
-          basePay = hourlyRate * baseHrs;
-          otPay = hourlyRate * overtimeMultiplier * otHrs;
+function validateCompensationProfile(profile) {
+  const errors = {};
+  compensationFields.forEach(field => {
+    const raw = profile[field.key];
+    if (typeof raw !== 'number' || !isFinite(raw)) {
+      errors[field.key] = 'Enter a number.';
+      return;
+    }
+    const value = field.percent ? raw * 100 : raw;
+    if (value < field.min || value > field.max) {
+      errors[field.key] = `Must be between ${field.min} and ${field.max}.`;
+    }
+  });
+  return errors;
+}
+
+function loadCompensationProfile() {
+  try {
+    const data = storage.getItem('compensationProfile');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object') {
+        // Fill in any fields missing from older versions with defaults,
+        // then accept the profile only if every field is valid.
+        const merged = Object.assign({}, defaultCompensationProfile);
+        compensationFields.forEach(field => {
+          if (obj[field.key] !== undefined) merged[field.key] = obj[field.key];
+        });
+        if ((obj.version || 1) < 2) {
+          migrateShiftSettingsToSchedule(obj);
         }
-        const nightHrs = Math.min(baseHrs + otHrs, 8);
-        const nightPay = hourlyRate * nightDiffRate * nightHrs;
-        const midPay = 0;
-        const totalPay = basePay + nightPay + midPay + otPay;
-        // Record earnings only for weekday dates; weekend days are handled via manual entry
-        if (!weekend) {
-          const dateStr = start.toISOString().split('T')[0];
-          completedWeekdayEarnings[dateStr] = totalPay;
-          saveCompletedWeekdayEarnings();
+        if (Object.keys(validateCompensationProfile(merged)).length === 0) {
+          compensationProfile = merged;
         }
-        // Re-render calendars to reflect recorded earnings
-        renderCalendars();
       }
-    });
+    }
+  } catch (e) {
+    // Ignore parse errors
   }
+}
 
-  // Load worked weekend dates from storage and render both pay‑period calendars
-  loadWorkedWeekendDates();
-  renderCalendars();
+function saveCompensationProfile() {
+  try {
+    storage.setItem('compensationProfile', JSON.stringify(compensationProfile));
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Restores the default compensation profile and removes the stored copy.
+ */
+function resetCompensationProfile() {
+  compensationProfile = Object.assign({}, defaultCompensationProfile);
+  try {
+    storage.removeItem('compensationProfile');
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Fixed base pay for each semi‑monthly period.
+ */
+function getHalfSalary() {
+  return payroll.getHalfSalary(compensationProfile);
+}
+
+/**
+ * Hourly rate derived from the monthly salary.  It is used to compute
+ * premiums such as night differential and overtime.
+ */
+function getHourlyRate() {
+  return payroll.getHourlyRate(compensationProfile);
+}
+
+// Currency
+// Pay is computed in the base currency the salary is stated in and can
+// also be shown in a display currency, converted with exchange rates the
+// user enters (see currency.js).  The settings are persisted in
+// localStorage under the key 'currencySettings' as { version,
+// baseCurrency, displayCurrency, locale, rates }, where an empty
+// `displayCurrency` shows no second currency, an empty `locale` follows
+// the browser and `rates` maps currency codes to the value of one unit in
+// the base currency.  The contribution and tax tables are in pesos, so
+// with another base currency the amounts are converted for them and back.
+// Changing the base currency converts the amounts stored in the old one
+// with the rate entered for it (see convertStoredAmounts()).
+const currencySettingsVersion = 1;
+
+let currencySettings = createDefaultCurrencySettings();
+// Formatters of the base and the display currency, built on first use
+let moneyFormatters = null;
+
+function createDefaultCurrencySettings() {
+  return { version: currencySettingsVersion, baseCurrency: currency.defaultCurrency, displayCurrency: '', locale: '', rates: {} };
+}
+
+function loadCurrencySettings() {
+  moneyFormatters = null;
+  try {
+    const data = storage.getItem('currencySettings');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object') {
+        const merged = Object.assign(createDefaultCurrencySettings(), obj, { version: currencySettingsVersion });
+        if (Object.keys(currency.validateCurrencySettings(merged)).length === 0) {
+          currencySettings = merged;
+        }
+      }
+    }
+  } catch (e) {
+    // Ignore parse errors
+  }
+}
+
+function saveCurrencySettings() {
+  moneyFormatters = null;
+  try {
+    storage.setItem('currencySettings', JSON.stringify(currencySettings));
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Returns the formatters of the base currency and of the display
+ * currency, the latter null when none is set.
+ */
+function getMoneyFormatters() {
+  if (!moneyFormatters) {
+    const { baseCurrency, displayCurrency, locale } = currencySettings;
+    moneyFormatters = {
+      base: currency.createMoneyFormatter(baseCurrency, locale),
+      display: displayCurrency ? currency.createMoneyFormatter(displayCurrency, locale) : null
+    };
+  }
+  return moneyFormatters;
+}
+
+/**
+ * Formats an amount in the base currency in the display currency, e.g.
+ * "$21.94", or returns null when no display currency is set.
+ */
+function formatDisplayMoney(value) {
+  const formatter = getMoneyFormatters().display;
+  if (!formatter) return null;
+  const converted = currency.convertFromBase(value, currencySettings.displayCurrency, currencySettings);
+  return converted === null ? null : formatter(converted);
+}
+
+/**
+ * Symbol of the base currency, e.g. ₱, for the labels of amount inputs.
+ */
+function getBaseCurrencySymbol() {
+  return currency.getCurrencySymbol(currencySettings.baseCurrency, currencySettings.locale);
+}
+
+/**
+ * Converts an amount between the base currency and pesos, the currency of
+ * the contribution and tax tables.
+ *
+ * @param {number} value - Amount to convert.
+ * @param {boolean} [back] - Convert from pesos into the base currency.
+ */
+function convertStatutoryAmount(value, back) {
+  const code = currency.statutoryCurrency;
+  return back ? currency.convertToBase(value, code, currencySettings) : currency.convertFromBase(value, code, currencySettings);
+}
+
+/**
+ * Deductions of a pay period, like calculatePeriodDeductions() in
+ * contributions.js but with every amount in the base currency.
+ *
+ * @param {{year: number, monthlySalary: number, grossPay: number, deMinimis: number}} params
+ */
+function calculateBaseDeductions(params) {
+  const deductions = calculatePeriodDeductions({
+    year: params.year,
+    monthlySalary: convertStatutoryAmount(params.monthlySalary),
+    grossPay: convertStatutoryAmount(params.grossPay),
+    deMinimis: convertStatutoryAmount(params.deMinimis)
+  });
+  Object.keys(deductions).forEach(key => {
+    deductions[key] = convertStatutoryAmount(deductions[key], true);
+  });
+  return deductions;
+}
+
+/**
+ * Converts a stored amount into a new base currency, rounded to cents.
+ *
+ * @param {number} value - Amount in the old base currency.
+ * @param {number} factor - Value of one unit of the old base currency in the new one.
+ */
+function convertStoredAmount(value, factor) {
+  return Math.round(value * factor * 100) / 100;
+}
+
+/**
+ * Converts every amount stored in the base currency into a new one: the
+ * salary and allowance of the compensation profile, the recorded totals,
+ * the reconciled payslips and their variance threshold, and the goal
+ * amounts.  The period totals keep their own currency.
+ *
+ * @param {number} factor - Value of one unit of the old base currency in the new one.
+ */
+function convertStoredAmounts(factor) {
+  const convert = value => convertStoredAmount(value, factor);
+  loadCompensationProfile();
+  compensationFields.forEach(field => {
+    if (field.money) compensationProfile[field.key] = convert(compensationProfile[field.key]);
+  });
+  saveCompensationProfile();
+  loadCompletedWeekdayEarnings();
+  Object.keys(completedWeekdayEarnings).forEach(dateKey => {
+    completedWeekdayEarnings[dateKey] = convert(completedWeekdayEarnings[dateKey]);
+  });
+  saveCompletedWeekdayEarnings();
+  loadPayslipReconciliation();
+  payslipReconciliation.threshold = convert(payslipReconciliation.threshold);
+  Object.keys(payslipReconciliation.periods).forEach(periodKey => {
+    const actual = payslipReconciliation.periods[periodKey].actual;
+    Object.keys(actual).forEach(line => {
+      actual[line] = convert(actual[line]);
+    });
+  });
+  savePayslipReconciliation();
+  loadEarningsGoals();
+  Object.keys(earningsGoals.goals).forEach(id => {
+    earningsGoals.goals[id].amount = convert(earningsGoals.goals[id].amount);
+  });
+  saveEarningsGoals();
+}
+
+/**
+ * Fills the inputs labelled with the base currency's symbol.
+ */
+function renderCurrencySymbols() {
+  const symbol = getBaseCurrencySymbol();
+  document.querySelectorAll('.currency-symbol').forEach(el => {
+    el.textContent = symbol;
+  });
+}
+
+// Weekly schedule
+// Each day of the week (indexed like Date.getDay(), 0 = Sunday) has its own
+// shift: whether it is a workday, the start time (HH:MM, 24‑hour), the paid
+// hours and the unpaid break.  Days that are not workdays are rest days and
+// are paid with rest‑day rules when work is entered for them.  The schedule
+// is persisted in localStorage under the key 'weeklySchedule'.
+const weeklyScheduleVersion = 1;
+const dayNamesLong = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Builds the default schedule: a 10 PM night shift with 9 paid hours and a
+ * one‑hour break from Monday to Friday, with Saturday and Sunday as rest days.
+ *
+ * @param {number} [paidHours=9] - Paid hours per shift.
+ * @param {number} [breakHours=1] - Unpaid break per shift.
+ */
+function createDefaultWeeklySchedule(paidHours = 9, breakHours = 1) {
+  const days = [];
+  for (let day = 0; day < 7; day++) {
+    days.push({ workday: day !== 0 && day !== 6, start: '22:00', paidHours, breakHours });
+  }
+  return { version: weeklyScheduleVersion, days };
+}
+
+let weeklySchedule = createDefaultWeeklySchedule();
+
+/**
+ * Validates a weekly schedule.  Returns an object mapping day indexes to
+ * error messages; an empty object means the schedule is valid.  Besides
+ * checking each day on its own, a workday shift may not run into the next
+ * day's shift.
+ *
+ * @param {Object} schedule - Candidate schedule with a 7‑entry `days` array.
+ * @returns {Object<number, string>} Validation errors keyed by day index.
+ */
+function validateWeeklySchedule(schedule) {
+  const errors = {};
+  if (!schedule || !Array.isArray(schedule.days) || schedule.days.length !== 7) {
+    return { 0: 'The schedule must contain seven days.' };
+  }
+  schedule.days.forEach((entry, day) => {
+    if (!entry.workday) return;
+    if (isNaN(parseTimeToMinutes(entry.start))) {
+      errors[day] = 'Start time must be HH:MM in 24‑hour format.';
+    } else if (!isFinite(entry.paidHours) || entry.paidHours < 0.5 || entry.paidHours > 24) {
+      errors[day] = 'Paid hours must be between 0.5 and 24.';
+    } else if (!isFinite(entry.breakHours) || entry.breakHours < 0 || entry.breakHours > 8) {
+      errors[day] = 'Break must be between 0 and 8 hours.';
+    } else if (entry.paidHours + entry.breakHours > 24) {
+      errors[day] = 'Paid hours plus break cannot exceed 24 hours.';
+    }
+  });
+  schedule.days.forEach((entry, day) => {
+    const next = schedule.days[(day + 1) % 7];
+    if (!entry.workday || !next.workday || errors[day] || errors[(day + 1) % 7]) return;
+    const end = parseTimeToMinutes(entry.start) + (entry.paidHours + entry.breakHours) * 60;
+    if (end > parseTimeToMinutes(next.start) + 24 * 60) {
+      errors[day] = `Shift runs into ${dayNamesLong[(day + 1) % 7]}'s shift.`;
+    }
+  });
+  return errors;
+}
+
+function loadWeeklySchedule() {
+  try {
+    const data = storage.getItem('weeklySchedule');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object' && Object.keys(validateWeeklySchedule(obj)).length === 0) {
+        weeklySchedule = { version: weeklyScheduleVersion, days: obj.days };
+      }
+    }
+  } catch (e) {
+    // Ignore parse errors
+  }
+}
+
+function saveWeeklySchedule() {
+  try {
+    storage.setItem('weeklySchedule', JSON.stringify(weeklySchedule));
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Version 1 compensation profiles stored a single shift length and break.
+ * When such a profile is loaded and no schedule has been saved yet, seed the
+ * weekly schedule from those values so the user's settings carry over.
+ *
+ * @param {Object} legacyProfile - Stored version 1 profile.
+ */
+function migrateShiftSettingsToSchedule(legacyProfile) {
+  if (storage.getItem('weeklySchedule')) return;
+  const paidHours = Number(legacyProfile.paidShiftHours);
+  const breakHours = Number(legacyProfile.breakDurationHours);
+  const candidate = createDefaultWeeklySchedule(
+    isFinite(paidHours) && paidHours > 0 ? paidHours : 9,
+    isFinite(breakHours) && breakHours >= 0 ? breakHours : 1
+  );
+  if (Object.keys(validateWeeklySchedule(candidate)).length === 0) {
+    weeklySchedule = candidate;
+    saveWeeklySchedule();
+  }
+}
+
+/**
+ * Returns the schedule entry for the day of the week of the given date.
+ */
+function getScheduleForDate(date) {
+  return payroll.getScheduleForDate(weeklySchedule, date);
+}
+
+/**
+ * Whether the given date is a rest day, i.e. not a scheduled workday.
+ */
+function isRestDay(date) {
+  return payroll.isRestDay(weeklySchedule, date);
+}
+
+/**
+ * Returns the scheduled start of the shift that begins on the given date.
+ */
+function getScheduledShiftStart(date) {
+  return payroll.getScheduledShiftStart(weeklySchedule, date, payrollTimeZone);
+}
+
+// Holidays
+// The pay multipliers for work on rest days and holidays are part of the
+// pay rules in payroll.js.  The bundled holiday table lives in
+// holidays.js; holidays the user adds or edits are persisted in
+// localStorage under the key 'customHolidays' and take precedence over the
+// bundled entries.  A custom entry with type
+// 'none' hides a bundled holiday (e.g. one that was moved by proclamation).
+const holidayTypeLabels = { regular: 'Regular holiday', special: 'Special non‑working day' };
+
+let customHolidays = {};
+
+function loadCustomHolidays() {
+  try {
+    const data = storage.getItem('customHolidays');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object') {
+        customHolidays = obj;
+      }
+    }
+  } catch (e) {
+    // Ignore parse errors
+  }
+}
+
+function saveCustomHolidays() {
+  try {
+    storage.setItem('customHolidays', JSON.stringify(customHolidays));
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Returns the holiday that falls on the given date, or null.  Custom
+ * entries override the bundled table.
+ *
+ * @param {Date} date - Calendar date to look up.
+ * @returns {{name: string, type: string, custom: boolean}|null}
+ */
+function getHoliday(date) {
+  const key = formatDateKey(date);
+  if (customHolidays.hasOwnProperty(key)) {
+    const entry = customHolidays[key];
+    return entry.type === 'none' ? null : { name: entry.name, type: entry.type, custom: true };
+  }
+  const bundled = bundledHolidays[key];
+  return bundled ? { name: bundled.name, type: bundled.type, custom: false } : null;
+}
+
+/**
+ * Returns the pay context passed to the pay computation in payroll.js: the
+ * compensation profile, the weekly schedule, the holiday calendar and the
+ * payroll time zone.
+ */
+function getPayContext() {
+  return { profile: compensationProfile, schedule: weeklySchedule, getHoliday, timeZone: payrollTimeZone };
+}
+
+// Object mapping weekday dates (YYYY‑MM‑DD) to earnings recorded before the
+// time log existed, when only a single peso total was stored per shift.
+// These legacy totals are still shown for dates that have no punches.  The
+// state is persisted in the 'completedWeekdayEarnings' object store (see
+// "Dated records").
+let completedWeekdayEarnings = {};
+
+function loadCompletedWeekdayEarnings() {
+  // Kept in memory while the database is open
+  if (dataStore) return;
+  try {
+    const data = storage.getItem('completedWeekdayEarnings');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object') {
+        completedWeekdayEarnings = obj;
+      }
+    }
+  } catch (e) {
+    reportStorageError(new datastore.DataStoreError('read the recorded totals', e));
+  }
+}
+
+function saveCompletedWeekdayEarnings() {
+  saveRecordStore('completedWeekdayEarnings');
+}
+
+// Object mapping dates (YYYY‑MM‑DD) to details entered in the day editor:
+// { type, hours, startTime, breakHours, leave }.  `type` is one of
+// dayTypes.  For worked types, `hours` are the paid hours, `startTime` the
+// shift start (HH:MM, 24‑hour) and `breakHours` the unpaid break taken
+// mid‑shift.  Leave entries carry the kind of leave in `leave` (one of
+// leaveKinds; entries without it are vacation leave) and, like absences,
+// no hours.  An entry replaces the weekly schedule for its date unless the
+// time log has punches for it.  The state is persisted in the 'dayDetails'
+// object store (see "Dated records").
+const dayTypes = ['regular', 'restDay', 'holiday', 'leave', 'absent'];
+const workedDayTypes = ['regular', 'restDay', 'holiday'];
+const dayTypeLabels = {
+  regular: 'Regular workday',
+  restDay: 'Rest day',
+  holiday: 'Holiday',
+  leave: 'Leave',
+  absent: 'Absent'
+};
+const leaveKindLabels = {
+  vacation: 'Vacation leave (VL)',
+  sick: 'Sick leave (SL)',
+  unpaid: 'Unpaid leave'
+};
+const dateKeyPattern = /^\d{4}-\d{2}-\d{2}$/;
+let dayDetails = {};
+
+function loadDayDetails() {
+  // Kept in memory while the database is open
+  if (dataStore) return;
+  try {
+    const data = storage.getItem('dayDetails');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object') {
+        dayDetails = obj;
+      }
+    }
+  } catch (e) {
+    reportStorageError(new datastore.DataStoreError('read the day details', e));
+  }
+  migrateWorkedWeekendDetails();
+}
+
+function saveDayDetails() {
+  saveRecordStore('dayDetails');
+}
+
+/**
+ * Validates a day editor entry.
+ *
+ * @param {{type: string, hours?: number, startTime?: string, breakHours?: number}} entry
+ * @returns {Object<string, string>} Error messages keyed by field; empty when valid.
+ */
+function validateDayDetails(entry) {
+  const errors = {};
+  if (!entry || !dayTypes.includes(entry.type)) {
+    errors.type = 'Choose a day type.';
+    return errors;
+  }
+  if (entry.type === 'leave' && entry.leave !== undefined && !leaveKinds.includes(entry.leave)) {
+    errors.leave = 'Choose the kind of leave.';
+  }
+  if (!workedDayTypes.includes(entry.type)) return errors;
+  if (typeof entry.hours !== 'number' || !isFinite(entry.hours) || entry.hours <= 0 || entry.hours > 24) {
+    errors.hours = 'Enter the paid hours (more than 0, up to 24).';
+  }
+  if (isNaN(parseTimeToMinutes(entry.startTime))) {
+    errors.startTime = 'Use HH:MM in 24‑hour format.';
+  }
+  if (typeof entry.breakHours !== 'number' || !isFinite(entry.breakHours) || entry.breakHours < 0 || entry.breakHours > 8) {
+    errors.breakHours = 'Enter a break of 0 to 8 hours.';
+  } else if (!errors.hours && entry.hours + entry.breakHours > 24) {
+    errors.breakHours = 'Hours and break together cannot exceed 24.';
+  }
+  return errors;
+}
+
+/**
+ * Describes a day type, naming the kind of leave for leave days.
+ */
+function getDayTypeLabel(type, leave) {
+  return type === 'leave' ? leaveKindLabels[leave || 'vacation'] : dayTypeLabels[type];
+}
+
+/**
+ * Converts a date key written by older versions, which derived keys from
+ * toISOString() and so stored the UTC date of local midnight, to the key
+ * of the calendar day it was entered for.
+ */
+function convertLegacyDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  for (let offset = 0; offset <= 1; offset++) {
+    const date = new Date(year, month - 1, day + offset);
+    if (date.toISOString().split('T')[0] === key) return formatDateKey(date);
+  }
+  return key;
+}
+
+/**
+ * Converts rest‑day shifts entered before the day editor existed, stored
+ * as { hours, startTime } under legacy date keys, into 'restDay' entries
+ * without a break.  Invalid entries are dropped.
+ *
+ * @param {Object} entries - Legacy 'workedWeekendDetails' entries.
+ * @returns {Object} Day editor entries keyed by date.
+ */
+function convertWorkedWeekendDetails(entries) {
+  const converted = {};
+  if (!entries || typeof entries !== 'object') return converted;
+  Object.keys(entries).forEach(key => {
+    if (!dateKeyPattern.test(key)) return;
+    const value = entries[key] || {};
+    const entry = { type: 'restDay', hours: Number(value.hours), startTime: value.startTime, breakHours: 0 };
+    if (Object.keys(validateDayDetails(entry)).length === 0) {
+      converted[convertLegacyDateKey(key)] = entry;
+    }
+  });
+  return converted;
+}
+
+/**
+ * Moves rest‑day shifts stored under 'workedWeekendDetails' by older
+ * versions into the day details and removes the old key.  Entries already
+ * present for the same day are kept.
+ */
+function migrateWorkedWeekendDetails() {
+  let legacy = null;
+  try {
+    const data = storage.getItem('workedWeekendDetails');
+    if (!data) return;
+    legacy = JSON.parse(data);
+  } catch (e) {
+    // Ignore parse errors; the old key is removed below
+  }
+  const converted = convertWorkedWeekendDetails(legacy);
+  Object.keys(converted).forEach(key => {
+    if (!dayDetails.hasOwnProperty(key)) dayDetails[key] = converted[key];
+  });
+  saveDayDetails();
+  try {
+    storage.removeItem('workedWeekendDetails');
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+// Leave policy
+// Yearly vacation and sick leave credits, how they accrue and the days
+// carried into each year.  Credits accrue either in full on 1 January
+// ('yearly') or a twelfth at the start of each month ('monthly').  Leave
+// taken is counted from the leave days in the day details.  `carryOver`
+// maps years to { vacation, sick } days brought forward.  The policy is
+// persisted in localStorage under the key 'leavePolicy'.
+const leavePolicyVersion = 1;
+const defaultLeavePolicy = Object.freeze({
+  version: leavePolicyVersion,
+  vacationDaysPerYear: 15,
+  sickDaysPerYear: 15,
+  accrual: 'monthly',
+  carryOver: {}
+});
+const leaveAccrualLabels = { monthly: 'Monthly (1/12 each month)', yearly: 'Yearly (all on 1 January)' };
+
+let leavePolicy = Object.assign({}, defaultLeavePolicy, { carryOver: {} });
+
+/**
+ * Validates a leave policy.
+ *
+ * @returns {Object<string, string>} Error messages keyed by field; empty when valid.
+ */
+function validateLeavePolicy(policy) {
+  const errors = {};
+  ['vacationDaysPerYear', 'sickDaysPerYear'].forEach(key => {
+    const value = policy[key];
+    if (typeof value !== 'number' || !isFinite(value) || value < 0 || value > 365) {
+      errors[key] = 'Enter 0 to 365 days.';
+    }
+  });
+  if (!leaveAccrualLabels.hasOwnProperty(policy.accrual)) {
+    errors.accrual = 'Choose how leave accrues.';
+  }
+  if (!policy.carryOver || typeof policy.carryOver !== 'object') {
+    errors.carryOver = 'Invalid carried‑over balances.';
+  } else {
+    Object.keys(policy.carryOver).forEach(year => {
+      const days = policy.carryOver[year] || {};
+      paidLeaveKinds.forEach(kind => {
+        const value = days[kind];
+        if (value !== undefined && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+          errors.carryOver = 'Carried‑over days must be zero or more.';
+        }
+      });
+    });
+  }
+  return errors;
+}
+
+function loadLeavePolicy() {
+  try {
+    const data = storage.getItem('leavePolicy');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object') {
+        const merged = Object.assign({}, defaultLeavePolicy, obj, { version: leavePolicyVersion });
+        if (Object.keys(validateLeavePolicy(merged)).length === 0) {
+          leavePolicy = merged;
+        }
+      }
+    }
+  } catch (e) {
+    // Ignore parse errors
+  }
+}
+
+function saveLeavePolicy() {
+  try {
+    storage.setItem('leavePolicy', JSON.stringify(leavePolicy));
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Lists the leave and absence entries of a year that fall on scheduled
+ * workdays; leave on a rest day uses no credits and changes no pay.
+ *
+ * @param {number} year - Full year.
+ * @returns {{key: string, date: Date, entry: Object}[]} Entries in date order.
+ */
+function getLeaveDays(year) {
+  return Object.keys(dayDetails)
+    .filter(key => key.startsWith(`${year}-`))
+    .sort()
+    .map(key => ({ key, date: parseDateKey(key), entry: dayDetails[key] }))
+    .filter(item => (item.entry.type === 'leave' || item.entry.type === 'absent') && !isRestDay(item.date));
+}
+
+/**
+ * Computes the vacation and sick leave balances of a year as of today:
+ * days carried over, credits accrued so far, days taken up to today and
+ * days planned after it.  `balance` is what is left today and `available`
+ * what remains after the planned days.  Unpaid leave and absences are
+ * counted separately.
+ *
+ * @param {number} year - Full year.
+ * @returns {{vacation: Object, sick: Object, unpaid: number, absent: number}}
+ */
+function calculateLeaveBalances(year) {
+  const today = getToday();
+  const todayKey = formatDateKey(today);
+  let monthsAccrued;
+  if (year < today.getFullYear()) {
+    monthsAccrued = 12;
+  } else if (year > today.getFullYear()) {
+    monthsAccrued = 0;
+  } else {
+    monthsAccrued = leavePolicy.accrual === 'yearly' ? 12 : today.getMonth() + 1;
+  }
+  const carryOver = leavePolicy.carryOver[year] || {};
+  const balances = { unpaid: 0, absent: 0 };
+  paidLeaveKinds.forEach(kind => {
+    balances[kind] = {
+      carriedOver: carryOver[kind] || 0,
+      accrued: leavePolicy[`${kind}DaysPerYear`] * monthsAccrued / 12,
+      taken: 0,
+      planned: 0
+    };
+  });
+  getLeaveDays(year).forEach(({ key, entry }) => {
+    if (entry.type === 'absent') {
+      balances.absent++;
+      return;
+    }
+    const kind = getLeaveKind(entry);
+    if (!paidLeaveKinds.includes(kind)) {
+      balances.unpaid++;
+    } else if (key <= todayKey) {
+      balances[kind].taken++;
+    } else {
+      balances[kind].planned++;
+    }
+  });
+  paidLeaveKinds.forEach(kind => {
+    const item = balances[kind];
+    item.balance = item.carriedOver + item.accrued - item.taken;
+    item.available = item.balance - item.planned;
+  });
+  return balances;
+}
+
+/**
+ * Formats a number of leave days, e.g. "12.5 days".
+ */
+function formatLeaveDays(days) {
+  const rounded = Math.round(days * 100) / 100;
+  return `${rounded} ${Math.abs(rounded) === 1 ? 'day' : 'days'}`;
+}
+
+// Overtime requests
+// When the employer requires pre‑approval, overtime is paid only up to the
+// hours approved for its shift date; overtime worked beyond them is shown
+// separately and not paid.  The state is persisted in localStorage under
+// the key 'overtimeRequests' as { version, requireApproval, requests },
+// where `requests` maps shift dates (YYYY‑MM‑DD) to { requested, approved,
+// status, reason, updatedAt }.  `approved` holds the approved hours while
+// the status is 'approved' and is null otherwise.
+const overtimeRequestsVersion = 1;
+const overtimeStatusLabels = { pending: 'Pending', approved: 'Approved', rejected: 'Rejected' };
+
+let overtimeRequests = { version: overtimeRequestsVersion, requireApproval: true, requests: {} };
+
+/**
+ * Validates an overtime request.
+ *
+ * @returns {Object<string, string>} Error messages keyed by field; empty when valid.
+ */
+function validateOvertimeRequest(request) {
+  const errors = {};
+  const isHours = value => typeof value === 'number' && isFinite(value) && value > 0 && value <= 24;
+  if (!isHours(request.requested)) {
+    errors.requested = 'Enter more than 0 and at most 24 hours.';
+  }
+  if (!overtimeStatusLabels.hasOwnProperty(request.status)) {
+    errors.status = 'Choose a status.';
+  } else if (request.status === 'approved' && !isHours(request.approved)) {
+    errors.approved = 'Enter the approved hours (at most 24).';
+  }
+  if (request.reason !== undefined && (typeof request.reason !== 'string' || request.reason.length > 200)) {
+    errors.reason = 'Keep the reason under 200 characters.';
+  }
+  return errors;
+}
+
+function loadOvertimeRequests() {
+  try {
+    const data = storage.getItem('overtimeRequests');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object' && obj.requests && typeof obj.requests === 'object') {
+        overtimeRequests = {
+          version: overtimeRequestsVersion,
+          requireApproval: obj.requireApproval !== false,
+          requests: obj.requests
+        };
+      }
+    }
+  } catch (e) {
+    // Ignore parse errors
+  }
+}
+
+function saveOvertimeRequests() {
+  try {
+    storage.setItem('overtimeRequests', JSON.stringify(overtimeRequests));
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Returns the overtime hours that may be paid for a shift date: the
+ * approved hours, 0 without an approved request, or Infinity when
+ * overtime needs no approval.
+ */
+function getApprovedOvertimeHours(dateKey) {
+  if (!overtimeRequests.requireApproval) return Infinity;
+  const request = overtimeRequests.requests[dateKey];
+  return request && request.status === 'approved' ? request.approved : 0;
+}
+
+// Earnings goals
+// Targets to work toward: a monthly earnings target, or the price of a
+// purchase to be earned by a date.  Goals count the earnings of the
+// calendar days before deductions, including the live shift.  The state
+// is persisted in localStorage under the key 'earningsGoals' as { version,
+// goals }, where `goals` maps goal ids to { name, type, amount, start, by }.
+// `type` is one of goalTypeLabels; purchase goals count the days from
+// `start` to `by` (YYYY‑MM‑DD), monthly goals every month's days.
+const earningsGoalsVersion = 1;
+const goalTypeLabels = { monthly: 'Monthly earnings', purchase: 'Purchase by a date' };
+const goalIdPattern = /^goal-[a-z0-9]+$/;
+
+let earningsGoals = { version: earningsGoalsVersion, goals: {} };
+
+/**
+ * Validates an earnings goal.
+ *
+ * @returns {Object<string, string>} Error messages keyed by field; empty when valid.
+ */
+function validateEarningsGoal(goal) {
+  const errors = {};
+  if (typeof goal.name !== 'string' || goal.name.trim() === '' || goal.name.length > 60) {
+    errors.name = 'Enter a name of up to 60 characters.';
+  }
+  if (!goalTypeLabels.hasOwnProperty(goal.type)) {
+    errors.type = 'Choose a kind of goal.';
+  }
+  if (typeof goal.amount !== 'number' || !isFinite(goal.amount) || goal.amount <= 0) {
+    errors.amount = 'Enter an amount greater than 0.';
+  }
+  if (goal.type === 'purchase') {
+    if (!dateKeyPattern.test(goal.start)) errors.start = 'Choose the day to start counting.';
+    if (!dateKeyPattern.test(goal.by)) {
+      errors.by = 'Choose the target date.';
+    } else if (!errors.start && goal.by < goal.start) {
+      errors.by = 'Choose a date on or after the start.';
+    }
+  }
+  return errors;
+}
+
+function loadEarningsGoals() {
+  try {
+    const data = storage.getItem('earningsGoals');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object' && obj.goals && typeof obj.goals === 'object') {
+        earningsGoals = { version: earningsGoalsVersion, goals: obj.goals };
+      }
+    }
+  } catch (e) {
+    // Ignore parse errors
+  }
+}
+
+function saveEarningsGoals() {
+  try {
+    storage.setItem('earningsGoals', JSON.stringify(earningsGoals));
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Computes the progress of a goal.  `earned` counts the days up to today,
+ * today only once a shift is logged or entered for it; `projected` adds
+ * the days still ahead as the calendars estimate them.  The rest days
+ * ahead with no work planned are listed in `restDaysLeft`.
+ *
+ * @param {Object} goal - Goal from earningsGoals.
+ * @param {Date} date - Day whose month is counted for monthly goals.
+ * @param {string} [excludeKey] - Date whose earnings are left out, e.g.
+ *   because the live shift's are added instead.
+ * @returns {{first: Date, last: Date, earned: number, projected: number, restDaysLeft: Date[]}}
+ */
+function calculateGoalProgress(goal, date, excludeKey) {
+  const first = goal.type === 'monthly' ? new Date(date.getFullYear(), date.getMonth(), 1) : parseDateKey(goal.start);
+  const last = goal.type === 'monthly' ? new Date(date.getFullYear(), date.getMonth() + 1, 0) : parseDateKey(goal.by);
+  const todayKey = formatDateKey(getToday());
+  const progress = { first, last, earned: 0, projected: 0, restDaysLeft: [] };
+  for (let day = new Date(first); day <= last; day.setDate(day.getDate() + 1)) {
+    const key = formatDateKey(day);
+    if (key === excludeKey) continue;
+    const breakdown = calculateDailyBreakdown(new Date(day));
+    progress.projected += breakdown.total;
+    if (key < todayKey || (key === todayKey && breakdown.source !== 'scheduled')) {
+      progress.earned += breakdown.total;
+    } else if (breakdown.source === 'off' && isRestDay(day)) {
+      progress.restDaysLeft.push(new Date(day));
+    }
+  }
+  return progress;
+}
+
+/**
+ * Describes what it takes to reach a goal: done, on track with the
+ * scheduled shifts, or the extra rest‑day hours that would close the gap
+ * at the rest‑day rate (without night differential or overtime).
+ *
+ * @param {Object} goal - Goal from earningsGoals.
+ * @param {Object} progress - Result of calculateGoalProgress().
+ */
+function describeGoalOutlook(goal, progress) {
+  if (progress.earned >= goal.amount) return 'Reached.';
+  const lastKey = formatDateKey(progress.last);
+  if (lastKey < formatDateKey(getToday())) return `Not reached by ${lastKey}.`;
+  if (progress.projected >= goal.amount) return `On track: the scheduled shifts cover the rest by ${lastKey}.`;
+  const gap = goal.amount - progress.projected;
+  const rate = getHourlyRate() * payroll.restDayMultiplier;
+  const hours = gap / rate;
+  const restDays = progress.restDaysLeft.length;
+  const spread = restDays > 0
+    ? ` (${restDays} free rest day${restDays === 1 ? '' : 's'} left, about ${formatMinutes(hours * 60 / restDays)} each)`
+    : ' (no free rest days left)';
+  return `${formatMoney(gap)} short of the schedule: about ${formatMinutes(hours * 60)} of extra rest‑day work ` +
+    `at ${formatMoney(rate)}/hour would close the gap${spread}.`;
+}
+
+// Time log
+// Object mapping shift dates (YYYY‑MM‑DD, the day the shift is scheduled to
+// start) to the punches of that shift: { clockIn, breakStart, breakEnd,
+// clockOut } as millisecond timestamps (or null), `autoClockOut` when the
+// clock‑out was recorded automatically after the grace period, and `edits`,
+// an audit trail of manual corrections.  All earnings for punched shifts
+// are recomputed from these timestamps.  The state is persisted in
+// localStorage under the key 'shiftPunches'.
+//
+// The shift on the live display is in one of the states 'notStarted',
+// 'inProgress', 'onBreak' or 'ended' (see getShiftState()).  The state is
+// derived from the punches, so it survives reloads and is the same in
+// every tab; each punch is only accepted in the states listed in
+// shiftTransitions.
+const punchFields = ['clockIn', 'breakStart', 'breakEnd', 'clockOut'];
+const punchFieldLabels = { clockIn: 'Clock in', breakStart: 'Break start', breakEnd: 'Break end', clockOut: 'Clock out' };
+// A clock‑in up to this many hours before a scheduled start belongs to
+// that shift.
+const earlyClockInHours = 2;
+// A finished shift stays on the live display for this many hours after
+// its clock‑out.
+const recentShiftHours = 12;
+// Punches accepted in each state of the current shift
+const shiftTransitions = {
+  notStarted: ['clockIn'],
+  inProgress: ['breakStart', 'clockOut'],
+  onBreak: ['breakEnd', 'clockOut'],
+  ended: ['clockIn']
+};
+
+let shiftPunches = {};
+
+function loadShiftPunches() {
+  try {
+    const data = storage.getItem('shiftPunches');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object') {
+        shiftPunches = obj;
+      }
+    }
+  } catch (e) {
+    // Ignore parse errors
+  }
+}
+
+function saveShiftPunches() {
+  try {
+    storage.setItem('shiftPunches', JSON.stringify(shiftPunches));
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Formats a timestamp as HH:MM (24‑hour) on the payroll time zone's clock.
+ */
+function formatClock(ms) {
+  const parts = getZonedParts(ms, payrollTimeZone);
+  return `${String(parts.hours).padStart(2, '0')}:${String(parts.minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Determines which shift date a clock‑in at the given time belongs to.  A
+ * clock‑in from shortly before a scheduled start until that shift's
+ * scheduled end belongs to the scheduled shift (so a night shift started
+ * before midnight keeps its start date).  Any other clock‑in, such as
+ * rest‑day work, belongs to the calendar date it happens on.
+ */
+function getShiftDateForClockIn(now) {
+  const today = getCalendarDate(now.getTime());
+  for (let offset = -1; offset <= 1; offset++) {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+    if (isRestDay(day)) continue;
+    const entry = getScheduleForDate(day);
+    const start = getScheduledShiftStart(day).getTime();
+    const end = start + (entry.paidHours + entry.breakHours) * msPerHour;
+    if (now.getTime() >= start - earlyClockInHours * msPerHour && now.getTime() < end) {
+      return day;
+    }
+  }
+  return today;
+}
+
+/**
+ * Computes the earnings of a punched shift from its timestamps, paying
+ * overtime up to the hours approved for its date.  See
+ * calculatePunchedShiftEarnings() in payroll.js.
+ *
+ * @param {Date} date - Shift date.
+ * @param {Object} record - Punch record for that date.
+ * @param {number} untilMs - End of the span for punches not yet made.
+ */
+function calculatePunchedShiftEarnings(date, record, untilMs) {
+  return payroll.calculatePunchedShiftEarnings(date, record, untilMs, getPayContext(),
+    getApprovedOvertimeHours(formatDateKey(date)));
+}
+/**
+ * Returns the shift shown on the live display: the most recent punch record
+ * if it is still open, was closed automatically (overtime keeps counting
+ * until the user clocks out), or was clocked out within the last few
+ * hours.  Returns null when there is no such shift.
+ *
+ * @param {number} nowMs - Current time.
+ * @returns {{key: string, record: Object, live: boolean}|null}
+ */
+function getCurrentPunchRecord(nowMs) {
+  let latestKey = null;
+  Object.keys(shiftPunches).forEach(key => {
+    const record = shiftPunches[key];
+    if (record.clockIn == null) return;
+    if (!latestKey || record.clockIn > shiftPunches[latestKey].clockIn) latestKey = key;
+  });
+  if (!latestKey) return null;
+  const record = shiftPunches[latestKey];
+  if (record.clockOut == null) return { key: latestKey, record, live: true };
+  if (nowMs - record.clockOut >= recentShiftHours * msPerHour) return null;
+  return { key: latestKey, record, live: !!record.autoClockOut };
+}
+
+/**
+ * Returns the state of the shift on the live display: 'notStarted' when
+ * there is none, 'onBreak' during its break, 'ended' once it is clocked
+ * out, and 'inProgress' otherwise, including after an automatic clock‑out
+ * while overtime keeps counting.
+ *
+ * @param {{key: string, record: Object, live: boolean}|null} current - Result of getCurrentPunchRecord().
+ */
+function getShiftState(current) {
+  if (!current) return 'notStarted';
+  if (!current.live) return 'ended';
+  const record = current.record;
+  return record.breakStart != null && record.breakEnd == null ? 'onBreak' : 'inProgress';
+}
+
+/**
+ * Whether a punch is accepted for the current shift.  The break can only
+ * be taken once, and not after an automatic clock‑out.
+ *
+ * @param {string} punch - One of punchFields.
+ * @param {{key: string, record: Object, live: boolean}|null} current - Result of getCurrentPunchRecord().
+ */
+function canPunch(punch, current) {
+  if (!shiftTransitions[getShiftState(current)].includes(punch)) return false;
+  return punch !== 'breakStart' || (current.record.breakStart == null && current.record.clockOut == null);
+}
+
+/**
+ * Starts a new shift at the given time.  If a shift has already been
+ * punched for the same shift date the user is asked before replacing it.
+ *
+ * @returns {boolean} Whether a shift was started.
+ */
+function clockIn(now) {
+  if (!canPunch('clockIn', getCurrentPunchRecord(now.getTime()))) return false;
+  const key = formatDateKey(getShiftDateForClockIn(now));
+  if (shiftPunches[key] && shiftPunches[key].clockIn != null) {
+    const replace = window.confirm(`A shift is already logged for ${key}. Replace it with a new clock‑in?`);
+    if (!replace) return false;
+  }
+  shiftPunches[key] = { clockIn: now.getTime(), breakStart: null, breakEnd: null, clockOut: null, autoClockOut: false, edits: [] };
+  saveShiftPunches();
+  return true;
+}
+
+function startBreak(now) {
+  const current = getCurrentPunchRecord(now.getTime());
+  if (!canPunch('breakStart', current)) return;
+  current.record.breakStart = now.getTime();
+  saveShiftPunches();
+}
+
+function endBreak(now) {
+  const current = getCurrentPunchRecord(now.getTime());
+  if (!canPunch('breakEnd', current)) return;
+  current.record.breakEnd = now.getTime();
+  saveShiftPunches();
+}
+
+/**
+ * Clocks out of the current shift.  An open break ends at the same time.
+ * Clocking out after an automatic clock‑out replaces it, so overtime
+ * worked since then is recorded.
+ */
+function clockOut(now) {
+  const current = getCurrentPunchRecord(now.getTime());
+  if (!canPunch('clockOut', current)) return;
+  const record = current.record;
+  if (record.breakStart != null && record.breakEnd == null) {
+    record.breakEnd = now.getTime();
+  }
+  record.clockOut = now.getTime();
+  record.autoClockOut = false;
+  saveShiftPunches();
+}
+
+/**
+ * Returns when the paid hours worked in a shift reach `hours`: the moment
+ * they did, or when they will if work goes on from now without a break.
+ * Returns null while on a break that has not reached them.
+ *
+ * @param {Object} record - Punch record.
+ * @param {number} hours - Paid hours.
+ * @param {number} nowMs - Current time.
+ */
+function getTimeWorkedHoursReached(record, hours, nowMs) {
+  let remaining = hours * msPerHour;
+  const reached = getWorkedSegments(record, nowMs).find(segment => {
+    if (segment.end - segment.start >= remaining) return true;
+    remaining -= segment.end - segment.start;
+    return false;
+  });
+  if (reached) return reached.start + remaining;
+  const working = record.clockOut == null && (record.breakStart == null || record.breakEnd != null);
+  return working ? nowMs + remaining : null;
+}
+
+/**
+ * Automatically clocks out of an open workday shift once the paid hours
+ * worked reach the scheduled paid hours plus the grace period, and plus
+ * the approved overtime when overtime needs approval.  The clock‑out is
+ * recorded at the moment that limit was reached, even when the page was
+ * closed then, and a break started after it is dropped.  The shift stays
+ * live so overtime keeps counting on screen, but it is not recorded unless
+ * the user clocks out explicitly.  A shift waiting for an answer to the
+ * recovery prompt is left alone.
+ *
+ * @param {Date} now - Current time.
+ * @returns {boolean} Whether an automatic clock‑out was recorded.
+ */
+function autoClockOutIfPastGrace(now) {
+  const current = getCurrentPunchRecord(now.getTime());
+  if (!current || current.record.clockOut != null) return false;
+  if (pendingRecovery && pendingRecovery.key === current.key) return false;
+  const date = parseDateKey(current.key);
+  if (isRestDay(date)) return false;
+  const entry = getScheduleForDate(date);
+  const approvedOvertime = overtimeRequests.requireApproval ? getApprovedOvertimeHours(current.key) : 0;
+  const clockOutMs = getTimeWorkedHoursReached(current.record,
+    entry.paidHours + compensationProfile.gracePeriodMinutes / 60 + approvedOvertime, now.getTime());
+  if (clockOutMs === null || clockOutMs > now.getTime()) return false;
+  const record = current.record;
+  if (record.breakStart != null && record.breakEnd == null) {
+    record.breakStart = null;
+  }
+  record.clockOut = clockOutMs;
+  record.autoClockOut = true;
+  saveShiftPunches();
+  return true;
+}
+
+// When the page goes away, mark it as closed normally (see "Shift
+// recovery" below).  Phone browsers do not always fire beforeunload, but
+// they do fire pagehide.  An automatic clock‑out that falls due while no
+// page is open is recorded, at the time it fell due, once the page opens
+// again.
+window.addEventListener('pagehide', () => {
+  if (switchingStorage) return;
+  closeShiftHeartbeat();
+});
+
+/**
+ * Determines the start time of the current shift from the weekly schedule.
+ * A shift stays current until its scheduled end (start + paid hours +
+ * break); after that the next scheduled shift is returned, which may still
+ * lie in the future.  Yesterday's shift is checked first so that shifts
+ * crossing midnight are attributed to the day they started.
+ */
+function getShiftStart(now) {
+  const today = getCalendarDate(now.getTime());
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+    if (isRestDay(day)) continue;
+    const entry = getScheduleForDate(day);
+    const start = getScheduledShiftStart(day);
+    const end = new Date(start.getTime() + (entry.paidHours + entry.breakHours) * 60 * 60 * 1000);
+    if (now < end) {
+      return start;
+    }
+  }
+  // No workdays are scheduled at all; fall back to today's configured start.
+  return getScheduledShiftStart(today);
+}
+
+/**
+ * Calculates semi‑monthly pay for a month, by default the current month.
+ * Only scheduled workdays are included; rest-day work must be tallied separately.
+ * The entire de minimis allowance is added to the first pay period (1–15).
+ *
+ * @param {number} [year] - Full year; defaults with `month` to the current month.
+ * @param {number} [month] - Zero‑based month.
+ */
+function calculateSemiMonthlyPay(year, month) {
+  const sumExpected = dates => dates
+    .filter(date => !isRestDay(date))
+    .reduce((sum, date) => sum + calculateDailyEarningsForDate(date), 0);
+  // Assemble semi‑monthly totals; de minimis paid in first half
+  const pay1 = sumExpected(getPayPeriodDates(1, year, month)) + compensationProfile.deMinimisMonthly;
+  const pay2 = sumExpected(getPayPeriodDates(2, year, month));
+  return { pay1, pay2 };
+}
+
+/**
+ * Formats an amount in the base currency for the configured locale, e.g.
+ * ₱1,234.56.  See "Currency".
+ */
+function formatMoney(value) {
+  return getMoneyFormatters().base(value);
+}
+
+/**
+ * Returns an array of Date objects for a specified pay period of a month.
+ * period = 1 returns dates from 1st to 15th; period = 2 returns 16th to end of month.
+ * When no month is given, the current month in the payroll time zone is used.
+ *
+ * @param {number} period - 1 or 2.
+ * @param {number} [year] - Full year.
+ * @param {number} [month] - Zero‑based month.
+ */
+function getPayPeriodDates(period, year, month) {
+  if (year === undefined || month === undefined) {
+    const today = getToday();
+    year = today.getFullYear();
+    month = today.getMonth();
+  }
+  return payroll.getPayPeriodDates(period, year, month);
+}
+
+/**
+ * Computes the earnings for a given date, itemized by pay component, from
+ * the punches, day editor entry or legacy total stored for it.  See
+ * calculateDayBreakdown() in payroll.js for the rules and the fields of
+ * the result.
+ *
+ * @param {Date} date - Calendar date.
+ * @param {Object|null} [details] - Day editor entry to use instead of the
+ *   stored one (null for none), e.g. to preview an edit.
+ */
+function calculateDailyBreakdown(date, details) {
+  const dateKey = formatDateKey(date);
+  if (details === undefined) details = dayDetails[dateKey] || null;
+  return payroll.calculateDayBreakdown(date, {
+    punches: shiftPunches[dateKey] || null,
+    details,
+    recordedTotal: completedWeekdayEarnings.hasOwnProperty(dateKey) ? completedWeekdayEarnings[dateKey] : undefined,
+    approvedOvertimeHours: getApprovedOvertimeHours(dateKey),
+    nowMs: getCurrentTime().getTime()
+  }, getPayContext());
+}
+
+/**
+ * Computes the total earnings for a given date.  See calculateDailyBreakdown().
+ */
+function calculateDailyEarningsForDate(date) {
+  return calculateDailyBreakdown(date).total;
+}
+
+// Month shown by the pay‑period calendars as { year, month } (zero‑based
+// month).  Null follows the current month in the payroll time zone.
+let displayedMonth = null;
+// Date (YYYY‑MM‑DD) the calendars were last rendered on, so that they are
+// redrawn when the date changes
+let calendarDateKey = null;
+
+/**
+ * Returns the month shown by the pay‑period calendars.
+ *
+ * @returns {{year: number, month: number}}
+ */
+function getDisplayedMonth() {
+  if (displayedMonth) return displayedMonth;
+  const today = getToday();
+  return { year: today.getFullYear(), month: today.getMonth() };
+}
+
+/**
+ * Shows the given month in the calendars, the time log and the year view.
+ * Months outside 0–11 roll over into the neighbouring years.
+ */
+function showMonth(year, month) {
+  const first = new Date(year, month, 1);
+  displayedMonth = { year: first.getFullYear(), month: first.getMonth() };
+  refreshAfterMonthChange();
+}
+
+/**
+ * Moves the calendars forward or back by a number of months.
+ */
+function changeDisplayedMonth(delta) {
+  const { year, month } = getDisplayedMonth();
+  showMonth(year, month + delta);
+}
+
+/**
+ * Returns the calendars to the current month.
+ */
+function showCurrentMonth() {
+  displayedMonth = null;
+  refreshAfterMonthChange();
+}
+
+/**
+ * Totals one pay period: the earnings of each day, the de minimis
+ * allowance in the first period, the itemized deductions and net pay.
+ *
+ * Earnings are itemized for the payslip.  `basic` is the fixed
+ * semi‑monthly salary and `unpaid` the daily rates deducted for unpaid
+ * leave and absences.  `adjustment` covers any other difference between
+ * the salary and the base pay earned on workdays (tardiness, undertime,
+ * extra workdays and legacy recorded totals).  `restDay` is all pay for
+ * regular hours on rest days, including its premium; `holiday` holds the
+ * holiday premiums.  `unapprovedOvertime` is the overtime worked beyond
+ * the approved hours, which is not paid.
+ *
+ * @param {number} period - 1 or 2.
+ * @param {number} year - Full year.
+ * @param {number} month - Zero‑based month.
+ * @returns {{earnings: Object, gross: number, deMinimis: number, deductions: Object, net: number,
+ *   unapprovedOvertime: number}}
+ */
+function calculatePeriodSummary(period, year, month) {
+  const earnings = {
+    hours: 0,
+    basic: getHalfSalary(),
+    adjustment: 0,
+    unpaid: 0,
+    night: 0,
+    mid: 0,
+    overtime: 0,
+    restDay: 0,
+    holiday: 0
+  };
+  let dailyTotal = 0;
+  let workdayBase = 0;
+  let unapprovedOvertime = 0;
+  getPayPeriodDates(period, year, month).forEach(date => {
+    const day = calculateDailyBreakdown(date);
+    dailyTotal += day.total;
+    unapprovedOvertime += day.unapprovedOvertime;
+    earnings.hours += day.hours;
+    earnings.night += day.night;
+    earnings.mid += day.mid;
+    earnings.overtime += day.overtime;
+    earnings.holiday += day.holiday;
+    earnings.unpaid -= day.unpaidBase;
+    if (day.dayType === 'restDay') {
+      earnings.restDay += day.base + day.restDay;
+    } else {
+      workdayBase += day.base;
+    }
+  });
+  earnings.adjustment = workdayBase - earnings.unpaid - earnings.basic;
+  // The calendar days already incorporate the fixed semi‑monthly salary on
+  // a per‑weekday basis; only the de minimis allowance is added on top.
+  const deMinimis = period === 1 ? compensationProfile.deMinimisMonthly : 0;
+  const gross = dailyTotal + deMinimis;
+  const deductions = calculateBaseDeductions({
+    year,
+    monthlySalary: compensationProfile.monthlySalary,
+    grossPay: gross,
+    deMinimis
+  });
+  return { earnings, gross, deMinimis, deductions, net: gross - deductions.total, unapprovedOvertime };
+}
+
+/**
+ * Renders a simple calendar for one pay period of the displayed month.  The calendar shows
+ * day numbers in a grid starting on Monday and includes day‑of‑week labels.
+ * Hovering over a day will display a tooltip with the estimated earnings
+ * calculated via calculateDailyEarningsForDate().  The current day is
+ * highlighted.
+ */
+function renderCalendar(period, titleId, gridId, totalId) {
+  const calendarGrid = document.getElementById(gridId);
+  const calendarTitleEl = document.getElementById(titleId);
+  const totalEl = document.getElementById(totalId);
+  if (!calendarGrid || !calendarTitleEl || !totalEl) return;
+  const { year, month } = getDisplayedMonth();
+  const dates = getPayPeriodDates(period, year, month);
+  if (dates.length === 0) return;
+  const firstDate = dates[0];
+  const options = { month: 'long', year: 'numeric' };
+  calendarTitleEl.textContent = firstDate.toLocaleDateString('en-US', options);
+  calendarGrid.innerHTML = '';
+  // Day labels
+  const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  dayNames.forEach(name => {
+    const label = document.createElement('div');
+    label.className = 'day-label';
+    label.textContent = name;
+    calendarGrid.appendChild(label);
+  });
+  // Offset for alignment (Monday as first column)
+  const offset = (firstDate.getDay() + 6) % 7;
+  for (let i = 0; i < offset; i++) {
+    const empty = document.createElement('div');
+    empty.className = 'calendar-day';
+    empty.style.visibility = 'hidden';
+    calendarGrid.appendChild(empty);
+  }
+  const today = getToday();
+  const nowMs = getCurrentTime().getTime();
+  const dayTotals = [];
+  dates.forEach(dateObj => {
+    const dateKey = formatDateKey(dateObj);
+    const breakdown = calculateDailyBreakdown(dateObj);
+    const earnings = breakdown.total;
+    dayTotals.push({ key: dateKey, total: earnings });
+    const cell = document.createElement('div');
+    cell.className = 'calendar-day';
+    // Highlight current day
+    if (dateObj.toDateString() === today.toDateString()) {
+      cell.classList.add('today');
+    }
+    // Mark rest days from the weekly schedule, and days with an entry from
+    // the day editor: worked days, leave and absences
+    if (isRestDay(dateObj)) {
+      cell.classList.add('rest-day');
+    }
+    const converted = formatDisplayMoney(earnings);
+    const tooltipParts = [converted ? `${formatMoney(earnings)} (${converted})` : formatMoney(earnings)];
+    const details = dayDetails[dateKey];
+    if (details) {
+      if (workedDayTypes.includes(details.type)) {
+        cell.classList.add('worked');
+      } else if (details.type === 'leave') {
+        cell.classList.add('leave', `leave-${getLeaveKind(details)}`);
+      } else {
+        cell.classList.add(details.type);
+      }
+      tooltipParts.push(getDayTypeLabel(details.type, details.leave));
+    }
+    // Mark holidays by type and name them in the tooltip
+    const holiday = getHoliday(dateObj);
+    if (holiday) {
+      cell.classList.add('holiday', `holiday-${holiday.type}`);
+      tooltipParts.push(holiday.name);
+    }
+    // Mark days with punches in the time log, flagging tardiness and undertime
+    const punches = shiftPunches[dateKey];
+    if (punches && punches.clockIn != null) {
+      cell.classList.add('punched');
+      const punched = calculatePunchedShiftEarnings(dateObj, punches, nowMs);
+      if (punched.tardyMinutes >= 1) tooltipParts.push(`late ${formatMinutes(punched.tardyMinutes)}`);
+      if (punched.undertimeMinutes >= 1) tooltipParts.push(`undertime ${formatMinutes(punched.undertimeMinutes)}`);
+      if (punched.tardyMinutes >= 1 || punched.undertimeMinutes >= 1) cell.classList.add('irregular');
+    }
+    // Flag overtime worked without approval; it is not paid
+    if (breakdown.unapprovedHours * 60 >= 1) {
+      cell.classList.add('irregular');
+      tooltipParts.push(`unapproved OT ${formatMinutes(breakdown.unapprovedHours * 60)}`);
+    }
+    cell.textContent = dateObj.getDate();
+    cell.dataset.date = dateKey;
+    const tooltip = document.createElement('span');
+    tooltip.className = 'tooltip';
+    tooltip.textContent = tooltipParts.join(' · ');
+    cell.appendChild(tooltip);
+    // Any day opens the day editor
+    cell.addEventListener('click', () => openDayEditor(dateKey));
+    calendarGrid.appendChild(cell);
+  });
+  // Itemize the period total: gross pay with the de minimis allowance,
+  // the employee deductions and net pay
+  const summary = calculatePeriodSummary(period, year, month);
+  renderPeriodBreakdown(totalEl, summary.gross, summary.deductions);
+  recordPeriodTotals(getPeriodKey(period, year, month), summary);
+  if (summary.unapprovedOvertime >= 0.005) {
+    const row = document.createElement('div');
+    row.className = 'breakdown-line flagged';
+    const label = document.createElement('span');
+    label.textContent = 'Unapproved overtime (not paid)';
+    const value = document.createElement('span');
+    value.textContent = formatMoney(summary.unapprovedOvertime);
+    row.appendChild(label);
+    row.appendChild(value);
+    totalEl.appendChild(row);
+  }
+  // Show the net of the official payslip once it has been reconciled
+  const comparison = compareWithPayslip(getPeriodKey(period, year, month));
+  if (comparison) {
+    const net = comparison.lines.find(line => line.key === 'net');
+    const row = document.createElement('div');
+    row.className = `breakdown-line ${comparison.flagged ? 'flagged' : 'reconciled'}`;
+    const label = document.createElement('span');
+    label.textContent = comparison.flagged ? 'Payslip net (check variance)' : 'Payslip net';
+    const value = document.createElement('span');
+    value.textContent = formatMoney(net.actual);
+    row.appendChild(label);
+    row.appendChild(value);
+    totalEl.appendChild(row);
+  }
+  renderPeriodGoals(totalEl, dayTotals);
+  const payslipBtn = document.createElement('button');
+  payslipBtn.type = 'button';
+  payslipBtn.className = 'link-button';
+  payslipBtn.textContent = 'View payslip';
+  payslipBtn.addEventListener('click', () => openPayslip(period, year, month));
+  totalEl.appendChild(payslipBtn);
+}
+
+/**
+ * Writes the itemized totals of a pay period: gross pay, each deduction,
+ * total deductions and net pay, also in the display currency when one is
+ * set.
+ *
+ * @param {HTMLElement} totalEl - Container beneath the period's calendar.
+ * @param {number} grossPay - Gross pay for the period.
+ * @param {Object} deductions - Result of calculatePeriodDeductions().
+ */
+function renderPeriodBreakdown(totalEl, grossPay, deductions) {
+  const lines = [
+    { label: 'Gross', value: grossPay },
+    { label: 'Withholding tax', value: -deductions.withholdingTax },
+    { label: 'SSS', value: -deductions.sss },
+    { label: 'SSS MPF', value: -deductions.sssMpf, optional: true },
+    { label: 'PhilHealth', value: -deductions.philHealth },
+    { label: 'Pag‑IBIG', value: -deductions.pagIbig },
+    { label: 'Total deductions', value: -deductions.total, className: 'subtotal' },
+    { label: 'Net', value: grossPay - deductions.total, className: 'net' }
+  ];
+  const convertedNet = formatDisplayMoney(grossPay - deductions.total);
+  if (convertedNet) {
+    lines.push({ label: `Net in ${currencySettings.displayCurrency}`, text: convertedNet, className: 'converted' });
+  }
+  totalEl.innerHTML = '';
+  lines.forEach(line => {
+    if (line.optional && line.value === 0) return;
+    const row = document.createElement('div');
+    row.className = line.className ? `breakdown-line ${line.className}` : 'breakdown-line';
+    const label = document.createElement('span');
+    label.textContent = line.label;
+    const value = document.createElement('span');
+    if (line.text) {
+      value.textContent = line.text;
+    } else {
+      value.textContent = line.value < 0 ? `−${formatMoney(-line.value)}` : formatMoney(line.value);
+    }
+    row.appendChild(label);
+    row.appendChild(value);
+    totalEl.appendChild(row);
+  });
+}
+
+/**
+ * Render both semi‑monthly calendars.  This function reloads the records
+ * kept in localStorage, then regenerates each calendar and updates the
+ * period totals.  The dated records are already in memory (see "Dated
+ * records").
+ */
+function renderCalendars() {
+  calendarDateKey = formatDateKey(getToday());
+  // Load persisted data for custom holidays, the time log, reconciled
+  // payslips, overtime requests and goals
+  loadCustomHolidays();
+  loadShiftPunches();
+  loadPayslipReconciliation();
+  loadOvertimeRequests();
+  loadEarningsGoals();
+  goalProgressCache = null;
+  renderCalendar(1, 'calendar-title-1', 'calendar-grid-1', 'period-total-1');
+  renderCalendar(2, 'calendar-title-2', 'calendar-grid-2', 'period-total-2');
+  // "This month" only applies while another month is displayed
+  const currentBtn = document.getElementById('calendar-current');
+  if (currentBtn) currentBtn.disabled = displayedMonth === null;
+  renderYearSummary();
+  renderAnnualProjection();
+  renderAnalytics();
+  renderOvertimeList();
+  renderGoalList();
+  renderHouseholdView();
+  if (payslipPeriod) renderPayslip();
+}
+
+/**
+ * Fills the year‑at‑a‑glance table with the gross pay, deductions and net
+ * pay of every pay period in the displayed year, plus the year's totals.
+ * Periods without logged shifts are estimated from the weekly schedule,
+ * like the calendar days.
+ */
+function renderYearSummary() {
+  const tbody = document.getElementById('year-rows');
+  const totalsRow = document.getElementById('year-totals');
+  const titleEl = document.getElementById('year-title');
+  if (!tbody) return;
+  const shown = getDisplayedMonth();
+  if (titleEl) titleEl.textContent = `Pay periods in ${shown.year}`;
+  tbody.innerHTML = '';
+  const totals = { gross: 0, deductions: 0, net: 0 };
+  for (let month = 0; month < 12; month++) {
+    const monthName = new Date(shown.year, month, 1).toLocaleDateString('en-US', { month: 'short' });
+    const lastDay = new Date(shown.year, month + 1, 0).getDate();
+    [1, 2].forEach(period => {
+      const summary = calculatePeriodSummary(period, shown.year, month);
+      totals.gross += summary.gross;
+      totals.deductions += summary.deductions.total;
+      totals.net += summary.net;
+      const row = document.createElement('tr');
+      if (month === shown.month) row.className = 'selected';
+      const cells = [
+        period === 1 ? `${monthName} 1–15` : `${monthName} 16–${lastDay}`,
+        formatMoney(summary.gross),
+        formatMoney(summary.deductions.total),
+        formatMoney(summary.net)
+      ];
+      cells.forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      const actions = document.createElement('td');
+      const viewBtn = document.createElement('button');
+      viewBtn.type = 'button';
+      viewBtn.className = 'link-button';
+      viewBtn.textContent = 'View';
+      viewBtn.addEventListener('click', () => showMonth(shown.year, month));
+      actions.appendChild(viewBtn);
+      const payslipBtn = document.createElement('button');
+      payslipBtn.type = 'button';
+      payslipBtn.className = 'link-button';
+      payslipBtn.textContent = 'Payslip';
+      payslipBtn.addEventListener('click', () => openPayslip(period, shown.year, month));
+      actions.appendChild(payslipBtn);
+      row.appendChild(actions);
+      tbody.appendChild(row);
+    });
+  }
+  if (totalsRow) {
+    totalsRow.innerHTML = '';
+    ['Total', formatMoney(totals.gross), formatMoney(totals.deductions), formatMoney(totals.net), ''].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      totalsRow.appendChild(cell);
+    });
+  }
+}
+
+// Shift recovery
+// While a shift is open, every open tab records when it last ran in
+// localStorage under the key 'shiftHeartbeat' as { version, key, lastSeen,
+// closed }: the shift date, the time of the last update and whether the
+// page was then closed normally.  If the page opens on the same open shift
+// while the heartbeat stopped long ago without being closed, the browser
+// or the computer must have crashed, and the user is asked whether they
+// kept working, clocked out when the page was last open, or want to
+// correct the punches.
+const shiftHeartbeatVersion = 1;
+const heartbeatIntervalMs = 30 * 1000;
+// A heartbeat older than this means no page was open in the meantime
+const heartbeatTimeoutMs = 2 * 60 * 1000;
+
+// Interrupted shift awaiting an answer to the recovery prompt, as
+// { key, lastSeen }, or null
+let pendingRecovery = null;
+let lastHeartbeatMs = null;
+
+function loadShiftHeartbeat() {
+  try {
+    const data = storage.getItem('shiftHeartbeat');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj.key === 'string' && isFinite(obj.lastSeen)) return obj;
+    }
+  } catch (e) {
+    // Ignore parse errors
+  }
+  return null;
+}
+
+function saveShiftHeartbeat(heartbeat) {
+  try {
+    storage.setItem('shiftHeartbeat', JSON.stringify(Object.assign({ version: shiftHeartbeatVersion }, heartbeat)));
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Records that the page is running the current shift, at most once per
+ * heartbeat interval.  Nothing is recorded while no shift is open or while
+ * the recovery prompt is waiting for an answer.
+ *
+ * @param {Date} now - Current time.
+ * @param {{key: string, record: Object, live: boolean}|null} current - Result of getCurrentPunchRecord().
+ */
+function recordShiftHeartbeat(now, current) {
+  const state = getShiftState(current);
+  if (pendingRecovery || (state !== 'inProgress' && state !== 'onBreak')) return;
+  if (lastHeartbeatMs !== null && Math.abs(now.getTime() - lastHeartbeatMs) < heartbeatIntervalMs) return;
+  lastHeartbeatMs = now.getTime();
+  saveShiftHeartbeat({ key: current.key, lastSeen: lastHeartbeatMs, closed: false });
+}
+
+/**
+ * Marks the heartbeat as closed normally.  Another open tab clears the
+ * mark again with its next heartbeat.
+ */
+function closeShiftHeartbeat() {
+  const heartbeat = loadShiftHeartbeat();
+  if (!heartbeat || heartbeat.closed || pendingRecovery) return;
+  heartbeat.closed = true;
+  saveShiftHeartbeat(heartbeat);
+}
+
+/**
+ * Returns the shift interrupted by a crash, as { key, lastSeen }: the open
+ * shift whose heartbeat stopped more than heartbeatTimeoutMs ago without
+ * the page being closed normally.  Returns null when there is none.
+ *
+ * @param {number} nowMs - Current time.
+ */
+function findInterruptedShift(nowMs) {
+  const heartbeat = loadShiftHeartbeat();
+  if (!heartbeat || heartbeat.closed || nowMs - heartbeat.lastSeen < heartbeatTimeoutMs) return null;
+  const current = getCurrentPunchRecord(nowMs);
+  if (!current || current.record.clockOut != null || current.key !== heartbeat.key) return null;
+  if (heartbeat.lastSeen < current.record.clockIn) return null;
+  return { key: heartbeat.key, lastSeen: heartbeat.lastSeen };
+}
+
+/**
+ * Shows or hides the recovery prompt for the interrupted shift.
+ */
+function renderShiftRecovery() {
+  const banner = document.getElementById('recovery-banner');
+  if (!banner) return;
+  const record = pendingRecovery ? shiftPunches[pendingRecovery.key] : null;
+  banner.hidden = !record;
+  if (!record) return;
+  const lastSeen = formatDateTimeLocal(pendingRecovery.lastSeen).replace('T', ' ');
+  document.getElementById('recovery-message').textContent =
+    `The page closed unexpectedly during your shift of ${pendingRecovery.key}, which started at ` +
+    `${formatClock(record.clockIn)}. It was last open at ${lastSeen}. Were you still working?`;
+  document.getElementById('recovery-clock-out').textContent = `Clock out at ${formatClock(pendingRecovery.lastSeen)}`;
+}
+
+/**
+ * Closes the interrupted shift at the time the page was last open.  An
+ * open break ends then too, and the correction is noted in the audit
+ * trail.
+ */
+function clockOutInterruptedShift() {
+  loadShiftPunches();
+  const record = shiftPunches[pendingRecovery.key];
+  if (!record || record.clockOut != null) return;
+  const at = pendingRecovery.lastSeen;
+  const changes = { clockOut: [null, at] };
+  if (record.breakStart != null && record.breakEnd == null) {
+    changes.breakEnd = [null, at];
+    record.breakEnd = at;
+  }
+  record.clockOut = at;
+  record.autoClockOut = false;
+  record.edits = (record.edits || []).concat([{ at: getCurrentTime().getTime(),
+    note: 'Clocked out when the page was last open, after it closed unexpectedly.', changes }]);
+  saveShiftPunches();
+}
+
+/**
+ * Wires the buttons of the recovery prompt.
+ */
+function initShiftRecovery() {
+  const banner = document.getElementById('recovery-banner');
+  if (!banner) return;
+  renderShiftRecovery();
+  const actions = {
+    'recovery-resume': () => {},
+    'recovery-clock-out': clockOutInterruptedShift,
+    'recovery-review': () => {
+      const panel = document.getElementById('time-log-panel');
+      if (panel) panel.open = true;
+      openPunchEditor(pendingRecovery.key);
+    }
+  };
+  Object.keys(actions).forEach(id => {
+    document.getElementById(id).addEventListener('click', () => {
+      if (!pendingRecovery) return;
+      actions[id]();
+      pendingRecovery = null;
+      lastHeartbeatMs = null;
+      renderShiftRecovery();
+      refreshAfterPunch();
+    });
+  });
+}
+
+// Reminders
+// Opt‑in reminders of shift events: the shift start, the scheduled break,
+// its end, the scheduled end of the shift, the end of the grace period
+// before the automatic clock‑out, and the start of overtime.  Each can be
+// turned off or given a lead time in minutes.  A reminder is shown on the
+// page and, with the user's permission, as a desktop notification; it can
+// be snoozed from the page.  The settings are persisted in localStorage
+// under the key 'reminderSettings' as { version, enabled, snoozeMinutes,
+// reminders, shiftNotification }, where `reminders` maps each kind to {
+// on, minutes } and `shiftNotification` keeps a notification up while a
+// shift is in progress (see "Installable app" below).  The
+// reminders already shown are kept under the key 'reminderLog' as {
+// version, events }, mapping event ids to { shownAt, snoozedUntil }, so
+// that a reminder is shown once across tabs and reloads.
+const reminderSettingsVersion = 1;
+const reminderKindLabels = {
+  shiftStart: 'Shift start',
+  breakStart: 'Break start',
+  breakEnd: 'Break end',
+  shiftEnd: 'Scheduled end of the shift',
+  graceEnding: 'Grace period ending',
+  overtime: 'Overtime accruing'
+};
+const defaultReminderMinutes = { shiftStart: 10, breakStart: 0, breakEnd: 0, shiftEnd: 0, graceEnding: 5, overtime: 0 };
+// A reminder is dropped when it could not be shown within this time, e.g.
+// because no page was open.  One given ahead of its event is also dropped
+// once the event has happened.
+const reminderWindowMs = 30 * 60 * 1000;
+// Shown reminders are forgotten after this time
+const reminderLogDays = 2;
+
+let reminderSettings = createDefaultReminderSettings();
+let reminderLog = { version: reminderSettingsVersion, events: {} };
+// Reminder shown on the page, or null
+let activeReminder = null;
+
+function createDefaultReminderSettings() {
+  const reminders = {};
+  Object.keys(reminderKindLabels).forEach(kind => {
+    reminders[kind] = { on: true, minutes: defaultReminderMinutes[kind] };
+  });
+  return { version: reminderSettingsVersion, enabled: false, snoozeMinutes: 5, reminders, shiftNotification: false };
+}
+
+/**
+ * Validates reminder settings.
+ *
+ * @returns {Object<string, string>} Error messages keyed by reminder kind
+ *   or 'snoozeMinutes'; empty when valid.
+ */
+function validateReminderSettings(settings) {
+  const errors = {};
+  const isMinutes = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+  Object.keys(reminderKindLabels).forEach(kind => {
+    const reminder = settings.reminders[kind];
+    if (!reminder || typeof reminder.on !== 'boolean' || !isMinutes(reminder.minutes, 0, 120)) {
+      errors[kind] = 'Enter whole minutes from 0 to 120.';
+    }
+  });
+  if (!isMinutes(settings.snoozeMinutes, 1, 60)) {
+    errors.snoozeMinutes = 'Enter whole minutes from 1 to 60.';
+  }
+  return errors;
+}
+
+function loadReminderSettings() {
+  try {
+    const data = storage.getItem('reminderSettings');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object') {
+        // Kinds missing from older versions keep their defaults
+        const merged = createDefaultReminderSettings();
+        merged.enabled = obj.enabled === true;
+        merged.shiftNotification = obj.shiftNotification === true;
+        if (obj.snoozeMinutes !== undefined) merged.snoozeMinutes = obj.snoozeMinutes;
+        Object.keys(reminderKindLabels).forEach(kind => {
+          if (obj.reminders && obj.reminders[kind]) merged.reminders[kind] = obj.reminders[kind];
+        });
+        if (Object.keys(validateReminderSettings(merged)).length === 0) {
+          reminderSettings = merged;
+        }
+      }
+    }
+  } catch (e) {
+    // Ignore parse errors
+  }
+}
+
+function saveReminderSettings() {
+  try {
+    storage.setItem('reminderSettings', JSON.stringify(reminderSettings));
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+function loadReminderLog() {
+  try {
+    const data = storage.getItem('reminderLog');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object' && obj.events && typeof obj.events === 'object') {
+        reminderLog = { version: reminderSettingsVersion, events: obj.events };
+      }
+    }
+  } catch (e) {
+    // Ignore parse errors
+  }
+}
+
+/**
+ * Stores the reminder log, forgetting reminders shown long ago.
+ */
+function saveReminderLog(nowMs) {
+  Object.keys(reminderLog.events).forEach(id => {
+    const entry = reminderLog.events[id];
+    if (nowMs - Math.max(entry.shownAt, entry.snoozedUntil || 0) > reminderLogDays * 24 * msPerHour) {
+      delete reminderLog.events[id];
+    }
+  });
+  try {
+    storage.setItem('reminderLog', JSON.stringify(reminderLog));
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Lists the shift events to remind of at the moment: the start of the
+ * next shift while not clocked in, and the break, scheduled end, end of
+ * the grace period and start of overtime of the open shift.  Each event
+ * has an id naming its kind and shift date, its time and the text shown.
+ * Events that no longer apply, e.g. a break already taken, are left out.
+ *
+ * @param {Date} now - Current time.
+ * @param {{key: string, record: Object, live: boolean}|null} current - Result of getCurrentPunchRecord().
+ * @returns {Array<{id: string, kind: string, at: number, title: string, body: string}>}
+ */
+function getReminderEvents(now, current) {
+  const nowMs = now.getTime();
+  const events = [];
+  const add = (kind, key, at, title, body) => events.push({ id: `${kind}:${key}`, kind, at, title, body });
+  const state = getShiftState(current);
+  if (state === 'notStarted' || state === 'ended') {
+    const start = getShiftStart(now).getTime();
+    const key = formatDateKey(getCalendarDate(start));
+    const record = shiftPunches[key];
+    if (!record || record.clockIn == null) {
+      add('shiftStart', key, start, `Your shift starts at ${formatClock(start)}`, 'Clock in when you begin.');
+    }
+    return events;
+  }
+  const record = current.record;
+  const date = parseDateKey(current.key);
+  if (isRestDay(date)) return events;
+  const entry = getScheduleForDate(date);
+  const start = getScheduledShiftStart(date).getTime();
+  const end = start + (entry.paidHours + entry.breakHours) * msPerHour;
+  const graceHours = compensationProfile.gracePeriodMinutes / 60;
+  if (!record.autoClockOut) {
+    if (entry.breakHours > 0 && record.breakStart == null) {
+      const breakStart = start + entry.paidHours / 2 * msPerHour;
+      add('breakStart', current.key, breakStart, `Break time at ${formatClock(breakStart)}`,
+        'Click Start Break when you go on your break.');
+    }
+    if (state === 'onBreak') {
+      const breakEnd = record.breakStart + entry.breakHours * msPerHour;
+      add('breakEnd', current.key, breakEnd, `Your break ends at ${formatClock(breakEnd)}`,
+        'Click End Break when you are back.');
+    }
+    add('shiftEnd', current.key, end, `${formatClock(end)} – end your shift`,
+      'The scheduled shift is over. Clock out when you stop working.');
+  }
+  if (state !== 'inProgress') return events;
+  const approvedOvertime = getApprovedOvertimeHours(current.key);
+  if (!record.autoClockOut) {
+    const graceEnd = getTimeWorkedHoursReached(record,
+      entry.paidHours + graceHours + (overtimeRequests.requireApproval ? approvedOvertime : 0), nowMs);
+    add('graceEnding', current.key, graceEnd, `Automatic clock‑out at ${formatClock(graceEnd)}`,
+      'The grace period is ending. Clock out now, or overtime after that is only recorded when you clock out.');
+  }
+  const overtimeStart = getTimeWorkedHoursReached(record, entry.paidHours + graceHours, nowMs);
+  let overtimeNote = 'Clock out when you stop working to record it.';
+  if (overtimeRequests.requireApproval) {
+    overtimeNote = approvedOvertime > 0
+      ? `Up to ${formatMinutes(approvedOvertime * 60)} of approved overtime is paid.`
+      : 'Overtime without approval is not paid.';
+  }
+  add('overtime', current.key, overtimeStart, 'Overtime is now accruing', overtimeNote);
+  return events;
+}
+
+/**
+ * Shows the reminders that have fallen due and were not shown yet, or
+ * whose snooze has run out.  The log is read again first, so a reminder
+ * shown in another tab is not shown twice.
+ *
+ * @param {Date} now - Current time.
+ * @param {{key: string, record: Object, live: boolean}|null} current - Result of getCurrentPunchRecord().
+ */
+function checkReminders(now, current) {
+  if (!reminderSettings.enabled) return;
+  const nowMs = now.getTime();
+  const isDue = event => {
+    const reminder = reminderSettings.reminders[event.kind];
+    if (!reminder.on || event.at === null) return false;
+    const logged = reminderLog.events[event.id];
+    if (logged) return logged.snoozedUntil != null && nowMs >= logged.snoozedUntil;
+    const at = event.at - reminder.minutes * 60000;
+    const until = reminder.minutes > 0 ? Math.min(event.at, at + reminderWindowMs) : at + reminderWindowMs;
+    return nowMs >= at && nowMs < until;
+  };
+  if (!getReminderEvents(now, current).some(isDue)) return;
+  loadReminderLog();
+  const due = getReminderEvents(now, current).filter(isDue);
+  if (due.length === 0) return;
+  due.forEach(event => {
+    reminderLog.events[event.id] = { shownAt: nowMs, snoozedUntil: null };
+    showReminder(event);
+  });
+  saveReminderLog(nowMs);
+}
+
+/**
+ * Shows a reminder on the page and, when allowed, as a desktop
+ * notification.  Clicking the notification brings the page forward,
+ * where the reminder can be snoozed.
+ */
+function showReminder(event) {
+  activeReminder = event;
+  renderReminderBanner();
+  showAppNotification(event.title, { body: event.body, tag: event.id });
+}
+
+function renderReminderBanner() {
+  const banner = document.getElementById('reminder-banner');
+  if (!banner) return;
+  banner.hidden = !activeReminder;
+  if (!activeReminder) return;
+  document.getElementById('reminder-message').textContent = `${activeReminder.title}. ${activeReminder.body}`;
+  document.getElementById('reminder-snooze').textContent = `Snooze ${reminderSettings.snoozeMinutes} min`;
+}
+
+/**
+ * Snoozes the reminder shown on the page, so it is shown again after the
+ * snooze time if it still applies.
+ */
+function snoozeReminder() {
+  if (!activeReminder) return;
+  const nowMs = getCurrentTime().getTime();
+  loadReminderLog();
+  reminderLog.events[activeReminder.id] = {
+    shownAt: nowMs,
+    snoozedUntil: nowMs + reminderSettings.snoozeMinutes * 60000
+  };
+  saveReminderLog(nowMs);
+  activeReminder = null;
+  renderReminderBanner();
+}
+
+/**
+ * Describes whether desktop notifications can be shown.
+ */
+function describeNotificationPermission() {
+  if (typeof Notification === 'undefined') {
+    return 'This browser cannot show desktop notifications; reminders appear on this page only.';
+  }
+  if (Notification.permission === 'granted') return 'Desktop notifications are allowed.';
+  if (Notification.permission === 'denied') {
+    return 'Desktop notifications are blocked in the browser settings; reminders appear on this page only.';
+  }
+  return 'The browser asks for permission to show desktop notifications when reminders are turned on.';
+}
+
+/**
+ * Builds one row per kind of reminder in the reminder settings and fills
+ * the form from the active settings.
+ */
+function renderReminderForm() {
+  const tbody = document.getElementById('reminder-rows');
+  if (!tbody) return;
+  tbody.innerHTML = '';
+  Object.keys(reminderKindLabels).forEach(kind => {
+    const reminder = reminderSettings.reminders[kind];
+    const row = document.createElement('tr');
+    const nameCell = document.createElement('td');
+    nameCell.textContent = reminderKindLabels[kind];
+    row.appendChild(nameCell);
+    const onCell = document.createElement('td');
+    const onInput = document.createElement('input');
+    onInput.type = 'checkbox';
+    onInput.id = `reminder-${kind}-on`;
+    onInput.checked = reminder.on;
+    onInput.setAttribute('aria-label', `${reminderKindLabels[kind]} reminder`);
+    onCell.appendChild(onInput);
+    row.appendChild(onCell);
+    const minutesCell = document.createElement('td');
+    const minutesInput = document.createElement('input');
+    minutesInput.type = 'number';
+    minutesInput.id = `reminder-${kind}-minutes`;
+    minutesInput.min = 0;
+    minutesInput.max = 120;
+    minutesInput.step = 1;
+    minutesInput.value = reminder.minutes;
+    minutesInput.setAttribute('aria-label', `${reminderKindLabels[kind]} minutes before`);
+    minutesCell.appendChild(minutesInput);
+    row.appendChild(minutesCell);
+    const errorCell = document.createElement('td');
+    errorCell.className = 'field-error';
+    errorCell.id = `reminder-${kind}-error`;
+    row.appendChild(errorCell);
+    tbody.appendChild(row);
+  });
+  document.getElementById('reminders-enabled').checked = reminderSettings.enabled;
+  document.getElementById('reminders-shiftNotification').checked = reminderSettings.shiftNotification;
+  document.getElementById('reminders-snoozeMinutes').value = reminderSettings.snoozeMinutes;
+  document.getElementById('reminders-permission').textContent = describeNotificationPermission();
+}
+
+/**
+ * Wires up the reminder settings and the snooze and dismiss buttons of
+ * the reminder shown on the page.
+ */
+function initReminderPanel() {
+  const form = document.getElementById('reminder-form');
+  const statusEl = document.getElementById('reminders-status');
+  if (!form) return;
+  renderReminderForm();
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const number = id => {
+      const value = document.getElementById(id).value.trim();
+      return value !== '' ? Number(value) : NaN;
+    };
+    const reminders = {};
+    Object.keys(reminderKindLabels).forEach(kind => {
+      reminders[kind] = {
+        on: document.getElementById(`reminder-${kind}-on`).checked,
+        minutes: number(`reminder-${kind}-minutes`)
+      };
+    });
+    const candidate = {
+      version: reminderSettingsVersion,
+      enabled: document.getElementById('reminders-enabled').checked,
+      snoozeMinutes: number('reminders-snoozeMinutes'),
+      reminders,
+      shiftNotification: document.getElementById('reminders-shiftNotification').checked
+    };
+    const errors = validateReminderSettings(candidate);
+    Object.keys(reminderKindLabels).concat(['snoozeMinutes']).forEach(field => {
+      const message = errors[field] || '';
+      const errorEl = document.getElementById(field === 'snoozeMinutes' ? 'reminders-snoozeMinutes-error' : `reminder-${field}-error`);
+      errorEl.textContent = message;
+    });
+    if (Object.keys(errors).length > 0) {
+      if (statusEl) statusEl.textContent = 'Please fix the highlighted fields.';
+      return;
+    }
+    reminderSettings = candidate;
+    saveReminderSettings();
+    if (statusEl) statusEl.textContent = candidate.enabled ? 'Reminders are on.' : 'Reminders are off.';
+    // Permission can only be asked for in response to the user
+    const wantsNotifications = candidate.enabled || candidate.shiftNotification;
+    if (wantsNotifications && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      Notification.requestPermission().then(renderReminderForm, renderReminderForm).then(updateDisplay);
+    }
+    renderReminderForm();
+    updateShiftNotification(getCurrentTime(), getCurrentPunchRecord(getCurrentTime().getTime()), null, true);
+  });
+  document.getElementById('reminder-snooze').addEventListener('click', snoozeReminder);
+  document.getElementById('reminder-dismiss').addEventListener('click', () => {
+    activeReminder = null;
+    renderReminderBanner();
+  });
+}
+
+// Installable app
+// The page can be installed as an app from the manifest and opens offline:
+// the service worker in sw.js keeps a copy of the app's files.  Timers
+// stall while a phone is locked or a tab is in the background, but
+// nothing shown depends on them: elapsed time and earnings are worked out
+// from the stored punches, so the display is brought up to date as soon as
+// the page is visible again.  When the user asks for it, a silent
+// notification stays up while a shift is in progress.
+const shiftNotificationTag = 'shift-in-progress';
+
+// Registration of the service worker once it is active, or null
+let serviceWorkerRegistration = null;
+// State of the shift the notification was last shown for, or null when
+// none is shown
+let shiftNotificationState = null;
+
+/**
+ * Registers the service worker.  Pages opened from a file cannot have
+ * one and work as before.
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+  navigator.serviceWorker.register('sw.js').then(() => navigator.serviceWorker.ready).then(registration => {
+    serviceWorkerRegistration = registration;
+    updateDisplay();
+  }).catch(() => {
+    // Ignore registration errors; the app works online only
+  });
+}
+
+/**
+ * Shows a notification when the user allowed them.  Notifications go
+ * through the service worker where there is one, which phone browsers
+ * require; clicking one brings the page forward.
+ *
+ * @param {string} title - Title of the notification.
+ * @param {NotificationOptions} options - Body, tag and other options.
+ */
+function showAppNotification(title, options) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  if (serviceWorkerRegistration) {
+    serviceWorkerRegistration.showNotification(title, options).catch(() => {
+      // Ignore notification errors; reminders are also shown on the page
+    });
+    return;
+  }
+  try {
+    const notification = new Notification(title, options);
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (e) {
+    // Ignore notification errors; reminders are also shown on the page
+  }
+}
+
+/**
+ * Keeps the shift notification in step with the shift: shown while it is
+ * in progress or on break, and closed once it ends.  The notification is
+ * replaced when the state changes, and when `force` is set, e.g. as the
+ * page is hidden, so its earnings are recent.
+ *
+ * @param {Date} now - Current time.
+ * @param {{key: string, record: Object, live: boolean}|null} current - Result of getCurrentPunchRecord().
+ * @param {number|null} total - Earnings of the shift so far, or null when not known.
+ * @param {boolean} [force=false] - Whether to show it again even when the state did not change.
+ */
+function updateShiftNotification(now, current, total, force) {
+  if (!serviceWorkerRegistration) return;
+  const shiftState = getShiftState(current);
+  const shown = reminderSettings.shiftNotification && !simulation &&
+    typeof Notification !== 'undefined' && Notification.permission === 'granted' &&
+    (shiftState === 'inProgress' || shiftState === 'onBreak');
+  const state = shown ? `${current.key}:${shiftState}:${current.record.autoClockOut}` : null;
+  if (state === shiftNotificationState && !force) return;
+  shiftNotificationState = state;
+  if (!shown) {
+    serviceWorkerRegistration.getNotifications({ tag: shiftNotificationTag }).then(notifications => {
+      notifications.forEach(notification => notification.close());
+    }).catch(() => {
+      // Ignore notification errors
+    });
+    return;
+  }
+  const record = current.record;
+  let body = shiftState === 'onBreak'
+    ? `On break since ${formatClock(record.breakStart)}.`
+    : `Clocked in at ${formatClock(record.clockIn)}.`;
+  if (record.autoClockOut) body = `Automatically clocked out at ${formatClock(record.clockOut)}. Clock out to record overtime.`;
+  if (total !== null) body += ` ${formatMoney(total)} earned by ${formatClock(now.getTime())}.`;
+  showAppNotification(shiftState === 'onBreak' ? 'On break' : 'Shift in progress', {
+    body,
+    tag: shiftNotificationTag,
+    silent: true,
+    requireInteraction: true
+  });
+}
+
+// A hidden page may be frozen or discarded without notice: record a
+// heartbeat and refresh the shift notification on the way out.  Coming
+// back, the punches are read again, as another tab or the recovery prompt
+// may have changed them while this one was asleep, and everything is
+// brought up to date at once instead of on the next timer tick.
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') {
+    lastHeartbeatMs = null;
+    updateDisplay(true);
+    return;
+  }
+  loadShiftPunches();
+  updateDisplay();
+  renderCalendars();
+  renderTimeLog();
+});
+
+// A page restored from the browser's back/forward cache was closed
+// normally on the way out; reopen its heartbeat
+window.addEventListener('pageshow', event => {
+  if (!event.persisted) return;
+  lastHeartbeatMs = null;
+  loadShiftPunches();
+  updateDisplay();
+});
+
+// Payslip view
+// Pay period shown by the payslip view as { period, year, month }, or null
+// while the view is closed.
+let payslipPeriod = null;
+
+// Lines of the payslip.  Optional lines are left out when they are zero
+// both for the period and year to date.
+const payslipEarningLines = [
+  { label: 'Basic pay (half of monthly salary)', value: summary => summary.earnings.basic },
+  { label: 'Unpaid leave and absences', value: summary => summary.earnings.unpaid, optional: true },
+  { label: 'Tardiness, undertime and adjustments', value: summary => summary.earnings.adjustment, optional: true },
+  { label: 'Night differential', value: summary => summary.earnings.night },
+  { label: 'Mid shift premium', value: summary => summary.earnings.mid, optional: true },
+  { label: 'Overtime', value: summary => summary.earnings.overtime },
+  { label: 'Rest‑day pay', value: summary => summary.earnings.restDay },
+  { label: 'Holiday pay', value: summary => summary.earnings.holiday },
+  { label: 'De minimis allowance', value: summary => summary.deMinimis }
+];
+const payslipDeductionLines = [
+  { label: 'Withholding tax', value: summary => summary.deductions.withholdingTax },
+  { label: 'SSS', value: summary => summary.deductions.sss },
+  { label: 'SSS MPF', value: summary => summary.deductions.sssMpf, optional: true },
+  { label: 'PhilHealth', value: summary => summary.deductions.philHealth },
+  { label: 'Pag‑IBIG', value: summary => summary.deductions.pagIbig }
+];
+
+/**
+ * Adds up the period summaries of a year from the first pay period up to
+ * and including the given one.
+ *
+ * @returns {Object[]} The summaries, in order.
+ */
+function getYearToDateSummaries(period, year, month) {
+  const summaries = [];
+  for (let m = 0; m <= month; m++) {
+    [1, 2].forEach(p => {
+      if (m === month && p > period) return;
+      summaries.push(calculatePeriodSummary(p, year, m));
+    });
+  }
+  return summaries;
+}
+
+/**
+ * Opens the payslip view for a pay period.
+ */
+function openPayslip(period, year, month) {
+  const view = document.getElementById('payslip-view');
+  if (!view) return;
+  payslipPeriod = { period, year, month };
+  view.hidden = false;
+  document.body.classList.add('payslip-open');
+  renderPayslip();
+}
+
+/**
+ * Closes the payslip view.
+ */
+function closePayslip() {
+  const view = document.getElementById('payslip-view');
+  payslipPeriod = null;
+  if (view) view.hidden = true;
+  document.body.classList.remove('payslip-open');
+}
+
+/**
+ * Moves the payslip view to the previous (-1) or next (+1) pay period.
+ */
+function changePayslipPeriod(delta) {
+  if (!payslipPeriod) return;
+  const { period, year, month } = payslipPeriod;
+  const index = month * 2 + (period - 1) + delta;
+  const first = new Date(year, Math.floor(index / 2), 1);
+  openPayslip((((index % 2) + 2) % 2) + 1, first.getFullYear(), first.getMonth());
+}
+
+/**
+ * Fills the payslip view: earnings and deduction lines for the period with
+ * their year‑to‑date totals, gross pay, total deductions and net pay.
+ */
+function renderPayslip() {
+  const tbody = document.getElementById('payslip-rows');
+  if (!tbody || !payslipPeriod) return;
+  const { period, year, month } = payslipPeriod;
+  const dates = getPayPeriodDates(period, year, month);
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  const summary = calculatePeriodSummary(period, year, month);
+  const yearToDate = getYearToDateSummaries(period, year, month);
+  const sumYearToDate = value => yearToDate.reduce((sum, item) => sum + value(item), 0);
+  const monthName = first.toLocaleDateString('en-US', { month: 'long' });
+  document.getElementById('payslip-period').textContent =
+    `Pay period ${monthName} ${first.getDate()}–${last.getDate()}, ${year}`;
+  document.getElementById('payslip-meta').textContent =
+    `Monthly salary ${formatMoney(compensationProfile.monthlySalary)} · ` +
+    `Hourly rate ${formatMoney(getHourlyRate())} · Paid hours ${summary.earnings.hours.toFixed(2)}`;
+  tbody.innerHTML = '';
+  const addRow = (label, current, total, className) => {
+    const row = document.createElement('tr');
+    if (className) row.className = className;
+    [label, current, total].forEach(text => {
+      const cell = document.createElement(className === 'section' ? 'th' : 'td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  };
+  const addLines = lines => {
+    lines.forEach(line => {
+      const current = line.value(summary);
+      const total = sumYearToDate(line.value);
+      if (line.optional && Math.abs(current) < 0.005 && Math.abs(total) < 0.005) return;
+      addRow(line.label, formatMoney(current), formatMoney(total));
+    });
+  };
+  addRow('Earnings', 'This period', 'Year to date', 'section');
+  addLines(payslipEarningLines);
+  addRow('Gross pay', formatMoney(summary.gross), formatMoney(sumYearToDate(item => item.gross)), 'subtotal');
+  addRow('Deductions', 'This period', 'Year to date', 'section');
+  addLines(payslipDeductionLines);
+  addRow('Total deductions', formatMoney(summary.deductions.total),
+    formatMoney(sumYearToDate(item => item.deductions.total)), 'subtotal');
+  addRow('Net pay', formatMoney(summary.net), formatMoney(sumYearToDate(item => item.net)), 'net');
+  const unapproved = sumYearToDate(item => item.unapprovedOvertime);
+  if (summary.unapprovedOvertime >= 0.005 || unapproved >= 0.005) {
+    addRow('Unapproved overtime (not paid)', formatMoney(summary.unapprovedOvertime), formatMoney(unapproved));
+  }
+}
+
+/**
+ * Wires the payslip view's period navigation, print and close buttons.
+ */
+function initPayslipView() {
+  const actions = {
+    'payslip-prev': () => changePayslipPeriod(-1),
+    'payslip-next': () => changePayslipPeriod(1),
+    'payslip-print': () => window.print(),
+    'payslip-close': closePayslip
+  };
+  Object.keys(actions).forEach(id => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener('click', actions[id]);
+  });
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && payslipPeriod) closePayslip();
+  });
+}
+
+// Annual projection
+// 13th‑month pay is one twelfth of the basic salary actually earned in the
+// calendar year (PD 851): the basic pay of each period after absences,
+// unpaid leave, tardiness and undertime, without overtime, premiums or
+// allowances.  Pay periods that have started count as year to date; the
+// remaining ones are estimated from the weekly schedule, like the
+// calendars.  The year‑end tax is the annual income tax on the projected
+// taxable income compared with the tax withheld from each payroll.
+
+/**
+ * Basic salary earned in a pay period, the base of 13th‑month pay.
+ */
+function getBasicPayEarned(summary) {
+  return summary.earnings.basic + summary.earnings.unpaid + summary.earnings.adjustment;
+}
+
+/**
+ * Projects a calendar year: year‑to‑date and year‑end totals of every
+ * payslip line, accrued and projected 13th‑month pay, and the year‑end
+ * income tax against the exemption ceiling for 13th‑month pay and other
+ * benefits.
+ *
+ * @param {number} year - Full year.
+ * @returns {{yearToDate: Object, yearEnd: Object, periodsToDate: number}}
+ *   Each total holds `summaries` and the figures `basicEarned`,
+ *   `thirteenthMonth`, `gross`, `exemptBenefits`, `taxableIncome`,
+ *   `withheld`, `contributions` and `net`; `yearEnd` adds `annualTax`
+ *   and `taxAdjustment` (positive when tax is still due, negative for a
+ *   refund).
+ */
+function calculateAnnualProjection(year) {
+  const today = getToday();
+  const yearToDate = { summaries: [] };
+  const yearEnd = { summaries: [] };
+  for (let month = 0; month < 12; month++) {
+    [1, 2].forEach(period => {
+      const summary = calculatePeriodSummary(period, year, month);
+      yearEnd.summaries.push(summary);
+      if (getPayPeriodDates(period, year, month)[0] <= today) yearToDate.summaries.push(summary);
+    });
+  }
+  [yearToDate, yearEnd].forEach(totals => {
+    const sum = value => totals.summaries.reduce((total, summary) => total + value(summary), 0);
+    totals.basicEarned = sum(getBasicPayEarned);
+    totals.thirteenthMonth = Math.max(totals.basicEarned, 0) / 12;
+    totals.gross = sum(summary => summary.gross) + totals.thirteenthMonth;
+    totals.exemptBenefits = Math.min(totals.thirteenthMonth, convertStatutoryAmount(otherBenefitsExemptionCeiling, true));
+    totals.taxableIncome = sum(summary => summary.deductions.taxableIncome) +
+      totals.thirteenthMonth - totals.exemptBenefits;
+    totals.withheld = sum(summary => summary.deductions.withholdingTax);
+    totals.contributions = sum(summary => summary.deductions.contributions);
+    totals.net = totals.gross - totals.withheld - totals.contributions;
+  });
+  yearEnd.annualTax = convertStatutoryAmount(
+    calculateAnnualIncomeTax(convertStatutoryAmount(yearEnd.taxableIncome), year), true);
+  yearEnd.taxAdjustment = yearEnd.annualTax - yearEnd.withheld;
+  yearEnd.net -= yearEnd.taxAdjustment;
+  return { yearToDate, yearEnd, periodsToDate: yearToDate.summaries.length };
+}
+
+/**
+ * Fills the annual projection panel for the displayed year, laid out like
+ * the payslip with a year‑to‑date and a projected year‑end column.
+ */
+function renderAnnualProjection() {
+  const tbody = document.getElementById('annual-rows');
+  const titleEl = document.getElementById('annual-title');
+  const noteEl = document.getElementById('annual-note');
+  if (!tbody) return;
+  const year = getDisplayedMonth().year;
+  const projection = calculateAnnualProjection(year);
+  const { yearToDate, yearEnd } = projection;
+  if (titleEl) titleEl.textContent = `13th‑month pay and projection for ${year}`;
+  if (noteEl) {
+    noteEl.textContent = `Year to date covers ${projection.periodsToDate} of 24 pay periods. ` +
+      'Later periods are estimated from the weekly schedule. 13th‑month pay and other benefits ' +
+      `are tax‑exempt up to ${formatMoney(convertStatutoryAmount(otherBenefitsExemptionCeiling, true))} a year.`;
+  }
+  tbody.innerHTML = '';
+  const addRow = (label, current, total, className) => {
+    const row = document.createElement('tr');
+    if (className) row.className = className;
+    [label, current, total].forEach(text => {
+      const cell = document.createElement(className === 'section' ? 'th' : 'td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  };
+  const addLines = lines => {
+    lines.forEach(line => {
+      const sum = totals => totals.summaries.reduce((total, summary) => total + line.value(summary), 0);
+      const current = sum(yearToDate);
+      const total = sum(yearEnd);
+      if (line.optional && Math.abs(current) < 0.005 && Math.abs(total) < 0.005) return;
+      addRow(line.label, formatMoney(current), formatMoney(total));
+    });
+  };
+  const addTotals = (label, value, className) => {
+    addRow(label, formatMoney(value(yearToDate)), formatMoney(value(yearEnd)), className);
+  };
+  addRow('13th‑month pay', 'Year to date', 'Year end', 'section');
+  addTotals('Basic pay earned', totals => totals.basicEarned);
+  addTotals('13th‑month pay (1/12)', totals => totals.thirteenthMonth, 'subtotal');
+  addRow('Earnings', 'Year to date', 'Year end', 'section');
+  addLines(payslipEarningLines);
+  addTotals('13th‑month pay (accrued)', totals => totals.thirteenthMonth);
+  addTotals('Gross pay', totals => totals.gross, 'subtotal');
+  addRow('Deductions', 'Year to date', 'Year end', 'section');
+  addLines(payslipDeductionLines);
+  addTotals('Total deductions', totals => totals.withheld + totals.contributions, 'subtotal');
+  addRow('Income tax', 'Year to date', 'Year end', 'section');
+  addTotals('Tax‑exempt 13th‑month pay', totals => totals.exemptBenefits);
+  addTotals('Taxable income', totals => totals.taxableIncome);
+  addRow('Income tax due for the year', '', formatMoney(yearEnd.annualTax));
+  addRow('Tax withheld from payroll', formatMoney(yearToDate.withheld), formatMoney(yearEnd.withheld));
+  addRow(yearEnd.taxAdjustment >= 0 ? 'Tax still due in December' : 'Tax refund in December', '',
+    formatMoney(Math.abs(yearEnd.taxAdjustment)), 'subtotal');
+  addRow('Net pay incl. 13th‑month pay', formatMoney(yearToDate.net), formatMoney(yearEnd.net), 'net');
+}
+
+// Analytics
+// Charts of the pay periods of the displayed year that have started, built
+// from the same day breakdowns as the calendars: the earnings of each
+// period by component, net pay by month and the hours worked on rest days.
+// The effective hourly rate is net pay per hour worked.  Rest‑day shifts
+// are valued after tax as the net pay they add to their period: its net
+// pay less the net pay it would have without them, with the withholding
+// tax recomputed on the lower gross pay.
+
+// Components of the stacked bars, bottom to top.  `base` holds the salary
+// after absences and adjustments, holiday premiums and the de minimis
+// allowance, so each bar adds up to the period's gross pay.
+const analyticsComponents = [
+  { key: 'base', label: 'Base pay and allowances', color: '#6366f1' }, // indigo‑500
+  { key: 'differentials', label: 'Night and mid shift differential', color: '#a78bfa' }, // violet‑400
+  { key: 'overtime', label: 'Overtime', color: '#fbbf24' }, // amber‑400
+  { key: 'restDay', label: 'Rest‑day pay', color: '#f472b6' } // pink‑400
+];
+const analyticsNetColor = '#059669'; // emerald‑600
+const svgNamespace = 'http://www.w3.org/2000/svg';
+
+/**
+ * Collects the figures of the analytics view for a calendar year.
+ *
+ * @param {number} year - Full year.
+ * @returns {{periods: Array<Object>, months: Array<{label: string, net: number}>,
+ *   hours: number, net: number, effectiveRate: number|null, restDayHours: number,
+ *   restDayHoursByWeekday: number[], restDayGross: number, restDayNet: number,
+ *   restDayRate: number|null}}
+ *   Each period has `label`, `components` keyed like analyticsComponents,
+ *   `gross`, `net`, `hours` and `restDayHours`.  Rates are null when no
+ *   hours were worked.  Rest‑day hours are indexed by Date.getDay().
+ */
+function calculateAnalytics(year) {
+  const today = getToday();
+  const result = {
+    periods: [],
+    months: [],
+    hours: 0,
+    net: 0,
+    restDayHours: 0,
+    restDayHoursByWeekday: [0, 0, 0, 0, 0, 0, 0],
+    restDayGross: 0,
+    restDayNet: 0
+  };
+  for (let month = 0; month < 12; month++) {
+    const monthName = new Date(year, month, 1).toLocaleDateString('en-US', { month: 'short' });
+    let monthNet = null;
+    [1, 2].forEach(period => {
+      const dates = getPayPeriodDates(period, year, month);
+      if (dates[0] > today) return;
+      const summary = calculatePeriodSummary(period, year, month);
+      const { earnings } = summary;
+      let restDayHours = 0;
+      let restDayGross = 0;
+      dates.forEach(date => {
+        if (!isRestDay(date)) return;
+        const day = calculateDailyBreakdown(date);
+        if (day.hours <= 0) return;
+        restDayHours += day.hours;
+        restDayGross += day.total;
+        result.restDayHoursByWeekday[date.getDay()] += day.hours;
+      });
+      let restDayNet = 0;
+      if (restDayGross > 0) {
+        const without = calculateBaseDeductions({
+          year,
+          monthlySalary: compensationProfile.monthlySalary,
+          grossPay: summary.gross - restDayGross,
+          deMinimis: summary.deMinimis
+        });
+        restDayNet = summary.net - (summary.gross - restDayGross - without.total);
+      }
+      const lastDay = dates[dates.length - 1].getDate();
+      result.periods.push({
+        label: period === 1 ? `${monthName} 1–15` : `${monthName} 16–${lastDay}`,
+        components: {
+          base: Math.max(earnings.basic + earnings.adjustment + earnings.unpaid + earnings.holiday + summary.deMinimis, 0),
+          differentials: earnings.night + earnings.mid,
+          overtime: earnings.overtime,
+          restDay: earnings.restDay
+        },
+        gross: summary.gross,
+        net: summary.net,
+        hours: earnings.hours,
+        restDayHours
+      });
+      result.hours += earnings.hours;
+      result.net += summary.net;
+      result.restDayHours += restDayHours;
+      result.restDayGross += restDayGross;
+      result.restDayNet += restDayNet;
+      monthNet = (monthNet || 0) + summary.net;
+    });
+    if (monthNet !== null) result.months.push({ label: monthName, net: monthNet });
+  }
+  result.effectiveRate = result.hours > 0 ? result.net / result.hours : null;
+  result.restDayRate = result.restDayHours > 0 ? result.restDayNet / result.restDayHours : null;
+  return result;
+}
+
+/**
+ * Creates an SVG element with the given attributes and, when `title` is
+ * given, a tooltip.
+ */
+function createSvgElement(name, attributes, title) {
+  const element = document.createElementNS(svgNamespace, name);
+  Object.keys(attributes).forEach(key => element.setAttribute(key, attributes[key]));
+  if (title) {
+    const titleEl = document.createElementNS(svgNamespace, 'title');
+    titleEl.textContent = title;
+    element.appendChild(titleEl);
+  }
+  return element;
+}
+
+/**
+ * Draws the stacked bars of each period's earnings by component.
+ *
+ * @param {HTMLElement} container - Element to draw into.
+ * @param {Array<Object>} periods - Periods of calculateAnalytics().
+ */
+function renderAnalyticsBars(container, periods) {
+  const width = 600;
+  const height = 200;
+  const axis = 18;
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${width} ${height + axis}`,
+    class: 'analytics-chart',
+    role: 'img',
+    'aria-label': 'Earnings per pay period by component'
+  });
+  const max = Math.max(...periods.map(period => period.gross), 1);
+  const slot = width / 24;
+  periods.forEach((period, index) => {
+    const x = index * slot + slot * 0.15;
+    let y = height;
+    analyticsComponents.forEach(component => {
+      const value = period.components[component.key];
+      if (value <= 0) return;
+      const barHeight = (value / max) * height;
+      y -= barHeight;
+      svg.appendChild(createSvgElement('rect', {
+        x: x.toFixed(1),
+        y: y.toFixed(1),
+        width: (slot * 0.7).toFixed(1),
+        height: barHeight.toFixed(1),
+        fill: component.color
+      }, `${period.label}: ${component.label} ${formatMoney(value)} of ${formatMoney(period.gross)} gross`));
+    });
+    // Name the month under its first period
+    if (index % 2 === 0) {
+      const label = createSvgElement('text', { x: ((index + 1) * slot).toFixed(1), y: height + axis - 4, 'text-anchor': 'middle' });
+      label.textContent = period.label.split(' ')[0];
+      svg.appendChild(label);
+    }
+  });
+  container.appendChild(svg);
+}
+
+/**
+ * Draws the line of net pay per month.
+ *
+ * @param {HTMLElement} container - Element to draw into.
+ * @param {Array<{label: string, net: number}>} months - Months of calculateAnalytics().
+ */
+function renderAnalyticsNet(container, months) {
+  const width = 600;
+  const height = 160;
+  const axis = 18;
+  const pad = 8;
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${width} ${height + axis}`,
+    class: 'analytics-chart',
+    role: 'img',
+    'aria-label': 'Net pay per month'
+  });
+  const max = Math.max(...months.map(month => month.net), 1);
+  const slot = width / 12;
+  const points = months.map((month, index) => ({
+    x: index * slot + slot / 2,
+    y: pad + (1 - Math.max(month.net, 0) / max) * (height - pad * 2),
+    month
+  }));
+  svg.appendChild(createSvgElement('polyline', {
+    points: points.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' '),
+    fill: 'none',
+    stroke: analyticsNetColor,
+    'stroke-width': 2
+  }));
+  points.forEach(point => {
+    svg.appendChild(createSvgElement('circle', {
+      cx: point.x.toFixed(1),
+      cy: point.y.toFixed(1),
+      r: 4,
+      fill: analyticsNetColor
+    }, `${point.month.label}: net ${formatMoney(point.month.net)}`));
+    const label = createSvgElement('text', { x: point.x.toFixed(1), y: height + axis - 4, 'text-anchor': 'middle' });
+    label.textContent = point.month.label;
+    svg.appendChild(label);
+  });
+  container.appendChild(svg);
+}
+
+/**
+ * Fills the analytics panel for the displayed year.  The charts are only
+ * drawn while the panel is open; opening it draws them.
+ */
+function renderAnalytics() {
+  const panel = document.getElementById('analytics-panel');
+  if (!panel || !panel.open) return;
+  const titleEl = document.getElementById('analytics-title');
+  const metricsEl = document.getElementById('analytics-metrics');
+  const legendEl = document.getElementById('analytics-legend');
+  const barsEl = document.getElementById('analytics-bars');
+  const netEl = document.getElementById('analytics-net');
+  const restRows = document.getElementById('analytics-rest-rows');
+  const year = getDisplayedMonth().year;
+  const analytics = calculateAnalytics(year);
+  if (titleEl) titleEl.textContent = `Earnings in ${year}`;
+  [metricsEl, legendEl, barsEl, netEl, restRows].forEach(el => {
+    if (el) el.innerHTML = '';
+  });
+  if (analytics.periods.length === 0) {
+    if (metricsEl) metricsEl.textContent = `No pay period of ${year} has started yet.`;
+    return;
+  }
+  if (metricsEl) {
+    const lines = [];
+    if (analytics.effectiveRate === null) {
+      lines.push('No hours worked yet.');
+    } else {
+      lines.push(`Average effective hourly rate: ${formatMoney(analytics.effectiveRate)} net per hour ` +
+        `over ${analytics.hours.toFixed(1)} hours (base rate ${formatMoney(getHourlyRate())} gross).`);
+    }
+    if (analytics.restDayRate === null) {
+      lines.push('No rest‑day shifts worked.');
+    } else {
+      const comparison = analytics.effectiveRate !== null && analytics.restDayRate >= analytics.effectiveRate
+        ? 'above' : 'below';
+      lines.push(`Rest‑day shifts: ${analytics.restDayHours.toFixed(1)} hours added ` +
+        `${formatMoney(analytics.restDayGross)} gross and ${formatMoney(analytics.restDayNet)} after tax, ` +
+        `${formatMoney(analytics.restDayRate)} an hour, ${comparison} the average.`);
+    }
+    lines.forEach(text => {
+      const line = document.createElement('p');
+      line.textContent = text;
+      metricsEl.appendChild(line);
+    });
+  }
+  if (legendEl) {
+    analyticsComponents.concat([{ label: 'Net pay', color: analyticsNetColor }]).forEach(component => {
+      const item = document.createElement('li');
+      const swatch = document.createElement('span');
+      swatch.className = 'analytics-swatch';
+      swatch.style.backgroundColor = component.color;
+      item.appendChild(swatch);
+      item.appendChild(document.createTextNode(component.label));
+      legendEl.appendChild(item);
+    });
+  }
+  if (barsEl) renderAnalyticsBars(barsEl, analytics.periods);
+  if (netEl) renderAnalyticsNet(netEl, analytics.months);
+  if (restRows) {
+    // Monday first, like the calendars
+    [1, 2, 3, 4, 5, 6, 0].forEach(weekday => {
+      const hours = analytics.restDayHoursByWeekday[weekday];
+      if (hours <= 0) return;
+      const row = document.createElement('tr');
+      const name = new Date(2024, 0, 7 + weekday).toLocaleDateString('en-US', { weekday: 'long' });
+      [name, hours.toFixed(1), `${Math.round((hours / analytics.restDayHours) * 100)}%`].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      restRows.appendChild(row);
+    });
+    if (!restRows.firstChild) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 3;
+      cell.textContent = 'No rest‑day shifts worked.';
+      row.appendChild(cell);
+      restRows.appendChild(row);
+    }
+  }
+}
+
+// Payslip reconciliation
+// Amounts from the official payslip, entered per pay period and compared
+// line by line with the calculator's own figures.  The state is persisted
+// in localStorage under the key 'payslipReconciliation' as { version,
+// threshold, periods }, where `periods` maps period keys ('YYYY‑MM‑P', P
+// being the pay period 1 or 2) to { actual, note, resolved, updatedAt }.
+// Records are kept after they are resolved so the history stays available.
+const payslipReconciliationVersion = 1;
+const defaultVarianceThreshold = 1;
+const periodKeyPattern = /^\d{4}-\d{2}-[12]$/;
+const reconciliationLines = [
+  { key: 'gross', label: 'Gross pay', expected: summary => summary.gross },
+  { key: 'withholdingTax', label: 'Withholding tax', expected: summary => summary.deductions.withholdingTax },
+  { key: 'sss', label: 'SSS (incl. MPF)', expected: summary => summary.deductions.sss + summary.deductions.sssMpf },
+  { key: 'philHealth', label: 'PhilHealth', expected: summary => summary.deductions.philHealth },
+  { key: 'pagIbig', label: 'Pag‑IBIG', expected: summary => summary.deductions.pagIbig },
+  { key: 'net', label: 'Net pay', expected: summary => summary.net }
+];
+
+let payslipReconciliation = { version: payslipReconciliationVersion, threshold: defaultVarianceThreshold, periods: {} };
+
+function loadPayslipReconciliation() {
+  try {
+    const data = storage.getItem('payslipReconciliation');
+    if (data) {
+      const obj = JSON.parse(data);
+      if (obj && typeof obj === 'object' && obj.periods && typeof obj.periods === 'object') {
+        const threshold = Number(obj.threshold);
+        payslipReconciliation = {
+          version: payslipReconciliationVersion,
+          threshold: isFinite(threshold) && threshold >= 0 ? threshold : defaultVarianceThreshold,
+          periods: obj.periods
+        };
+      }
+    }
+  } catch (e) {
+    // Ignore parse errors
+  }
+}
+
+function savePayslipReconciliation() {
+  try {
+    storage.setItem('payslipReconciliation', JSON.stringify(payslipReconciliation));
+  } catch (e) {
+    // Ignore storage errors
+  }
+}
+
+/**
+ * Returns the key of a pay period in the reconciliation store.
+ */
+function getPeriodKey(period, year, month) {
+  return `${year}-${String(month + 1).padStart(2, '0')}-${period}`;
+}
+
+/**
+ * Splits a period key into { period, year, month } (zero‑based month).
+ */
+function parsePeriodKey(key) {
+  const [year, month, period] = key.split('-').map(Number);
+  return { period, year, month: month - 1 };
+}
+
+/**
+ * Validates the actual payslip amounts entered for a period.
+ *
+ * @param {Object<string, number>} actual - Amounts keyed like reconciliationLines.
+ * @returns {Object<string, string>} Error messages keyed by line.
+ */
+function validateReconciliationAmounts(actual) {
+  const errors = {};
+  reconciliationLines.forEach(line => {
+    const value = actual[line.key];
+    if (typeof value !== 'number' || !isFinite(value)) {
+      errors[line.key] = 'Enter the amount from the payslip.';
+    } else if (value < 0) {
+      errors[line.key] = 'Must not be negative.';
+    }
+  });
+  return errors;
+}
+
+/**
+ * Checks a stored reconciliation record, e.g. one read from a backup.
+ */
+function isValidReconciliationRecord(record) {
+  return Boolean(record) && typeof record === 'object' && Boolean(record.actual) &&
+    typeof record.actual === 'object' &&
+    Object.keys(validateReconciliationAmounts(record.actual)).length === 0;
+}
+
+/**
+ * Compares the stored payslip of a period with the calculated figures.
+ * A line is flagged when its variance exceeds the threshold; the period
+ * is flagged while it has flagged lines and is not marked resolved.
+ *
+ * @param {string} key - Period key.
+ * @returns {{record: Object, summary: Object, lines: Object[], largest: number, flagged: boolean}|null}
+ */
+function compareWithPayslip(key) {
+  const record = payslipReconciliation.periods[key];
+  if (!record) return null;
+  const { period, year, month } = parsePeriodKey(key);
+  const summary = calculatePeriodSummary(period, year, month);
+  let largest = 0;
+  const lines = reconciliationLines.map(line => {
+    const expected = line.expected(summary);
+    const actual = record.actual[line.key];
+    const variance = actual - expected;
+    if (Math.abs(variance) > Math.abs(largest)) largest = variance;
+    return {
+      key: line.key,
+      label: line.label,
+      expected,
+      actual,
+      variance,
+      flagged: Math.abs(variance) > payslipReconciliation.threshold
+    };
+  });
+  const flagged = !record.resolved && lines.some(line => line.flagged);
+  return { record, summary, lines, largest, flagged };
+}
+
+/**
+ * Formats a variance with an explicit sign.
+ */
+function formatVariance(value) {
+  if (Math.abs(value) < 0.005) return formatMoney(0);
+  return value < 0 ? `−${formatMoney(-value)}` : `+${formatMoney(value)}`;
+}
+
+/**
+ * Returns the period key selected in the reconciliation form, or null.
+ */
+function getSelectedReconciliationKey() {
+  const monthInput = document.getElementById('reconcile-month');
+  const periodSelect = document.getElementById('reconcile-period');
+  if (!monthInput || !/^\d{4}-\d{2}$/.test(monthInput.value)) return null;
+  return `${monthInput.value}-${periodSelect.value}`;
+}
+
+/**
+ * Builds the amount inputs of the reconciliation form and fills them, the
+ * note and the resolved flag from the stored record of the selected period.
+ */
+function renderReconciliationForm() {
+  const container = document.getElementById('reconcile-fields');
+  if (!container) return;
+  const key = getSelectedReconciliationKey();
+  const record = key ? payslipReconciliation.periods[key] : null;
+  container.innerHTML = '';
+  reconciliationLines.forEach(line => {
+    const row = document.createElement('div');
+    row.className = 'form-row';
+    const label = document.createElement('label');
+    label.htmlFor = `reconcile-${line.key}`;
+    label.textContent = `${line.label} (actual)`;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = `reconcile-${line.key}`;
+    input.min = 0;
+    input.step = 0.01;
+    input.value = record ? record.actual[line.key] : '';
+    const error = document.createElement('span');
+    error.className = 'field-error';
+    error.id = `reconcile-${line.key}-error`;
+    row.appendChild(label);
+    row.appendChild(input);
+    row.appendChild(error);
+    container.appendChild(row);
+  });
+  document.getElementById('reconcile-note').value = record ? record.note || '' : '';
+  document.getElementById('reconcile-resolved').checked = Boolean(record && record.resolved);
+  document.getElementById('reconcile-delete').hidden = !record;
+  renderReconciliationComparison();
+}
+
+/**
+ * Shows the line‑by‑line variance of the selected period.
+ */
+function renderReconciliationComparison() {
+  const tbody = document.getElementById('reconcile-rows');
+  const titleEl = document.getElementById('reconcile-comparison-title');
+  if (!tbody) return;
+  tbody.innerHTML = '';
+  const key = getSelectedReconciliationKey();
+  const comparison = key ? compareWithPayslip(key) : null;
+  if (titleEl) {
+    titleEl.textContent = comparison
+      ? `Variance for ${formatPeriodLabel(key)}${comparison.flagged ? ' — needs review' : ''}`
+      : 'No payslip entered for this period yet.';
+  }
+  if (!comparison) return;
+  comparison.lines.forEach(line => {
+    const row = document.createElement('tr');
+    if (line.flagged) row.className = 'flagged';
+    [line.label, formatMoney(line.expected), formatMoney(line.actual), formatVariance(line.variance)].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Formats a period key as e.g. "Oct 1–15, 2026".
+ */
+function formatPeriodLabel(key) {
+  const { period, year, month } = parsePeriodKey(key);
+  const monthName = new Date(year, month, 1).toLocaleDateString('en-US', { month: 'short' });
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return period === 1 ? `${monthName} 1–15, ${year}` : `${monthName} 16–${lastDay}, ${year}`;
+}
+
+/**
+ * Lists every reconciled period, newest first, with its status.
+ */
+function renderReconciliationHistory() {
+  const tbody = document.getElementById('reconcile-history');
+  if (!tbody) return;
+  tbody.innerHTML = '';
+  const keys = Object.keys(payslipReconciliation.periods).sort().reverse();
+  if (keys.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.textContent = 'No payslips reconciled yet.';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+  keys.forEach(key => {
+    const comparison = compareWithPayslip(key);
+    const net = comparison.lines.find(line => line.key === 'net');
+    let status = 'Matches';
+    if (comparison.flagged) status = 'Flagged';
+    else if (comparison.record.resolved) status = 'Resolved';
+    const row = document.createElement('tr');
+    if (comparison.flagged) row.className = 'flagged';
+    [formatPeriodLabel(key), formatMoney(net.expected), formatMoney(net.actual),
+      formatVariance(comparison.largest), status].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    const actions = document.createElement('td');
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'link-button';
+    editBtn.textContent = 'Open';
+    editBtn.addEventListener('click', () => {
+      const { period, year, month } = parsePeriodKey(key);
+      document.getElementById('reconcile-month').value = `${year}-${String(month + 1).padStart(2, '0')}`;
+      document.getElementById('reconcile-period').value = String(period);
+      renderReconciliationForm();
+    });
+    actions.appendChild(editBtn);
+    row.appendChild(actions);
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Re‑renders the views that show reconciliation results.
+ */
+function refreshAfterReconciliationChange() {
+  renderReconciliationComparison();
+  renderReconciliationHistory();
+  renderCalendars();
+}
+
+/**
+ * Wires the reconciliation panel: period selection, saving and deleting
+ * a payslip, and the variance threshold.
+ */
+function initReconciliationPanel() {
+  const form = document.getElementById('reconcile-form');
+  const statusEl = document.getElementById('reconcile-status');
+  if (!form) return;
+  const setStatus = message => {
+    if (statusEl) statusEl.textContent = message;
+  };
+  // Start on the current pay period
+  const today = getToday();
+  document.getElementById('reconcile-month').value = formatDateKey(today).slice(0, 7);
+  document.getElementById('reconcile-period').value = today.getDate() <= 15 ? '1' : '2';
+  const thresholdInput = document.getElementById('reconcile-threshold');
+  thresholdInput.value = payslipReconciliation.threshold;
+  renderReconciliationForm();
+  renderReconciliationHistory();
+  document.getElementById('reconcile-month').addEventListener('change', renderReconciliationForm);
+  document.getElementById('reconcile-period').addEventListener('change', renderReconciliationForm);
+  thresholdInput.addEventListener('change', () => {
+    const value = thresholdInput.value.trim() !== '' ? Number(thresholdInput.value) : NaN;
+    const errorEl = document.getElementById('reconcile-threshold-error');
+    const message = isFinite(value) && value >= 0 ? '' : 'Enter an amount of zero or more.';
+    errorEl.textContent = message;
+    thresholdInput.setAttribute('aria-invalid', message ? 'true' : 'false');
+    if (message) return;
+    payslipReconciliation.threshold = value;
+    savePayslipReconciliation();
+    setStatus(`Variances above ${formatMoney(value)} are flagged.`);
+    refreshAfterReconciliationChange();
+  });
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const key = getSelectedReconciliationKey();
+    if (!key) {
+      setStatus('Choose the month of the payslip.');
+      return;
+    }
+    const actual = {};
+    reconciliationLines.forEach(line => {
+      const input = document.getElementById(`reconcile-${line.key}`);
+      actual[line.key] = input.value.trim() !== '' ? Number(input.value) : NaN;
+    });
+    const errors = validateReconciliationAmounts(actual);
+    reconciliationLines.forEach(line => {
+      const message = errors[line.key] || '';
+      document.getElementById(`reconcile-${line.key}-error`).textContent = message;
+      document.getElementById(`reconcile-${line.key}`).setAttribute('aria-invalid', message ? 'true' : 'false');
+    });
+    if (Object.keys(errors).length > 0) {
+      setStatus('Please fix the highlighted fields.');
+      return;
+    }
+    payslipReconciliation.periods[key] = {
+      actual,
+      note: document.getElementById('reconcile-note').value.trim(),
+      resolved: document.getElementById('reconcile-resolved').checked,
+      updatedAt: getCurrentTime().getTime()
+    };
+    savePayslipReconciliation();
+    document.getElementById('reconcile-delete').hidden = false;
+    const comparison = compareWithPayslip(key);
+    setStatus(comparison.flagged
+      ? `Saved ${formatPeriodLabel(key)}. Some lines differ by more than ${formatMoney(payslipReconciliation.threshold)}.`
+      : `Saved ${formatPeriodLabel(key)}.`);
+    refreshAfterReconciliationChange();
+  });
+  document.getElementById('reconcile-delete').addEventListener('click', () => {
+    const key = getSelectedReconciliationKey();
+    if (!key || !payslipReconciliation.periods[key]) return;
+    delete payslipReconciliation.periods[key];
+    savePayslipReconciliation();
+    setStatus(`Deleted the payslip for ${formatPeriodLabel(key)}.`);
+    renderReconciliationForm();
+    refreshAfterReconciliationChange();
+  });
+}
+
+/**
+ * Fills the leave panel for the displayed year: the policy form, the
+ * vacation and sick leave balances, and the leave days and absences.
+ */
+function renderLeavePanel() {
+  const balanceRows = document.getElementById('leave-balance-rows');
+  const leaveRows = document.getElementById('leave-rows');
+  if (!balanceRows || !leaveRows) return;
+  const year = getDisplayedMonth().year;
+  const carryOver = leavePolicy.carryOver[year] || {};
+  document.getElementById('leave-vacationDaysPerYear').value = leavePolicy.vacationDaysPerYear;
+  document.getElementById('leave-sickDaysPerYear').value = leavePolicy.sickDaysPerYear;
+  document.getElementById('leave-accrual').value = leavePolicy.accrual;
+  paidLeaveKinds.forEach(kind => {
+    document.getElementById(`leave-carry-${kind}`).value = carryOver[kind] || 0;
+    document.getElementById(`leave-carry-${kind}-label`).textContent =
+      `${kind === 'sick' ? 'SL' : 'VL'} carried into ${year}`;
+  });
+
+  const balances = calculateLeaveBalances(year);
+  document.getElementById('leave-balance-title').textContent = `Leave balances for ${year}`;
+  balanceRows.innerHTML = '';
+  paidLeaveKinds.forEach(kind => {
+    const item = balances[kind];
+    const row = document.createElement('tr');
+    if (item.available < 0) row.className = 'flagged';
+    [leaveKindLabels[kind], item.carriedOver, item.accrued, item.taken, item.planned, item.balance].forEach((value, i) => {
+      const cell = document.createElement('td');
+      cell.textContent = i === 0 ? value : String(Math.round(value * 100) / 100);
+      row.appendChild(cell);
+    });
+    balanceRows.appendChild(row);
+  });
+  const unpaidRow = document.createElement('tr');
+  const unpaidCell = document.createElement('td');
+  unpaidCell.colSpan = 6;
+  unpaidCell.textContent = `Unpaid leave: ${formatLeaveDays(balances.unpaid)} · Absences: ${formatLeaveDays(balances.absent)}`;
+  unpaidRow.appendChild(unpaidCell);
+  balanceRows.appendChild(unpaidRow);
+
+  document.getElementById('leave-list-title').textContent = `Leave and absences in ${year}`;
+  leaveRows.innerHTML = '';
+  const days = getLeaveDays(year);
+  if (days.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 4;
+    cell.textContent = 'No leave or absences recorded.';
+    row.appendChild(cell);
+    leaveRows.appendChild(row);
+    return;
+  }
+  days.forEach(({ key, date }) => {
+    const breakdown = calculateDailyBreakdown(date);
+    const row = document.createElement('tr');
+    const pay = breakdown.unpaidBase > 0 ? `Unpaid (−${formatMoney(breakdown.unpaidBase)})` : formatMoney(breakdown.base);
+    [key, getDayTypeLabel(breakdown.dayType, breakdown.leave), pay].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    const actions = document.createElement('td');
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'link-button';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => openDayEditor(key));
+    actions.appendChild(editBtn);
+    row.appendChild(actions);
+    leaveRows.appendChild(row);
+  });
+}
+
+/**
+ * Wires the leave policy form.  Carried‑over days are saved for the
+ * displayed year.
+ */
+function initLeavePanel() {
+  const form = document.getElementById('leave-form');
+  const statusEl = document.getElementById('leave-status');
+  if (!form) return;
+  const accrualSelect = document.getElementById('leave-accrual');
+  Object.keys(leaveAccrualLabels).forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = leaveAccrualLabels[value];
+    accrualSelect.appendChild(option);
+  });
+  renderLeavePanel();
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const year = getDisplayedMonth().year;
+    const number = id => {
+      const value = document.getElementById(id).value.trim();
+      return value !== '' ? Number(value) : NaN;
+    };
+    const carryOver = Object.assign({}, leavePolicy.carryOver, {
+      [year]: { vacation: number('leave-carry-vacation'), sick: number('leave-carry-sick') }
+    });
+    const candidate = {
+      version: leavePolicyVersion,
+      vacationDaysPerYear: number('leave-vacationDaysPerYear'),
+      sickDaysPerYear: number('leave-sickDaysPerYear'),
+      accrual: accrualSelect.value,
+      carryOver
+    };
+    const errors = validateLeavePolicy(candidate);
+    // Carry‑over errors are shown next to both carry‑over inputs
+    const fieldErrors = {
+      vacationDaysPerYear: errors.vacationDaysPerYear,
+      sickDaysPerYear: errors.sickDaysPerYear,
+      accrual: errors.accrual,
+      'carry-vacation': errors.carryOver && !(carryOver[year].vacation >= 0) ? errors.carryOver : '',
+      'carry-sick': errors.carryOver && !(carryOver[year].sick >= 0) ? errors.carryOver : ''
+    };
+    Object.keys(fieldErrors).forEach(field => {
+      const message = fieldErrors[field] || '';
+      document.getElementById(`leave-${field}-error`).textContent = message;
+      document.getElementById(`leave-${field}`).setAttribute('aria-invalid', message ? 'true' : 'false');
+    });
+    if (Object.keys(errors).length > 0) {
+      if (statusEl) statusEl.textContent = 'Please fix the highlighted fields.';
+      return;
+    }
+    leavePolicy = candidate;
+    saveLeavePolicy();
+    if (statusEl) statusEl.textContent = 'Leave policy saved.';
+    renderLeavePanel();
+  });
+}
+
+/**
+ * Re‑renders everything that follows the displayed month after navigating.
+ */
+function refreshAfterMonthChange() {
+  renderCalendars();
+  renderTimeLog();
+  renderHolidayList();
+  renderLeavePanel();
+}
+
+/**
+ * Formats a fraction (e.g. 0.18) as a percentage string without trailing
+ * zeros (e.g. "18%").
+ */
+function formatPercent(fraction) {
+  return `${parseFloat((fraction * 100).toFixed(2))}%`;
+}
+
+/**
+ * Writes a summary of the active compensation profile into the footer
+ * beneath the earnings card.
+ */
+function renderCompensationFooter() {
+  const footerEl = document.getElementById('compensation-footer');
+  if (!footerEl) return;
+  const { monthlySalary, nightDiffRate, midShiftDiffRate, overtimeMultiplier, restDayOvertimeMultiplier } = compensationProfile;
+  footerEl.textContent =
+    `Based on a monthly salary of ${formatMoney(monthlySalary)} (${formatMoney(getHalfSalary())} per pay period), ` +
+    `a night shift premium of ${formatPercent(nightDiffRate)}, ` +
+    `a mid shift premium of ${formatPercent(midShiftDiffRate)}, ` +
+    `and overtime at ${formatPercent(overtimeMultiplier - 1)} of the hourly rate on ordinary days ` +
+    `(${formatPercent(restDayOvertimeMultiplier - 1)} on rest days).`;
+}
+
+/**
+ * Builds the compensation settings inputs from compensationFields and fills
+ * them with the values of the active profile.
+ */
+function renderCompensationForm() {
+  const container = document.getElementById('compensation-fields');
+  if (!container) return;
+  container.innerHTML = '';
+  compensationFields.forEach(field => {
+    const row = document.createElement('div');
+    row.className = 'form-row';
+    const label = document.createElement('label');
+    label.htmlFor = `setting-${field.key}`;
+    label.textContent = field.label;
+    if (field.money) {
+      // Labelled with the base currency, e.g. "Monthly salary (₱)"
+      const symbol = document.createElement('span');
+      symbol.className = 'currency-symbol';
+      symbol.textContent = getBaseCurrencySymbol();
+      label.append(' (', symbol, ')');
+    }
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = `setting-${field.key}`;
+    input.name = field.key;
+    input.min = field.min;
+    input.max = field.max;
+    input.step = field.step;
+    const value = compensationProfile[field.key];
+    input.value = field.percent ? parseFloat((value * 100).toFixed(4)) : value;
+    const error = document.createElement('span');
+    error.className = 'field-error';
+    error.id = `setting-${field.key}-error`;
+    row.appendChild(label);
+    row.appendChild(input);
+    row.appendChild(error);
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Reads the settings inputs into a new profile object.  Empty or
+ * non‑numeric inputs become NaN so that validation reports them.
+ */
+function readCompensationForm() {
+  const profile = Object.assign({}, compensationProfile);
+  compensationFields.forEach(field => {
+    const input = document.getElementById(`setting-${field.key}`);
+    const value = input && input.value.trim() !== '' ? Number(input.value) : NaN;
+    profile[field.key] = field.percent ? value / 100 : value;
+  });
+  return profile;
+}
+
+/**
+ * Displays validation errors next to their inputs and clears the errors
+ * of fields that are now valid.
+ */
+function showCompensationErrors(errors) {
+  compensationFields.forEach(field => {
+    const input = document.getElementById(`setting-${field.key}`);
+    const errorEl = document.getElementById(`setting-${field.key}-error`);
+    const message = errors[field.key] || '';
+    if (errorEl) errorEl.textContent = message;
+    if (input) input.setAttribute('aria-invalid', message ? 'true' : 'false');
+  });
+}
+
+/**
+ * Re-renders everything that depends on the compensation profile.
+ */
+function refreshAfterProfileChange() {
+  renderCompensationFooter();
+  renderCalendars();
+  updateDisplay();
+}
+
+/**
+ * Wires up the save and reset actions of the compensation settings panel.
+ */
+function initCompensationSettings() {
+  const form = document.getElementById('compensation-form');
+  const resetBtn = document.getElementById('compensation-reset');
+  const statusEl = document.getElementById('compensation-status');
+  if (!form) return;
+  renderCompensationForm();
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const candidate = readCompensationForm();
+    const errors = validateCompensationProfile(candidate);
+    showCompensationErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      if (statusEl) statusEl.textContent = 'Please fix the highlighted fields.';
+      return;
+    }
+    compensationProfile = candidate;
+    saveCompensationProfile();
+    if (statusEl) statusEl.textContent = 'Settings saved.';
+    refreshAfterProfileChange();
+  });
+  if (resetBtn) {
+    resetBtn.addEventListener('click', () => {
+      if (!window.confirm('Reset all compensation settings to their defaults?')) return;
+      resetCompensationProfile();
+      renderCompensationForm();
+      showCompensationErrors({});
+      if (statusEl) statusEl.textContent = 'Defaults restored.';
+      refreshAfterProfileChange();
+    });
+  }
+}
+
+/**
+ * Adds a row for one exchange rate to the currency settings.
+ *
+ * @param {string} code - Currency code, empty for a new row.
+ * @param {number|string} rate - Value of one unit in the base currency.
+ */
+function addCurrencyRateRow(code, rate) {
+  const tbody = document.getElementById('currency-rate-rows');
+  if (!tbody) return;
+  const row = document.createElement('tr');
+  const codeCell = document.createElement('td');
+  const codeInput = document.createElement('input');
+  codeInput.type = 'text';
+  codeInput.className = 'currency-code';
+  codeInput.maxLength = 3;
+  codeInput.value = code;
+  codeInput.setAttribute('list', 'currency-codes');
+  codeInput.setAttribute('aria-label', 'Currency code');
+  codeCell.appendChild(codeInput);
+  row.appendChild(codeCell);
+  const rateCell = document.createElement('td');
+  const rateInput = document.createElement('input');
+  rateInput.type = 'number';
+  rateInput.className = 'currency-rate';
+  rateInput.min = 0;
+  rateInput.step = 'any';
+  rateInput.value = rate;
+  rateInput.setAttribute('aria-label', 'Value of one unit in the salary currency');
+  rateCell.appendChild(rateInput);
+  row.appendChild(rateCell);
+  const actions = document.createElement('td');
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'link-button';
+  removeBtn.textContent = 'Remove';
+  removeBtn.addEventListener('click', () => row.remove());
+  actions.appendChild(removeBtn);
+  row.appendChild(actions);
+  const errorCell = document.createElement('td');
+  errorCell.className = 'field-error';
+  row.appendChild(errorCell);
+  tbody.appendChild(row);
+}
+
+/**
+ * Fills the currency settings from the active settings, with one row per
+ * exchange rate.
+ */
+function renderCurrencyForm() {
+  const tbody = document.getElementById('currency-rate-rows');
+  if (!tbody) return;
+  tbody.innerHTML = '';
+  Object.keys(currencySettings.rates).sort().forEach(code => addCurrencyRateRow(code, currencySettings.rates[code]));
+  document.getElementById('currency-base').value = currencySettings.baseCurrency;
+  document.getElementById('currency-display').value = currencySettings.displayCurrency;
+  document.getElementById('currency-locale').value = currencySettings.locale;
+  document.getElementById('currency-rate-heading').textContent = `Value of one unit in ${currencySettings.baseCurrency}`;
+  document.getElementById('currency-example').textContent =
+    `Amounts look like ${formatMoney(1234.5)}${formatDisplayMoney(1234.5) ? ` (${formatDisplayMoney(1234.5)})` : ''}.`;
+}
+
+/**
+ * Wires up the currency settings panel.  Amounts everywhere are shown in
+ * the new currencies once the settings are saved.
+ */
+function initCurrencyPanel() {
+  const form = document.getElementById('currency-form');
+  const statusEl = document.getElementById('currency-status');
+  if (!form) return;
+  const codeOptions = document.getElementById('currency-codes');
+  currency.suggestedCurrencies.forEach(code => {
+    const option = document.createElement('option');
+    option.value = code;
+    codeOptions.appendChild(option);
+  });
+  renderCurrencyForm();
+  document.getElementById('currency-add-rate').addEventListener('click', () => addCurrencyRateRow('', ''));
+  // Rates are entered in the salary currency being typed
+  document.getElementById('currency-base').addEventListener('input', event => {
+    const code = event.target.value.trim().toUpperCase();
+    document.getElementById('currency-rate-heading').textContent = `Value of one unit in ${code || currencySettings.baseCurrency}`;
+  });
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const code = id => document.getElementById(id).value.trim().toUpperCase();
+    const rows = Array.from(document.querySelectorAll('#currency-rate-rows tr'));
+    const rates = {};
+    const rowErrors = new Map();
+    rows.forEach(row => {
+      const rowCode = row.querySelector('.currency-code').value.trim().toUpperCase();
+      const rawRate = row.querySelector('.currency-rate').value.trim();
+      if (rowCode === '' && rawRate === '') return;
+      if (rates.hasOwnProperty(rowCode)) {
+        rowErrors.set(row, 'This currency is listed twice.');
+        return;
+      }
+      rates[rowCode] = rawRate !== '' ? Number(rawRate) : NaN;
+    });
+    const candidate = {
+      version: currencySettingsVersion,
+      baseCurrency: code('currency-base'),
+      displayCurrency: code('currency-display'),
+      locale: document.getElementById('currency-locale').value.trim(),
+      rates
+    };
+    const errors = currency.validateCurrencySettings(candidate);
+    // A new base currency needs a rate for the old one, to convert the
+    // stored amounts with
+    const oldBase = currencySettings.baseCurrency;
+    const factor = errors.baseCurrency ? null : currency.convertToBase(1, oldBase, candidate);
+    if (!errors.baseCurrency && candidate.baseCurrency !== oldBase) {
+      if (factor === null) {
+        errors.baseCurrency = `Add an exchange rate for ${oldBase} to convert the stored amounts.`;
+      } else {
+        const converted = Object.assign({}, compensationProfile);
+        compensationFields.forEach(field => {
+          if (field.money) converted[field.key] = convertStoredAmount(converted[field.key], factor);
+        });
+        if (Object.keys(validateCompensationProfile(converted)).length > 0) {
+          errors.baseCurrency = `At this rate the salary or allowance in ${candidate.baseCurrency} is out of range.`;
+        }
+      }
+    }
+    const rateErrors = errors.rates || {};
+    rows.forEach(row => {
+      const rowCode = row.querySelector('.currency-code').value.trim().toUpperCase();
+      if (!rowErrors.has(row) && rateErrors[rowCode]) rowErrors.set(row, rateErrors[rowCode]);
+      row.querySelector('.field-error').textContent = rowErrors.get(row) || '';
+    });
+    const fieldIds = { baseCurrency: 'currency-base', displayCurrency: 'currency-display', locale: 'currency-locale' };
+    Object.keys(fieldIds).forEach(field => {
+      document.getElementById(`${fieldIds[field]}-error`).textContent = errors[field] || '';
+    });
+    if (Object.keys(errors).length > 0 || rowErrors.size > 0) {
+      if (statusEl) statusEl.textContent = 'Please fix the highlighted fields.';
+      return;
+    }
+    const changesBase = candidate.baseCurrency !== oldBase;
+    if (changesBase && !window.confirm(`Convert the salary, recorded totals, payslips and goals from ${oldBase} to ` +
+        `${candidate.baseCurrency} at 1 ${oldBase} = ${parseFloat(factor.toPrecision(6))} ${candidate.baseCurrency}?`)) {
+      return;
+    }
+    currencySettings = candidate;
+    saveCurrencySettings();
+    if (changesBase) {
+      convertStoredAmounts(factor);
+      renderCompensationForm();
+      document.getElementById('reconcile-threshold').value = payslipReconciliation.threshold;
+      renderReconciliationForm();
+    }
+    if (statusEl) {
+      statusEl.textContent = changesBase ? `Currency settings saved; stored amounts are now in ${candidate.baseCurrency}.`
+        : 'Currency settings saved.';
+    }
+    renderStoredData();
+  });
+}
+
+/**
+ * Builds one row per day of the week (Monday first, matching the calendar)
+ * in the weekly schedule editor and fills it from the active schedule.
+ */
+function renderScheduleForm() {
+  const tbody = document.getElementById('schedule-rows');
+  if (!tbody) return;
+  tbody.innerHTML = '';
+  [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+    const entry = weeklySchedule.days[day];
+    const row = document.createElement('tr');
+    row.id = `schedule-row-${day}`;
+    const nameCell = document.createElement('td');
+    nameCell.textContent = dayNamesLong[day];
+    row.appendChild(nameCell);
+    const inputs = [
+      { name: 'workday', type: 'checkbox' },
+      { name: 'start', type: 'time' },
+      { name: 'paidHours', type: 'number', min: 0.5, max: 24, step: 0.25 },
+      { name: 'breakHours', type: 'number', min: 0, max: 8, step: 0.25 }
+    ];
+    inputs.forEach(spec => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = spec.type;
+      input.id = `schedule-${day}-${spec.name}`;
+      input.setAttribute('aria-label', `${dayNamesLong[day]} ${spec.name}`);
+      if (spec.type === 'checkbox') {
+        input.checked = entry.workday;
+      } else {
+        input.value = entry[spec.name];
+        if (spec.min !== undefined) {
+          input.min = spec.min;
+          input.max = spec.max;
+          input.step = spec.step;
+        }
+      }
+      cell.appendChild(input);
+      row.appendChild(cell);
+    });
+    const errorCell = document.createElement('td');
+    errorCell.className = 'field-error';
+    errorCell.id = `schedule-${day}-error`;
+    row.appendChild(errorCell);
+    tbody.appendChild(row);
+  });
+  const timeZoneInput = document.getElementById('schedule-timezone');
+  if (timeZoneInput) timeZoneInput.value = payrollTimeZone;
+  const timeZoneOptions = document.getElementById('timezone-options');
+  if (timeZoneOptions && !timeZoneOptions.children.length) {
+    suggestedTimeZones.forEach(zone => {
+      const option = document.createElement('option');
+      option.value = zone;
+      timeZoneOptions.appendChild(option);
+    });
+  }
+}
+
+/**
+ * Reads the schedule editor into a new schedule object.
+ */
+function readScheduleForm() {
+  const days = weeklySchedule.days.map((entry, day) => {
+    const field = name => document.getElementById(`schedule-${day}-${name}`);
+    const numberValue = name => {
+      const input = field(name);
+      return input && input.value.trim() !== '' ? Number(input.value) : NaN;
+    };
+    return {
+      workday: field('workday') ? field('workday').checked : entry.workday,
+      start: field('start') ? field('start').value : entry.start,
+      paidHours: numberValue('paidHours'),
+      breakHours: numberValue('breakHours')
+    };
+  });
+  return { version: weeklyScheduleVersion, days };
+}
+
+/**
+ * Displays schedule validation errors on their rows.
+ */
+function showScheduleErrors(errors) {
+  for (let day = 0; day < 7; day++) {
+    const row = document.getElementById(`schedule-row-${day}`);
+    const errorEl = document.getElementById(`schedule-${day}-error`);
+    const message = errors[day] || '';
+    if (errorEl) errorEl.textContent = message;
+    if (row) row.classList.toggle('invalid', !!message);
+  }
+}
+
+/**
+ * Wires up the save and reset actions of the weekly schedule editor.
+ */
+function initScheduleSettings() {
+  const form = document.getElementById('schedule-form');
+  const resetBtn = document.getElementById('schedule-reset');
+  const statusEl = document.getElementById('schedule-status');
+  if (!form) return;
+  renderScheduleForm();
+  const applySchedule = message => {
+    if (statusEl) statusEl.textContent = message;
+    refreshAfterProfileChange();
+  };
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const candidate = readScheduleForm();
+    const errors = validateWeeklySchedule(candidate);
+    showScheduleErrors(errors);
+    const timeZoneInput = document.getElementById('schedule-timezone');
+    const timeZone = timeZoneInput ? timeZoneInput.value.trim() : payrollTimeZone;
+    const timeZoneError = isValidTimeZone(timeZone) ? '' : 'Enter a time zone name such as Asia/Manila.';
+    const timeZoneErrorEl = document.getElementById('schedule-timezone-error');
+    if (timeZoneErrorEl) timeZoneErrorEl.textContent = timeZoneError;
+    if (Object.keys(errors).length > 0 || timeZoneError) {
+      if (statusEl) statusEl.textContent = timeZoneError ? 'Please fix the time zone.' : 'Please fix the highlighted days.';
+      return;
+    }
+    weeklySchedule = candidate;
+    saveWeeklySchedule();
+    payrollTimeZone = timeZone;
+    savePayrollTimeZone();
+    applySchedule('Schedule saved.');
+  });
+  if (resetBtn) {
+    resetBtn.addEventListener('click', () => {
+      if (!window.confirm('Reset the weekly schedule to the default night shift in Manila time?')) return;
+      weeklySchedule = createDefaultWeeklySchedule();
+      try {
+        storage.removeItem('weeklySchedule');
+      } catch (e) {
+        // Ignore storage errors
+      }
+      // The setting is kept rather than removed, which would migrate the
+      // stored records again on the next load
+      payrollTimeZone = defaultTimeZone;
+      savePayrollTimeZone();
+      const timeZoneErrorEl = document.getElementById('schedule-timezone-error');
+      if (timeZoneErrorEl) timeZoneErrorEl.textContent = '';
+      renderScheduleForm();
+      showScheduleErrors({});
+      applySchedule('Defaults restored.');
+    });
+  }
+}
+
+/**
+ * Lists the holidays of a year, merging the bundled table with custom
+ * entries.  Custom entries of type 'none' are included so they can be
+ * reverted from the holiday panel.
+ *
+ * @param {number} year - Calendar year.
+ * @returns {Array<{key: string, name: string, type: string, custom: boolean, bundled: boolean}>}
+ */
+function getHolidaysForYear(year) {
+  const prefix = `${year}-`;
+  const keys = new Set();
+  Object.keys(bundledHolidays).forEach(key => {
+    if (key.startsWith(prefix)) keys.add(key);
+  });
+  Object.keys(customHolidays).forEach(key => {
+    if (key.startsWith(prefix)) keys.add(key);
+  });
+  return Array.from(keys).sort().map(key => {
+    const custom = customHolidays[key];
+    const entry = custom || bundledHolidays[key];
+    return {
+      key,
+      name: entry.name || (bundledHolidays[key] ? bundledHolidays[key].name : ''),
+      type: entry.type,
+      custom: !!custom,
+      bundled: bundledHolidays.hasOwnProperty(key)
+    };
+  });
+}
+
+/**
+ * Fills the holiday table for the current year.
+ */
+function renderHolidayList() {
+  const tbody = document.getElementById('holiday-rows');
+  const titleEl = document.getElementById('holiday-list-title');
+  if (!tbody) return;
+  const year = getDisplayedMonth().year;
+  if (titleEl) titleEl.textContent = `Holidays in ${year}`;
+  tbody.innerHTML = '';
+  getHolidaysForYear(year).forEach(holiday => {
+    const row = document.createElement('tr');
+    if (holiday.type === 'none') row.className = 'muted';
+    const cells = [
+      holiday.key,
+      holiday.name,
+      holidayTypeLabels[holiday.type] || 'Not a holiday',
+      holiday.custom ? (holiday.bundled ? 'Edited' : 'Custom') : 'Bundled'
+    ];
+    cells.forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    const actions = document.createElement('td');
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'link-button';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => {
+      document.getElementById('holiday-date').value = holiday.key;
+      document.getElementById('holiday-name').value = holiday.name;
+      document.getElementById('holiday-type').value = holiday.type;
+    });
+    actions.appendChild(editBtn);
+    if (holiday.custom) {
+      // Removing a custom entry restores the bundled holiday, if any
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'link-button';
+      removeBtn.textContent = holiday.bundled ? 'Revert' : 'Delete';
+      removeBtn.addEventListener('click', () => {
+        delete customHolidays[holiday.key];
+        saveCustomHolidays();
+        refreshAfterHolidayChange();
+      });
+      actions.appendChild(removeBtn);
+    }
+    row.appendChild(actions);
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Re-renders everything that depends on the holiday calendar.
+ */
+function refreshAfterHolidayChange() {
+  renderHolidayList();
+  renderCalendars();
+  updateDisplay();
+}
+
+/**
+ * Wires up the holiday form.  Saving a date stores a custom entry that
+ * overrides the bundled table; choosing "Not a holiday" hides a bundled
+ * holiday on that date.
+ */
+function initHolidaySettings() {
+  const form = document.getElementById('holiday-form');
+  const statusEl = document.getElementById('holiday-status');
+  if (!form) return;
+  renderHolidayList();
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const dateInput = document.getElementById('holiday-date');
+    const nameInput = document.getElementById('holiday-name');
+    const type = document.getElementById('holiday-type').value;
+    const key = dateInput.value;
+    const name = nameInput.value.trim();
+    const errors = {};
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) {
+      errors.date = 'Choose a date.';
+    }
+    if (type !== 'none' && !name) {
+      errors.name = 'Enter the holiday name.';
+    }
+    document.getElementById('holiday-date-error').textContent = errors.date || '';
+    document.getElementById('holiday-name-error').textContent = errors.name || '';
+    dateInput.setAttribute('aria-invalid', errors.date ? 'true' : 'false');
+    nameInput.setAttribute('aria-invalid', errors.name ? 'true' : 'false');
+    if (Object.keys(errors).length > 0) {
+      if (statusEl) statusEl.textContent = 'Please fix the highlighted fields.';
+      return;
+    }
+    customHolidays[key] = { name, type };
+    saveCustomHolidays();
+    form.reset();
+    if (statusEl) statusEl.textContent = `Saved ${key}.`;
+    refreshAfterHolidayChange();
+  });
+}
+
+/**
+ * Formats a timestamp for a datetime-local input (YYYY‑MM‑DDTHH:MM) on the
+ * payroll time zone's clock.
+ */
+function formatDateTimeLocal(ms) {
+  if (ms == null) return '';
+  return `${formatDateKey(getCalendarDate(ms))}T${formatClock(ms)}`;
+}
+
+/**
+ * Parses a datetime-local input value, read on the payroll time zone's
+ * clock, into a timestamp, or null when empty.
+ */
+function parseDateTimeLocal(value) {
+  if (!value) return null;
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})/.exec(value);
+  if (!match || isNaN(parseTimeToMinutes(match[2]))) return NaN;
+  return zonedTimeToMs(parseDateKey(match[1]), parseTimeToMinutes(match[2]), payrollTimeZone);
+}
+
+/**
+ * Validates the punches of a shift.  Returns an object mapping punch
+ * fields to error messages; an empty object means the punches are valid.
+ * Punches must be in order, a break needs a start before its end, and a
+ * shift cannot be longer than 24 hours.
+ *
+ * @param {Object} record - Candidate punch record.
+ * @returns {Object<string, string>} Validation errors keyed by field.
+ */
+function validatePunchRecord(record) {
+  const errors = {};
+  punchFields.forEach(field => {
+    if (Number.isNaN(record[field])) errors[field] = 'Enter a valid date and time.';
+  });
+  if (record.clockIn == null) {
+    errors.clockIn = errors.clockIn || 'Clock in is required.';
+    return errors;
+  }
+  if (record.breakEnd != null && record.breakStart == null) {
+    errors.breakStart = 'Enter when the break started.';
+  }
+  if (record.breakStart != null && record.breakEnd == null && record.clockOut != null) {
+    errors.breakEnd = 'Enter when the break ended.';
+  }
+  let previous = null;
+  punchFields.forEach(field => {
+    if (errors[field] || record[field] == null) return;
+    if (previous && record[field] <= record[previous]) {
+      errors[field] = `Must be after ${punchFieldLabels[previous].toLowerCase()}.`;
+    }
+    previous = field;
+  });
+  if (!errors.clockOut && record.clockOut != null && record.clockOut - record.clockIn > 24 * msPerHour) {
+    errors.clockOut = 'A shift cannot be longer than 24 hours.';
+  }
+  return errors;
+}
+
+/**
+ * Fills the time log table with the punched shifts of the current month,
+ * newest first, including tardiness, undertime and earnings.
+ */
+function renderTimeLog() {
+  const tbody = document.getElementById('time-log-rows');
+  const titleEl = document.getElementById('time-log-title');
+  if (!tbody) return;
+  const now = getCurrentTime();
+  const shown = getDisplayedMonth();
+  const firstOfMonth = new Date(shown.year, shown.month, 1);
+  const prefix = formatDateKey(firstOfMonth).slice(0, 7);
+  if (titleEl) titleEl.textContent = `Shifts in ${firstOfMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`;
+  tbody.innerHTML = '';
+  const keys = Object.keys(shiftPunches).filter(key => key.startsWith(prefix)).sort().reverse();
+  if (keys.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 9;
+    cell.textContent = 'No shifts logged in this month.';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+  keys.forEach(key => {
+    const record = shiftPunches[key];
+    const earnings = calculatePunchedShiftEarnings(parseDateKey(key), record, now.getTime());
+    const clock = ms => (ms == null ? '—' : formatClock(ms));
+    const cells = [
+      key,
+      clock(record.clockIn),
+      record.breakStart == null ? '—' : `${clock(record.breakStart)}–${clock(record.breakEnd)}`,
+      record.clockOut == null ? '—' : `${clock(record.clockOut)}${record.autoClockOut ? ' (auto)' : ''}`,
+      formatMinutes(earnings.paidHours * 60),
+      earnings.tardyMinutes >= 1 ? formatMinutes(earnings.tardyMinutes) : '—',
+      earnings.undertimeMinutes >= 1 ? formatMinutes(earnings.undertimeMinutes) : '—',
+      formatMoney(earnings.total)
+    ];
+    const row = document.createElement('tr');
+    cells.forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    const actions = document.createElement('td');
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'link-button';
+    editBtn.textContent = record.edits && record.edits.length ? `Edit (${record.edits.length})` : 'Edit';
+    editBtn.addEventListener('click', () => openPunchEditor(key));
+    actions.appendChild(editBtn);
+    row.appendChild(actions);
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Opens the punch editor for an existing shift, or for a new shift when
+ * no key is given.  Existing shifts keep their date; their audit trail is
+ * listed beneath the form.
+ *
+ * @param {string} [key] - Shift date of the record to edit.
+ */
+function openPunchEditor(key) {
+  const form = document.getElementById('punch-form');
+  if (!form) return;
+  const record = key ? shiftPunches[key] : null;
+  form.hidden = false;
+  form.dataset.key = key || '';
+  const dateInput = document.getElementById('punch-date');
+  dateInput.value = key || formatDateKey(getToday());
+  dateInput.disabled = !!key;
+  punchFields.forEach(field => {
+    document.getElementById(`punch-${field}`).value = record ? formatDateTimeLocal(record[field]) : '';
+  });
+  document.getElementById('punch-note').value = '';
+  document.getElementById('punch-delete').hidden = !key;
+  showPunchErrors({});
+  const historyEl = document.getElementById('punch-history');
+  historyEl.innerHTML = '';
+  (record && record.edits ? record.edits : []).forEach(edit => {
+    const item = document.createElement('li');
+    const changes = Object.keys(edit.changes).map(field => {
+      const [from, to] = edit.changes[field];
+      const clock = ms => (ms == null ? '—' : formatDateTimeLocal(ms).replace('T', ' '));
+      return `${punchFieldLabels[field]}: ${clock(from)} → ${clock(to)}`;
+    });
+    item.textContent = `${formatDateTimeLocal(edit.at).replace('T', ' ')} — ${edit.note} (${changes.join('; ') || 'no changes'})`;
+    historyEl.appendChild(item);
+  });
+}
+
+/**
+ * Displays punch editor validation errors next to their inputs.
+ */
+function showPunchErrors(errors) {
+  ['date', 'note'].concat(punchFields).forEach(field => {
+    const input = document.getElementById(`punch-${field}`);
+    const errorEl = document.getElementById(`punch-${field}-error`);
+    const message = errors[field] || '';
+    if (errorEl) errorEl.textContent = message;
+    if (input) input.setAttribute('aria-invalid', message ? 'true' : 'false');
+  });
+}
+
+/**
+ * Wires up the time log panel: the add button, and saving, deleting and
+ * cancelling in the punch editor.  Every save requires a note, which is
+ * stored with the changed punches in the record's audit trail.
+ */
+function initTimeLog() {
+  const form = document.getElementById('punch-form');
+  const addBtn = document.getElementById('punch-add');
+  const statusEl = document.getElementById('punch-status');
+  if (!form) return;
+  renderTimeLog();
+  if (addBtn) addBtn.addEventListener('click', () => openPunchEditor());
+  document.getElementById('punch-cancel').addEventListener('click', () => {
+    form.hidden = true;
+  });
+  document.getElementById('punch-delete').addEventListener('click', () => {
+    const key = form.dataset.key;
+    if (!key || !window.confirm(`Delete the logged shift for ${key}?`)) return;
+    delete shiftPunches[key];
+    saveShiftPunches();
+    form.hidden = true;
+    if (statusEl) statusEl.textContent = `Deleted ${key}.`;
+    refreshAfterPunch();
+  });
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const existingKey = form.dataset.key;
+    const key = existingKey || document.getElementById('punch-date').value;
+    const note = document.getElementById('punch-note').value.trim();
+    const existing = existingKey ? shiftPunches[existingKey] : null;
+    const candidate = Object.assign({ autoClockOut: false, edits: [] }, existing);
+    punchFields.forEach(field => {
+      candidate[field] = parseDateTimeLocal(document.getElementById(`punch-${field}`).value);
+    });
+    const errors = validatePunchRecord(candidate);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) {
+      errors.date = 'Choose the shift date.';
+    } else if (!existingKey && shiftPunches[key]) {
+      errors.date = 'A shift is already logged for this date; edit it instead.';
+    }
+    if (!note) {
+      errors.note = 'Explain the correction.';
+    }
+    showPunchErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      if (statusEl) statusEl.textContent = 'Please fix the highlighted fields.';
+      return;
+    }
+    const changes = {};
+    punchFields.forEach(field => {
+      const previous = existing ? existing[field] : null;
+      if (previous !== candidate[field]) changes[field] = [previous, candidate[field]];
+    });
+    if (changes.clockOut) candidate.autoClockOut = false;
+    candidate.edits = (candidate.edits || []).concat([{ at: getCurrentTime().getTime(), note, changes }]);
+    shiftPunches[key] = candidate;
+    saveShiftPunches();
+    form.hidden = true;
+    if (statusEl) statusEl.textContent = `Saved ${key}.`;
+    refreshAfterPunch();
+  });
+}
+
+// Overtime panel
+// Lists the overtime requests and the overtime worked in the displayed
+// month, and edits requests.
+const overtimeRequestFields = ['date', 'requested', 'status', 'approved', 'reason'];
+
+/**
+ * Fills the overtime request form for a date, with its stored request or
+ * with the overtime worked that day as the requested hours.
+ */
+function fillOvertimeForm(dateKey) {
+  const request = overtimeRequests.requests[dateKey];
+  let requested = request ? request.requested : '';
+  if (!request) {
+    const day = calculateDailyBreakdown(parseDateKey(dateKey));
+    const worked = day.overtimeHours + day.unapprovedHours;
+    if (worked > 0) requested = Math.round(worked * 100) / 100;
+  }
+  document.getElementById('overtime-date').value = dateKey;
+  document.getElementById('overtime-requested').value = requested;
+  document.getElementById('overtime-status-select').value = request ? request.status : 'pending';
+  document.getElementById('overtime-approved').value = request && request.approved != null ? request.approved : '';
+  document.getElementById('overtime-reason').value = request ? request.reason || '' : '';
+  document.getElementById('overtime-delete').hidden = !request;
+  updateOvertimeForm();
+}
+
+/**
+ * Shows the approved hours only for approved requests.
+ */
+function updateOvertimeForm() {
+  const approved = document.getElementById('overtime-status-select').value === 'approved';
+  document.querySelectorAll('#overtime-form .approved-field').forEach(row => {
+    row.hidden = !approved;
+  });
+}
+
+/**
+ * Lists the days of the displayed month with an overtime request or with
+ * overtime worked: the requested and approved hours, the overtime worked,
+ * what is paid for it and the hours left unpaid for lack of approval.
+ */
+function renderOvertimeList() {
+  const tbody = document.getElementById('overtime-rows');
+  const titleEl = document.getElementById('overtime-list-title');
+  if (!tbody) return;
+  const shown = getDisplayedMonth();
+  const firstOfMonth = new Date(shown.year, shown.month, 1);
+  const prefix = formatDateKey(firstOfMonth).slice(0, 7);
+  if (titleEl) titleEl.textContent = `Overtime in ${firstOfMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`;
+  document.getElementById('overtime-require').checked = overtimeRequests.requireApproval;
+  tbody.innerHTML = '';
+  const days = [];
+  const lastDay = new Date(shown.year, shown.month + 1, 0).getDate();
+  for (let day = 1; day <= lastDay; day++) {
+    const date = new Date(shown.year, shown.month, day);
+    const key = formatDateKey(date);
+    const breakdown = calculateDailyBreakdown(date);
+    if (overtimeRequests.requests[key] || breakdown.overtimeHours + breakdown.unapprovedHours > 0) {
+      days.push({ key, breakdown, request: overtimeRequests.requests[key] });
+    }
+  }
+  if (days.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 8;
+    cell.textContent = 'No overtime requested or worked in this month.';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+  const hours = value => (value > 0 ? formatMinutes(value * 60) : '—');
+  days.reverse().forEach(({ key, breakdown, request }) => {
+    const row = document.createElement('tr');
+    if (breakdown.unapprovedHours * 60 >= 1) row.className = 'flagged';
+    const cells = [
+      key,
+      request ? hours(request.requested) : '—',
+      request && request.status === 'approved' ? hours(request.approved) : '—',
+      request ? overtimeStatusLabels[request.status] : 'Not requested',
+      hours(breakdown.overtimeHours + breakdown.unapprovedHours),
+      formatMoney(breakdown.overtime),
+      hours(breakdown.unapprovedHours)
+    ];
+    cells.forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    const actions = document.createElement('td');
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'link-button';
+    editBtn.textContent = request ? 'Edit' : 'Request';
+    editBtn.addEventListener('click', () => fillOvertimeForm(key));
+    actions.appendChild(editBtn);
+    row.appendChild(actions);
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Re‑renders everything that depends on the overtime requests.
+ */
+function refreshAfterOvertimeChange() {
+  renderCalendars();
+  renderTimeLog();
+  updateDisplay();
+}
+
+/**
+ * Wires the overtime panel: the approval policy and the request form.
+ */
+function initOvertimePanel() {
+  const form = document.getElementById('overtime-form');
+  const statusEl = document.getElementById('overtime-status');
+  if (!form) return;
+  const setStatus = message => {
+    if (statusEl) statusEl.textContent = message;
+  };
+  updateOvertimeForm();
+  renderOvertimeList();
+  document.getElementById('overtime-status-select').addEventListener('change', updateOvertimeForm);
+  document.getElementById('overtime-date').addEventListener('change', event => {
+    if (dateKeyPattern.test(event.target.value)) fillOvertimeForm(event.target.value);
+  });
+  document.getElementById('overtime-require').addEventListener('change', event => {
+    overtimeRequests.requireApproval = event.target.checked;
+    saveOvertimeRequests();
+    setStatus(event.target.checked
+      ? 'Overtime is paid up to the approved hours only.'
+      : 'All overtime worked is paid.');
+    refreshAfterOvertimeChange();
+  });
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const key = document.getElementById('overtime-date').value;
+    const number = id => {
+      const value = document.getElementById(id).value.trim();
+      return value !== '' ? Number(value) : NaN;
+    };
+    const status = document.getElementById('overtime-status-select').value;
+    const request = {
+      requested: number('overtime-requested'),
+      approved: status === 'approved' ? number('overtime-approved') : null,
+      status,
+      reason: document.getElementById('overtime-reason').value.trim(),
+      updatedAt: getCurrentTime().getTime()
+    };
+    const errors = validateOvertimeRequest(request);
+    if (!dateKeyPattern.test(key)) errors.date = 'Choose the shift date.';
+    overtimeRequestFields.forEach(field => {
+      const id = field === 'status' ? 'overtime-status-select' : `overtime-${field}`;
+      const message = errors[field] || '';
+      document.getElementById(`overtime-${field}-error`).textContent = message;
+      document.getElementById(id).setAttribute('aria-invalid', message ? 'true' : 'false');
+    });
+    if (Object.keys(errors).length > 0) {
+      setStatus('Please fix the highlighted fields.');
+      return;
+    }
+    overtimeRequests.requests[key] = request;
+    saveOvertimeRequests();
+    document.getElementById('overtime-delete').hidden = false;
+    setStatus(`Saved the overtime request for ${key}.`);
+    refreshAfterOvertimeChange();
+  });
+  document.getElementById('overtime-delete').addEventListener('click', () => {
+    const key = document.getElementById('overtime-date').value;
+    if (!overtimeRequests.requests[key]) return;
+    delete overtimeRequests.requests[key];
+    saveOvertimeRequests();
+    form.reset();
+    updateOvertimeForm();
+    document.getElementById('overtime-delete').hidden = true;
+    setStatus(`Deleted the overtime request for ${key}.`);
+    refreshAfterOvertimeChange();
+  });
+}
+
+// Goals panel and progress
+// Lists the goals with their progress and outlook and edits them.  The
+// earnings card shows the progress toward each goal that is running today,
+// including the live shift, and announces each quarter of a goal reached
+// while a shift is running.
+const earningsGoalFields = ['name', 'type', 'amount', 'start', 'by'];
+// Shares of a goal announced during a shift
+const goalMilestones = [0.25, 0.5, 0.75, 1];
+// How long a milestone stays on the earnings card
+const goalMilestoneMs = 15 * 1000;
+
+// Progress of each goal running today without the live shift, as { key,
+// excludeKey, goals }; cleared whenever the records change
+let goalProgressCache = null;
+// Milestones reached so far by each goal, as an index into goalMilestones
+let goalMilestonesReached = {};
+let goalMilestoneUntil = 0;
+
+/**
+ * Returns the goals running on any of the given days: every monthly goal,
+ * and purchase goals whose dates include one of them.
+ *
+ * @param {string[]} dateKeys - Days, e.g. today and the live shift's date.
+ */
+function getRunningGoals(dateKeys) {
+  return Object.keys(earningsGoals.goals).filter(id => {
+    const goal = earningsGoals.goals[id];
+    return goal.type === 'monthly' || dateKeys.some(key => key && goal.start <= key && key <= goal.by);
+  });
+}
+
+/**
+ * Shows the progress toward the goals running today or on the current
+ * shift's date on the earnings card, adding the live shift's earnings, and announces a milestone the first
+ * time a goal passes it during a running shift.
+ *
+ * @param {Date} now - Current time.
+ * @param {{key: string, record: Object, live: boolean}|null} current - Result of getCurrentPunchRecord().
+ * @param {number} shiftTotal - Earnings of the current shift so far.
+ */
+function renderGoalProgress(now, current, shiftTotal) {
+  const container = document.getElementById('goal-progress');
+  if (!container) return;
+  const today = getCalendarDate(now.getTime());
+  const todayKey = formatDateKey(today);
+  const excludeKey = current ? current.key : null;
+  if (!goalProgressCache || goalProgressCache.key !== todayKey || goalProgressCache.excludeKey !== excludeKey) {
+    const goals = {};
+    getRunningGoals([todayKey, excludeKey]).forEach(id => {
+      goals[id] = calculateGoalProgress(earningsGoals.goals[id], today, excludeKey);
+    });
+    goalProgressCache = { key: todayKey, excludeKey, goals };
+  }
+  container.innerHTML = '';
+  const announcements = [];
+  Object.keys(goalProgressCache.goals).forEach(id => {
+    const goal = earningsGoals.goals[id];
+    const progress = goalProgressCache.goals[id];
+    const counted = current && current.key >= formatDateKey(progress.first) && current.key <= formatDateKey(progress.last);
+    const earned = progress.earned + (counted ? shiftTotal : 0);
+    const share = Math.min(earned / goal.amount, 1);
+    const row = document.createElement('div');
+    row.className = 'goal-line';
+    const label = document.createElement('span');
+    label.textContent = goal.name;
+    const value = document.createElement('span');
+    value.textContent = `${formatMoney(earned)} of ${formatMoney(goal.amount)} (${Math.floor(share * 100)}%)`;
+    const bar = document.createElement('progress');
+    bar.max = 1;
+    bar.value = share;
+    bar.setAttribute('aria-label', `Progress toward ${goal.name}`);
+    row.appendChild(label);
+    row.appendChild(value);
+    row.appendChild(bar);
+    container.appendChild(row);
+    const reached = goalMilestones.filter(milestone => share >= milestone).length;
+    const previous = goalMilestonesReached[id];
+    goalMilestonesReached[id] = reached;
+    if (previous === undefined || reached <= previous || !counted || getShiftState(current) !== 'inProgress') return;
+    if (reached === goalMilestones.length) {
+      announcements.push(goal.type === 'purchase'
+        ? `You just earned enough for ${goal.name}!`
+        : `You just reached your monthly goal, ${goal.name}!`);
+    } else {
+      announcements.push(`${goalMilestones[reached - 1] * 100}% of the way to ${goal.name}.`);
+    }
+  });
+  container.hidden = container.children.length === 0;
+  const milestoneEl = document.getElementById('goal-milestone');
+  if (!milestoneEl) return;
+  if (announcements.length > 0) {
+    milestoneEl.textContent = announcements.join(' ');
+    goalMilestoneUntil = Date.now() + goalMilestoneMs;
+  }
+  milestoneEl.hidden = Date.now() >= goalMilestoneUntil;
+}
+
+/**
+ * Adds a line per goal beneath a period's totals with what the period's
+ * days add toward it, as shown in its calendar.
+ *
+ * @param {HTMLElement} totalEl - Container beneath the period's calendar.
+ * @param {Array<{key: string, total: number}>} days - Earnings of the period's days.
+ */
+function renderPeriodGoals(totalEl, days) {
+  Object.keys(earningsGoals.goals).forEach(id => {
+    const goal = earningsGoals.goals[id];
+    const counted = days.filter(day => goal.type === 'monthly' || (goal.start <= day.key && day.key <= goal.by));
+    if (counted.length === 0) return;
+    const amount = counted.reduce((sum, day) => sum + day.total, 0);
+    const row = document.createElement('div');
+    row.className = 'breakdown-line goal';
+    const label = document.createElement('span');
+    label.textContent = `Toward ${goal.name}`;
+    const value = document.createElement('span');
+    value.textContent = `${formatMoney(amount)} (${Math.floor(amount / goal.amount * 100)}%)`;
+    row.appendChild(label);
+    row.appendChild(value);
+    totalEl.appendChild(row);
+  });
+}
+
+/**
+ * Lists the goals with their progress for today and what it takes to
+ * reach them.
+ */
+function renderGoalList() {
+  const tbody = document.getElementById('goal-rows');
+  if (!tbody) return;
+  tbody.innerHTML = '';
+  const ids = Object.keys(earningsGoals.goals);
+  if (ids.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 5;
+    cell.textContent = 'No goals yet. Set a monthly target or save up for something.';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+  const today = getToday();
+  ids.forEach(id => {
+    const goal = earningsGoals.goals[id];
+    const progress = calculateGoalProgress(goal, today);
+    const row = document.createElement('tr');
+    const cells = [
+      goal.name,
+      goal.type === 'monthly' ? goalTypeLabels.monthly : `${goal.start} to ${goal.by}`,
+      `${formatMoney(progress.earned)} of ${formatMoney(goal.amount)}`,
+      describeGoalOutlook(goal, progress)
+    ];
+    cells.forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    const actions = document.createElement('td');
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'link-button';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => fillGoalForm(id));
+    actions.appendChild(editBtn);
+    row.appendChild(actions);
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Returns an id for a new goal.
+ */
+function createGoalId() {
+  const stamp = Date.now().toString(36);
+  let id = `goal-${stamp}`;
+  for (let n = 1; earningsGoals.goals.hasOwnProperty(id); n++) id = `goal-${stamp}${n}`;
+  return id;
+}
+
+/**
+ * Shows the date fields of the goal form for purchase goals only.
+ */
+function updateGoalForm() {
+  const purchase = document.getElementById('goal-type').value === 'purchase';
+  document.querySelectorAll('#goal-form .purchase-field').forEach(row => {
+    row.hidden = !purchase;
+  });
+}
+
+/**
+ * Fills the goal form with a stored goal, or empties it for a new goal
+ * counting from today.
+ *
+ * @param {string} [id] - Id of the goal to edit.
+ */
+function fillGoalForm(id) {
+  const form = document.getElementById('goal-form');
+  const goal = id ? earningsGoals.goals[id] : null;
+  form.dataset.id = goal ? id : '';
+  document.getElementById('goal-name').value = goal ? goal.name : '';
+  document.getElementById('goal-type').value = goal ? goal.type : 'monthly';
+  document.getElementById('goal-amount').value = goal ? goal.amount : '';
+  document.getElementById('goal-start').value = goal && goal.start ? goal.start : formatDateKey(getToday());
+  document.getElementById('goal-by').value = goal && goal.by ? goal.by : '';
+  document.getElementById('goal-delete').hidden = !goal;
+  showGoalErrors({});
+  updateGoalForm();
+}
+
+/**
+ * Displays goal validation errors next to their inputs.
+ */
+function showGoalErrors(errors) {
+  earningsGoalFields.forEach(field => {
+    const message = errors[field] || '';
+    document.getElementById(`goal-${field}-error`).textContent = message;
+    document.getElementById(`goal-${field}`).setAttribute('aria-invalid', message ? 'true' : 'false');
+  });
+}
+
+/**
+ * Re‑renders everything that depends on the goals.
+ */
+function refreshAfterGoalChange() {
+  goalProgressCache = null;
+  renderGoalList();
+  renderCalendars();
+  updateDisplay();
+}
+
+/**
+ * Wires up the goals panel: saving, deleting and starting a new goal.
+ */
+function initGoalsPanel() {
+  const form = document.getElementById('goal-form');
+  const statusEl = document.getElementById('goal-status');
+  if (!form) return;
+  const setStatus = message => {
+    if (statusEl) statusEl.textContent = message;
+  };
+  Object.keys(goalTypeLabels).forEach(type => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = goalTypeLabels[type];
+    document.getElementById('goal-type').appendChild(option);
+  });
+  fillGoalForm();
+  renderGoalList();
+  document.getElementById('goal-type').addEventListener('change', updateGoalForm);
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const type = document.getElementById('goal-type').value;
+    const amount = document.getElementById('goal-amount').value.trim();
+    const goal = {
+      name: document.getElementById('goal-name').value.trim(),
+      type,
+      amount: amount !== '' ? Number(amount) : NaN
+    };
+    if (type === 'purchase') {
+      goal.start = document.getElementById('goal-start').value;
+      goal.by = document.getElementById('goal-by').value;
+    }
+    const errors = validateEarningsGoal(goal);
+    showGoalErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      setStatus('Please fix the highlighted fields.');
+      return;
+    }
+    const id = form.dataset.id || createGoalId();
+    earningsGoals.goals[id] = goal;
+    delete goalMilestonesReached[id];
+    saveEarningsGoals();
+    form.dataset.id = id;
+    document.getElementById('goal-delete').hidden = false;
+    setStatus(`Saved ${goal.name}.`);
+    refreshAfterGoalChange();
+  });
+  document.getElementById('goal-delete').addEventListener('click', () => {
+    const id = form.dataset.id;
+    const goal = earningsGoals.goals[id];
+    if (!goal) return;
+    delete earningsGoals.goals[id];
+    saveEarningsGoals();
+    fillGoalForm();
+    setStatus(`Deleted ${goal.name}.`);
+    refreshAfterGoalChange();
+  });
+  document.getElementById('goal-new').addEventListener('click', () => {
+    fillGoalForm();
+    setStatus('');
+  });
+}
+
+// Profile switcher and household view
+// The header switches between profiles; the profiles panel adds, renames
+// and deletes them and adds up the net pay of the displayed month's pay
+// periods across the household.
+
+/**
+ * Fills the profile switcher in the header.  Profiles cannot be switched
+ * while simulating.
+ */
+function renderProfileSwitcher() {
+  const select = document.getElementById('profile-select');
+  if (!select) return;
+  select.innerHTML = '';
+  Object.keys(profiles.profiles).forEach(id => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = profiles.profiles[id].name;
+    select.appendChild(option);
+  });
+  select.value = profiles.active;
+  select.disabled = Boolean(simulation);
+  select.title = simulation ? 'End the simulation to switch profile.' : '';
+}
+
+/**
+ * Lists the profiles with the net pay of each pay period of the displayed
+ * month, as their calendars last showed it, and the household total.
+ * Amounts are converted into the active profile's base currency with its
+ * exchange rates.  An amount in a currency without a rate is shown in that
+ * currency and leaves its totals out.
+ */
+function renderHouseholdView() {
+  const tbody = document.getElementById('household-rows');
+  const totalsRow = document.getElementById('household-totals');
+  if (!tbody) return;
+  const { year, month } = getDisplayedMonth();
+  const title = document.getElementById('household-title');
+  if (title) {
+    title.textContent = `Household net pay, ${new Date(year, month, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`;
+  }
+  const periodKeys = [getPeriodKey(1, year, month), getPeriodKey(2, year, month)];
+  const totals = [0, 0];
+  // Currencies without a rate, by column: the two periods and the net
+  const missing = [[], [], []];
+  const noRate = codes => `No exchange rate for ${codes.join(', ')}`;
+  tbody.innerHTML = '';
+  Object.keys(profiles.profiles).forEach(id => {
+    const periods = loadPeriodTotals(id);
+    const row = document.createElement('tr');
+    const nameCell = document.createElement('td');
+    nameCell.textContent = profiles.profiles[id].name + (id === profiles.active ? ' (active)' : '');
+    row.appendChild(nameCell);
+    let net = 0;
+    const rowMissing = [];
+    periodKeys.forEach((key, i) => {
+      const cell = document.createElement('td');
+      const stored = periods[key];
+      if (stored) {
+        const code = stored.currency || currency.defaultCurrency;
+        const converted = currency.convertToBase(stored.net, code, currencySettings);
+        cell.title = `Updated ${new Date(stored.updatedAt).toLocaleString('en-US')}`;
+        if (converted === null) {
+          cell.textContent = currency.createMoneyFormatter(code, currencySettings.locale)(stored.net);
+          cell.title += ` · ${noRate([code])}`;
+          [missing[i], missing[2], rowMissing].forEach(codes => {
+            if (!codes.includes(code)) codes.push(code);
+          });
+        } else {
+          cell.textContent = formatMoney(converted);
+          if (code !== currencySettings.baseCurrency) {
+            cell.title += ` · ${currency.createMoneyFormatter(code, currencySettings.locale)(stored.net)}`;
+          }
+          totals[i] += converted;
+          net += converted;
+        }
+      } else {
+        cell.textContent = '—';
+        cell.title = 'Not shown in this profile yet';
+      }
+      row.appendChild(cell);
+    });
+    const netCell = document.createElement('td');
+    netCell.textContent = rowMissing.length ? '—' : formatMoney(net);
+    if (rowMissing.length) netCell.title = noRate(rowMissing);
+    row.appendChild(netCell);
+    const actions = document.createElement('td');
+    const addButton = (text, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'link-button';
+      button.textContent = text;
+      button.addEventListener('click', onClick);
+      actions.appendChild(button);
+    };
+    if (id !== profiles.active && !simulation) addButton('Switch', () => switchProfile(id));
+    addButton('Rename', () => fillProfileForm(id));
+    if (id !== defaultProfileId && id !== profiles.active) {
+      addButton('Delete', () => {
+        const name = profiles.profiles[id].name;
+        if (!window.confirm(`Delete the profile ${name} with all of its settings and records?`)) return;
+        deleteProfile(id);
+        fillProfileForm();
+        document.getElementById('profile-status').textContent = `Deleted ${name}.`;
+        renderProfileSwitcher();
+        renderHouseholdView();
+      });
+    }
+    row.appendChild(actions);
+    tbody.appendChild(row);
+  });
+  if (totalsRow) {
+    totalsRow.innerHTML = '';
+    const sums = [totals[0], totals[1], totals[0] + totals[1]];
+    const label = document.createElement('td');
+    label.textContent = 'Household';
+    totalsRow.appendChild(label);
+    sums.forEach((sum, i) => {
+      const cell = document.createElement('td');
+      cell.textContent = missing[i].length ? '—' : formatMoney(sum);
+      if (missing[i].length) cell.title = noRate(missing[i]);
+      totalsRow.appendChild(cell);
+    });
+    totalsRow.appendChild(document.createElement('td'));
+  }
+}
+
+/**
+ * Fills the profile form with a profile to rename, or empties it to add
+ * one.
+ *
+ * @param {string} [id] - Profile to rename.
+ */
+function fillProfileForm(id) {
+  const form = document.getElementById('profile-form');
+  if (!form) return;
+  const editing = Boolean(id && profiles.profiles.hasOwnProperty(id));
+  form.dataset.id = editing ? id : '';
+  document.getElementById('profile-name').value = editing ? profiles.profiles[id].name : '';
+  document.getElementById('profile-name-error').textContent = '';
+  document.getElementById('profile-submit').textContent = editing ? 'Rename' : 'Add profile';
+  document.getElementById('profile-new').hidden = !editing;
+}
+
+/**
+ * Wires up the profile switcher and the profiles panel.
+ */
+function initProfilesPanel() {
+  const select = document.getElementById('profile-select');
+  if (select) select.addEventListener('change', () => switchProfile(select.value));
+  renderProfileSwitcher();
+  const form = document.getElementById('profile-form');
+  if (!form) return;
+  const statusEl = document.getElementById('profile-status');
+  fillProfileForm();
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const id = form.dataset.id || null;
+    const name = document.getElementById('profile-name').value.trim();
+    const error = validateProfileName(name, id);
+    document.getElementById('profile-name-error').textContent = error;
+    if (error) {
+      statusEl.textContent = 'Please fix the highlighted fields.';
+      return;
+    }
+    loadProfiles();
+    if (id && profiles.profiles.hasOwnProperty(id)) {
+      profiles.profiles[id].name = name;
+      statusEl.textContent = `Renamed to ${name}.`;
+    } else {
+      profiles.profiles[createProfileId()] = { name };
+      statusEl.textContent = `Added ${name}. Switch to it from the header to set it up.`;
+    }
+    saveProfiles();
+    fillProfileForm();
+    renderProfileSwitcher();
+    renderHouseholdView();
+  });
+  document.getElementById('profile-new').addEventListener('click', () => {
+    fillProfileForm();
+    statusEl.textContent = '';
+  });
+}
+
+// Day editor
+// Modal editor for the details of any calendar day.  Punched days are
+// edited in the time log instead; the editor only shows their earnings.
+const dayEditorFields = ['type', 'leave', 'hours', 'startTime', 'breakHours'];
+
+/**
+ * Opens the day editor for a date, filled with its stored entry or, for a
+ * day without one, with the scheduled shift (8 hours from 08:00 on a rest
+ * day).
+ *
+ * @param {string} dateKey - Date as YYYY‑MM‑DD.
+ */
+function openDayEditor(dateKey) {
+  const editor = document.getElementById('day-editor');
+  if (!editor) return;
+  const date = parseDateKey(dateKey);
+  const stored = dayDetails[dateKey];
+  const schedule = getScheduleForDate(date);
+  const holiday = getHoliday(date);
+  const restDay = isRestDay(date);
+  const entry = Object.assign({
+    type: restDay ? 'restDay' : (holiday ? 'holiday' : 'regular'),
+    hours: restDay ? 8 : schedule.paidHours,
+    startTime: restDay ? '08:00' : schedule.start,
+    breakHours: restDay ? 0 : schedule.breakHours
+  }, stored);
+  editor.dataset.date = dateKey;
+  document.getElementById('day-editor-title').textContent =
+    date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+  const info = [restDay ? 'Rest day per schedule' :
+    `Scheduled ${schedule.start}, ${schedule.paidHours} paid hours`];
+  if (holiday) info.push(`${holiday.name} (${holidayTypeLabels[holiday.type].toLowerCase()})`);
+  document.getElementById('day-editor-info').textContent = info.join(' · ');
+  document.getElementById('day-type').value = entry.type;
+  document.getElementById('day-leave').value = entry.type === 'leave' ? getLeaveKind(entry) : 'vacation';
+  document.getElementById('day-hours').value = entry.hours;
+  document.getElementById('day-startTime').value = entry.startTime;
+  document.getElementById('day-breakHours').value = entry.breakHours;
+  // Punches take precedence over day details
+  const punches = shiftPunches[dateKey];
+  const punched = Boolean(punches && punches.clockIn != null);
+  document.getElementById('day-punched').hidden = !punched;
+  document.getElementById('day-save').hidden = punched;
+  dayEditorFields.forEach(field => {
+    document.getElementById(`day-${field}`).disabled = punched;
+  });
+  document.getElementById('day-delete').hidden = !stored;
+  document.getElementById('day-status').textContent = '';
+  showDayErrors({});
+  editor.hidden = false;
+  updateDayEditor();
+  document.getElementById('day-type').focus();
+}
+
+/**
+ * Closes the day editor without saving.
+ */
+function closeDayEditor() {
+  const editor = document.getElementById('day-editor');
+  if (editor) editor.hidden = true;
+}
+
+/**
+ * Reads the day editor.  Leave and absences carry no hours.
+ */
+function readDayEditor() {
+  const type = document.getElementById('day-type').value;
+  if (type === 'leave') return { type, leave: document.getElementById('day-leave').value };
+  if (!workedDayTypes.includes(type)) return { type };
+  const number = id => {
+    const value = document.getElementById(id).value.trim();
+    return value !== '' ? Number(value) : NaN;
+  };
+  return {
+    type,
+    hours: number('day-hours'),
+    startTime: document.getElementById('day-startTime').value,
+    breakHours: number('day-breakHours')
+  };
+}
+
+/**
+ * Displays day editor validation errors next to their inputs.
+ */
+function showDayErrors(errors) {
+  dayEditorFields.forEach(field => {
+    const input = document.getElementById(`day-${field}`);
+    const errorEl = document.getElementById(`day-${field}-error`);
+    const message = errors[field] || '';
+    if (errorEl) errorEl.textContent = message;
+    if (input) input.setAttribute('aria-invalid', message ? 'true' : 'false');
+  });
+}
+
+/**
+ * Shows the hour fields only for worked day types and the leave kind only
+ * for leave, with the remaining balance of paid leave.  Previews the day's
+ * earnings with the values being edited, or with the stored details while
+ * the values are invalid.
+ */
+function updateDayEditor() {
+  const editor = document.getElementById('day-editor');
+  const dateKey = editor.dataset.date;
+  const date = parseDateKey(dateKey);
+  const entry = readDayEditor();
+  const worked = workedDayTypes.includes(entry.type);
+  document.querySelectorAll('#day-form .worked-field').forEach(row => {
+    row.hidden = !worked;
+  });
+  document.querySelectorAll('#day-form .leave-field').forEach(row => {
+    row.hidden = entry.type !== 'leave';
+  });
+  const balanceEl = document.getElementById('day-leave-balance');
+  balanceEl.textContent = '';
+  balanceEl.classList.remove('warning');
+  if (entry.type === 'leave' && paidLeaveKinds.includes(entry.leave) && !isRestDay(date)) {
+    const stored = dayDetails[dateKey];
+    const alreadyCounted = stored && stored.type === 'leave' && getLeaveKind(stored) === entry.leave;
+    const available = calculateLeaveBalances(date.getFullYear())[entry.leave].available - (alreadyCounted ? 0 : 1);
+    balanceEl.textContent = `${formatLeaveDays(available)} ${entry.leave === 'sick' ? 'SL' : 'VL'} left in ` +
+      `${date.getFullYear()} after this and other planned leave.`;
+    if (available < 0) balanceEl.classList.add('warning');
+  }
+  const valid = Object.keys(validateDayDetails(entry)).length === 0;
+  const breakdown = calculateDailyBreakdown(date, valid ? entry : undefined);
+  const lines = [
+    { label: 'Paid hours', text: breakdown.hours.toFixed(2) },
+    ...getPayLineItems(breakdown).map(item => ({ label: item.label, value: item.amount, optional: item.key !== 'base' })),
+    { label: 'Total', value: breakdown.total, className: 'net' },
+    { label: 'Unapproved overtime (not paid)', value: breakdown.unapprovedOvertime, optional: true, className: 'flagged' }
+  ];
+  const container = document.getElementById('day-breakdown');
+  container.innerHTML = '';
+  lines.forEach(line => {
+    if (line.optional && Math.abs(line.value) < 0.005) return;
+    const row = document.createElement('div');
+    row.className = line.className ? `breakdown-line ${line.className}` : 'breakdown-line';
+    const label = document.createElement('span');
+    label.textContent = line.label;
+    const value = document.createElement('span');
+    value.textContent = line.text !== undefined ? line.text : formatMoney(line.value);
+    row.appendChild(label);
+    row.appendChild(value);
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Wires the day editor: live preview, saving, deleting and closing.
+ */
+function initDayEditor() {
+  const form = document.getElementById('day-form');
+  const editor = document.getElementById('day-editor');
+  if (!form || !editor) return;
+  form.addEventListener('input', updateDayEditor);
+  form.addEventListener('change', updateDayEditor);
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const entry = readDayEditor();
+    const errors = validateDayDetails(entry);
+    showDayErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      document.getElementById('day-status').textContent = 'Please fix the highlighted fields.';
+      return;
+    }
+    dayDetails[editor.dataset.date] = entry;
+    saveDayDetails();
+    closeDayEditor();
+    renderCalendars();
+    renderLeavePanel();
+  });
+  document.getElementById('day-delete').addEventListener('click', () => {
+    delete dayDetails[editor.dataset.date];
+    saveDayDetails();
+    closeDayEditor();
+    renderCalendars();
+    renderLeavePanel();
+  });
+  document.getElementById('day-cancel').addEventListener('click', closeDayEditor);
+  document.getElementById('day-edit-punches').addEventListener('click', () => {
+    const dateKey = editor.dataset.date;
+    closeDayEditor();
+    const panel = document.getElementById('time-log-panel');
+    if (panel) panel.open = true;
+    openPunchEditor(dateKey);
+  });
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && !editor.hidden) closeDayEditor();
+  });
+}
+
+// Backup and export
+// A backup is a JSON document holding every stored key together with a
+// schema version, so that later versions of the calculator can migrate
+// older backups.  Restoring merges the dated entries (holidays, legacy
+// totals, day details, punches, reconciled payslips and overtime requests)
+// and the goals into the existing ones; settings
+// are taken from the backup when none are stored yet or when the user
+// prefers the backup.
+// Version 2 replaced 'workedWeekendDetails' with 'dayDetails'.  Version 3
+// added 'payrollTimeZone' and stores real timestamps and calendar‑day keys
+// (see "Payroll time zone").
+const backupSchemaVersion = 3;
+const backupEntryKeys = ['customHolidays', 'completedWeekdayEarnings', 'dayDetails', 'shiftPunches'];
+
+// Checks applied to each dated entry of a backup before it is merged
+const backupEntryValidators = {
+  customHolidays: value => Boolean(value) && typeof value.name === 'string' &&
+    ['regular', 'special', 'none'].includes(value.type),
+  completedWeekdayEarnings: value => typeof value === 'number' && isFinite(value) && value >= 0,
+  dayDetails: value => Object.keys(validateDayDetails(value)).length === 0,
+  shiftPunches: value => Boolean(value) && typeof value === 'object' &&
+    punchFields.every(field => value[field] == null || typeof value[field] === 'number') &&
+    (value.edits === undefined || Array.isArray(value.edits)) &&
+    Object.keys(validatePunchRecord(value)).length === 0
+};
+
+// Column labels of the daily CSV export, and how each day's figures were
+// obtained (see calculateDailyBreakdown())
+const dailyCsvColumns = ['Date', 'Source', 'Day type', 'Hours', 'Base', 'Holiday premium', 'Rest-day premium',
+  'Night differential', 'Mid shift premium', 'Overtime', 'Total'];
+const periodCsvColumns = ['Period start', 'Period end', 'Hours', 'Earnings', 'De minimis', 'Gross',
+  'Withholding tax', 'SSS', 'SSS MPF', 'PhilHealth', 'Pag-IBIG', 'Total deductions', 'Net'];
+const breakdownSourceLabels = {
+  punched: 'Time log',
+  entered: 'Day editor',
+  recorded: 'Recorded total',
+  scheduled: 'Scheduled (estimate)',
+  off: 'Not worked'
+};
+
+/**
+ * Reloads every dated store from localStorage so that backups and
+ * restores work on the latest saved state.
+ */
+function loadAllEntries() {
+  loadCustomHolidays();
+  loadCompletedWeekdayEarnings();
+  loadDayDetails();
+  loadShiftPunches();
+}
+
+/**
+ * Builds a backup of every stored key.
+ */
+function createBackup() {
+  loadAllEntries();
+  loadPayslipReconciliation();
+  loadOvertimeRequests();
+  loadEarningsGoals();
+  return {
+    app: 'WorkMotivation',
+    schemaVersion: backupSchemaVersion,
+    exportedAt: new Date().toISOString(),
+    data: {
+      compensationProfile,
+      weeklySchedule,
+      payrollTimeZone: { version: payrollTimeZoneVersion, timeZone: payrollTimeZone },
+      customHolidays,
+      completedWeekdayEarnings,
+      dayDetails,
+      shiftPunches,
+      payslipReconciliation,
+      leavePolicy,
+      overtimeRequests,
+      earningsGoals,
+      reminderSettings,
+      currencySettings
+    }
+  };
+}
+
+/**
+ * Parses the text of a backup file.
+ *
+ * @param {string} text - Contents of the file.
+ * @returns {{backup?: Object, error?: string}} The backup, or a message
+ *   explaining why the file cannot be restored.
+ */
+function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    return { error: 'The file is not valid JSON.' };
+  }
+  if (!backup || typeof backup !== 'object' || !backup.data || typeof backup.data !== 'object') {
+    return { error: 'The file is not an earnings backup.' };
+  }
+  const version = Number(backup.schemaVersion);
+  if (!Number.isInteger(version) || version < 1) {
+    return { error: 'The backup has no valid schema version.' };
+  }
+  if (version > backupSchemaVersion) {
+    return { error: 'The backup was made by a newer version of the calculator.' };
+  }
+  // Version 1 kept rest‑day shifts as 'workedWeekendDetails'
+  if (version < 2) {
+    backup.data.dayDetails = convertWorkedWeekendDetails(backup.data.workedWeekendDetails);
+    delete backup.data.workedWeekendDetails;
+    backup.schemaVersion = 2;
+  }
+  // Version 2 kept the Manila wall clock as local time and keyed recorded
+  // totals by the UTC date of local midnight
+  if (version < 3) {
+    convertLegacyRecords(backup.data);
+    backup.schemaVersion = 3;
+  }
+  return { backup };
+}
+
+/**
+ * Merges the keyed entries of one store from a backup into the current
+ * store, counting the outcome of each entry in `report`.
+ *
+ * @param {Object} entries - Entries from the backup (may be missing).
+ * @param {Object} target - Current store, updated in place.
+ * @param {function(string, *): boolean} isValidEntry - Checks a key and its value.
+ * @param {boolean} preferBackup - Whether backup entries replace differing ones.
+ * @param {Object} report - Counters of restoreBackup().
+ */
+function mergeBackupEntries(entries, target, isValidEntry, preferBackup, report) {
+  if (!entries || typeof entries !== 'object') return;
+  Object.keys(entries).forEach(key => {
+    const value = entries[key];
+    if (!isValidEntry(key, value)) {
+      report.invalid++;
+    } else if (!target.hasOwnProperty(key)) {
+      target[key] = value;
+      report.added++;
+    } else if (JSON.stringify(target[key]) !== JSON.stringify(value)) {
+      if (preferBackup) {
+        target[key] = value;
+        report.replaced++;
+      } else {
+        report.kept++;
+      }
+    }
+  });
+}
+
+/**
+ * Copies the data of a backup with its amounts converted into another
+ * currency: the recorded totals, the reconciled payslips and their
+ * threshold, the goal amounts and the salary and allowance.
+ *
+ * @param {Object} data - Data of a parsed backup.
+ * @param {number} factor - Value of one unit of the backup's base currency in the other one.
+ */
+function convertBackupAmounts(data, factor) {
+  const copy = JSON.parse(JSON.stringify(data));
+  const convert = value => typeof value === 'number' ? convertStoredAmount(value, factor) : value;
+  const convertKeys = (obj, keys) => {
+    if (!obj || typeof obj !== 'object') return;
+    (keys || Object.keys(obj)).forEach(key => {
+      obj[key] = convert(obj[key]);
+    });
+  };
+  convertKeys(copy.completedWeekdayEarnings);
+  const reconciliation = copy.payslipReconciliation;
+  if (reconciliation && typeof reconciliation === 'object') {
+    convertKeys(reconciliation, ['threshold']);
+    Object.keys(reconciliation.periods || {}).forEach(periodKey => {
+      convertKeys(reconciliation.periods[periodKey] && reconciliation.periods[periodKey].actual);
+    });
+  }
+  if (copy.earningsGoals && copy.earningsGoals.goals) {
+    Object.keys(copy.earningsGoals.goals).forEach(id => convertKeys(copy.earningsGoals.goals[id], ['amount']));
+  }
+  convertKeys(copy.compensationProfile, compensationFields.filter(field => field.money).map(field => field.key));
+  return copy;
+}
+
+/**
+ * Merges a parsed backup into the stored data.  Dated entries missing
+ * here are added; entries present in both are replaced only when
+ * `preferBackup` is set.  Entries that fail validation are skipped.
+ *
+ * The backup's base currency is taken over only together with its
+ * compensation profile, and the amounts stored here are then converted
+ * into it first.  Otherwise the backup's amounts are converted into the
+ * base currency here.  Either needs an exchange rate between the two.
+ *
+ * @param {Object} backup - Result of parseBackup().
+ * @param {boolean} preferBackup - Whether backup entries and settings win conflicts.
+ * @returns {{added: number, replaced: number, kept: number, invalid: number, settings: string[]}|{error: string}}
+ *   The counts, or a message explaining why nothing was restored.
+ */
+function restoreBackup(backup, preferBackup) {
+  const report = { added: 0, replaced: 0, kept: 0, invalid: 0, settings: [] };
+  let data = backup.data;
+  // Settings are single objects: use the backup's when nothing is stored
+  // yet (e.g. on a new browser) or when the backup is preferred
+  const useSetting = key => {
+    try {
+      return preferBackup || !storage.getItem(key);
+    } catch (e) {
+      return preferBackup;
+    }
+  };
+  // Backups made before the currency settings are in pesos
+  loadCurrencySettings();
+  const backupCurrency = data.currencySettings && typeof data.currencySettings === 'object' &&
+    Object.keys(currency.validateCurrencySettings(Object.assign(createDefaultCurrencySettings(), data.currencySettings))).length === 0
+    ? Object.assign(createDefaultCurrencySettings(), data.currencySettings, { version: currencySettingsVersion }) : null;
+  const backupBase = backupCurrency ? backupCurrency.baseCurrency : currency.defaultCurrency;
+  const localBase = currencySettings.baseCurrency;
+  let adoptBase = false;
+  if (backupBase !== localBase) {
+    const profile = data.compensationProfile;
+    adoptBase = Boolean(backupCurrency) && useSetting('currencySettings') && useSetting('compensationProfile') &&
+      Boolean(profile) && typeof profile === 'object' &&
+      Object.keys(validateCompensationProfile(Object.assign({}, defaultCompensationProfile, profile))).length === 0;
+    if (adoptBase) {
+      const factor = currency.convertToBase(1, localBase, backupCurrency);
+      if (factor === null) {
+        return { error: `The backup's amounts are in ${backupBase} and it has no exchange rate for ${localBase}, ` +
+          'so the amounts stored here cannot be converted. Nothing was restored.' };
+      }
+      convertStoredAmounts(factor);
+    } else {
+      let factor = currency.convertToBase(1, backupBase, currencySettings);
+      if (factor === null && backupCurrency) factor = currency.convertFromBase(1, localBase, backupCurrency);
+      if (factor === null) {
+        return { error: `The backup's amounts are in ${backupBase}. Add an exchange rate for ${backupBase} ` +
+          'in the currency settings to restore it.' };
+      }
+      data = convertBackupAmounts(data, factor);
+    }
+  }
+  loadAllEntries();
+  const stores = { customHolidays, completedWeekdayEarnings, dayDetails, shiftPunches };
+  backupEntryKeys.forEach(key => {
+    mergeBackupEntries(data[key], stores[key],
+      (dateKey, value) => dateKeyPattern.test(dateKey) && backupEntryValidators[key](value),
+      preferBackup, report);
+  });
+  // Reconciled payslips are keyed by pay period rather than by date
+  const reconciliation = data.payslipReconciliation;
+  if (reconciliation && typeof reconciliation === 'object') {
+    loadPayslipReconciliation();
+    mergeBackupEntries(reconciliation.periods, payslipReconciliation.periods,
+      (periodKey, value) => periodKeyPattern.test(periodKey) && isValidReconciliationRecord(value),
+      preferBackup, report);
+    if (useSetting('payslipReconciliation') && isFinite(reconciliation.threshold) && reconciliation.threshold >= 0) {
+      payslipReconciliation.threshold = Number(reconciliation.threshold);
+    }
+    savePayslipReconciliation();
+  }
+  const overtime = data.overtimeRequests;
+  if (overtime && typeof overtime === 'object') {
+    loadOvertimeRequests();
+    mergeBackupEntries(overtime.requests, overtimeRequests.requests,
+      (dateKey, value) => dateKeyPattern.test(dateKey) && Boolean(value) && typeof value === 'object' &&
+        Object.keys(validateOvertimeRequest(value)).length === 0,
+      preferBackup, report);
+    if (useSetting('overtimeRequests') && typeof overtime.requireApproval === 'boolean') {
+      overtimeRequests.requireApproval = overtime.requireApproval;
+    }
+    saveOvertimeRequests();
+  }
+  // Goals are keyed by their ids
+  const goals = data.earningsGoals;
+  if (goals && typeof goals === 'object') {
+    loadEarningsGoals();
+    mergeBackupEntries(goals.goals, earningsGoals.goals,
+      (id, value) => goalIdPattern.test(id) && Boolean(value) && typeof value === 'object' &&
+        Object.keys(validateEarningsGoal(value)).length === 0,
+      preferBackup, report);
+    saveEarningsGoals();
+  }
+  saveCustomHolidays();
+  saveCompletedWeekdayEarnings();
+  saveDayDetails();
+  saveShiftPunches();
+  const profile = data.compensationProfile;
+  if (profile && typeof profile === 'object' && useSetting('compensationProfile')) {
+    const merged = Object.assign({}, defaultCompensationProfile);
+    compensationFields.forEach(field => {
+      if (profile[field.key] !== undefined) merged[field.key] = profile[field.key];
+    });
+    if (Object.keys(validateCompensationProfile(merged)).length === 0) {
+      compensationProfile = merged;
+      saveCompensationProfile();
+      report.settings.push('compensation');
+    }
+  }
+  const schedule = data.weeklySchedule;
+  if (schedule && typeof schedule === 'object' && useSetting('weeklySchedule') &&
+      Object.keys(validateWeeklySchedule(schedule)).length === 0) {
+    weeklySchedule = { version: weeklyScheduleVersion, days: schedule.days };
+    saveWeeklySchedule();
+    report.settings.push('schedule');
+  }
+  // The time zone is stored on first load, so the default one also counts
+  // as not set yet
+  const timeZone = data.payrollTimeZone;
+  if (timeZone && typeof timeZone === 'object' && isValidTimeZone(timeZone.timeZone) &&
+      timeZone.timeZone !== payrollTimeZone && (useSetting('payrollTimeZone') || payrollTimeZone === defaultTimeZone)) {
+    payrollTimeZone = timeZone.timeZone;
+    savePayrollTimeZone();
+    report.settings.push('time zone');
+  }
+  const policy = data.leavePolicy;
+  if (policy && typeof policy === 'object' && useSetting('leavePolicy')) {
+    const merged = Object.assign({}, defaultLeavePolicy, policy, { version: leavePolicyVersion });
+    if (Object.keys(validateLeavePolicy(merged)).length === 0) {
+      leavePolicy = merged;
+      saveLeavePolicy();
+      report.settings.push('leave policy');
+    }
+  }
+  const reminders = data.reminderSettings;
+  if (reminders && typeof reminders === 'object' && reminders.reminders && useSetting('reminderSettings') &&
+      Object.keys(validateReminderSettings(reminders)).length === 0) {
+    reminderSettings = Object.assign(createDefaultReminderSettings(), {
+      enabled: reminders.enabled === true,
+      shiftNotification: reminders.shiftNotification === true,
+      snoozeMinutes: reminders.snoozeMinutes,
+      reminders: reminders.reminders
+    });
+    saveReminderSettings();
+    report.settings.push('reminders');
+  }
+  if (backupCurrency && useSetting('currencySettings') && (adoptBase || backupBase === localBase)) {
+    currencySettings = backupCurrency;
+    saveCurrencySettings();
+    report.settings.push('currency');
+  }
+  return report;
+}
+
+/**
+ * Formats one CSV line, quoting values that contain commas, quotes or
+ * line breaks.
+ */
+function formatCsvRow(values) {
+  return values.map(value => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+/**
+ * Builds a CSV export of a year: one line per day with its itemized
+ * earnings, followed by a section with one summary line per pay period.
+ * Only pay periods that have started are included.
+ *
+ * @param {number} year - Full year to export.
+ * @returns {string} CSV text.
+ */
+function createEarningsCsv(year) {
+  const today = getToday();
+  const money = value => value.toFixed(2);
+  const dayLines = [formatCsvRow(dailyCsvColumns)];
+  const periodLines = [formatCsvRow(periodCsvColumns)];
+  for (let month = 0; month < 12; month++) {
+    [1, 2].forEach(period => {
+      const dates = getPayPeriodDates(period, year, month);
+      if (dates[0] > today) return;
+      let hours = 0;
+      dates.forEach(date => {
+        const breakdown = calculateDailyBreakdown(date);
+        hours += breakdown.hours;
+        dayLines.push(formatCsvRow([
+          formatDateKey(date),
+          breakdownSourceLabels[breakdown.source],
+          getDayTypeLabel(breakdown.dayType, breakdown.leave),
+          breakdown.hours.toFixed(2),
+          money(breakdown.base),
+          money(breakdown.holiday),
+          money(breakdown.restDay),
+          money(breakdown.night),
+          money(breakdown.mid),
+          money(breakdown.overtime),
+          money(breakdown.total)
+        ]));
+      });
+      const summary = calculatePeriodSummary(period, year, month);
+      const { deductions } = summary;
+      periodLines.push(formatCsvRow([
+        formatDateKey(dates[0]),
+        formatDateKey(dates[dates.length - 1]),
+        hours.toFixed(2),
+        money(summary.gross - summary.deMinimis),
+        money(summary.deMinimis),
+        money(summary.gross),
+        money(deductions.withholdingTax),
+        money(deductions.sss),
+        money(deductions.sssMpf),
+        money(deductions.philHealth),
+        money(deductions.pagIbig),
+        money(deductions.total),
+        money(summary.net)
+      ]));
+    });
+  }
+  return `${dayLines.join('\r\n')}\r\n\r\n${periodLines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Offers text content to the user as a file download.
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Wires the backup panel: JSON backup download, restore from a backup file
+ * and the CSV export of the displayed year.
+ */
+function initBackupPanel() {
+  const backupBtn = document.getElementById('backup-download');
+  const csvBtn = document.getElementById('csv-download');
+  const restoreBtn = document.getElementById('backup-restore');
+  const fileInput = document.getElementById('backup-file');
+  const statusEl = document.getElementById('backup-status');
+  const setStatus = message => {
+    if (statusEl) statusEl.textContent = message;
+  };
+  if (backupBtn) {
+    backupBtn.addEventListener('click', () => {
+      const stamp = formatDateKey(getToday());
+      downloadFile(`earnings-backup-${stamp}.json`, JSON.stringify(createBackup(), null, 2), 'application/json');
+      setStatus('Backup downloaded.');
+    });
+  }
+  if (csvBtn) {
+    csvBtn.addEventListener('click', () => {
+      const { year } = getDisplayedMonth();
+      downloadFile(`earnings-${year}.csv`, createEarningsCsv(year), 'text/csv');
+      setStatus(`Exported ${year} as CSV.`);
+    });
+  }
+  if (restoreBtn && fileInput) {
+    restoreBtn.addEventListener('click', () => {
+      const file = fileInput.files[0];
+      if (!file) {
+        setStatus('Choose a backup file first.');
+        return;
+      }
+      const preferBackup = document.getElementById('backup-conflicts').value === 'backup';
+      file.text().then(text => {
+        const parsed = parseBackup(text);
+        if (parsed.error) {
+          setStatus(parsed.error);
+          return;
+        }
+        const report = restoreBackup(parsed.backup, preferBackup);
+        if (report.error) {
+          setStatus(report.error);
+          return;
+        }
+        renderCompensationForm();
+        renderScheduleForm();
+        document.getElementById('reconcile-threshold').value = payslipReconciliation.threshold;
+        renderStoredData();
+        fileInput.value = '';
+        const names = report.settings.slice(0, -1).join(', ') +
+          (report.settings.length > 1 ? ' and ' : '') + report.settings.slice(-1);
+        const settings = report.settings.length > 0 ? ` Restored ${names} settings.` : '';
+        setStatus(`Restored: ${report.added} added, ${report.replaced} replaced, ` +
+          `${report.kept} kept as they were, ${report.invalid} skipped as invalid.${settings}`);
+      }, () => {
+        setStatus('The file could not be read.');
+      });
+    });
+  }
+}
+
+// Simulation panel
+// Starts and ends simulation mode and drives the simulated clock.  The
+// banner above the earnings card shows the simulated time while a
+// simulation runs.
+
+/**
+ * Returns the next point of interest in a scheduled shift after `now`: a
+ * shift start, break start, break end, scheduled end or the end of the
+ * grace period, when an unfinished shift is clocked out automatically.
+ * Breaks are placed in the middle of the shift, as for scheduled shifts.
+ *
+ * @param {Date} now - Current (simulated) time.
+ * @returns {{time: number, label: string}|null}
+ */
+function getNextShiftMilestone(now) {
+  const today = getCalendarDate(now.getTime());
+  const milestones = [];
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+    if (isRestDay(day)) continue;
+    const entry = getScheduleForDate(day);
+    const start = getScheduledShiftStart(day).getTime();
+    const end = start + (entry.paidHours + entry.breakHours) * msPerHour;
+    milestones.push({ time: start, label: 'shift start' });
+    if (entry.breakHours > 0) {
+      const breakStart = start + entry.paidHours / 2 * msPerHour;
+      milestones.push({ time: breakStart, label: 'break start' });
+      milestones.push({ time: breakStart + entry.breakHours * msPerHour, label: 'break end' });
+    }
+    milestones.push({ time: end, label: 'scheduled end' });
+    milestones.push({ time: end + compensationProfile.gracePeriodMinutes * 60000, label: 'end of the grace period' });
+  }
+  return milestones
+    .filter(milestone => milestone.time > now.getTime())
+    .sort((a, b) => a.time - b.time)[0] || null;
+}
+
+/**
+ * Shows the simulated time and speed in the banner, or hides the banner
+ * outside simulation mode.
+ *
+ * @param {Date} now - Current (simulated) time.
+ */
+function renderSimulationBanner(now) {
+  const banner = document.getElementById('simulation-banner');
+  if (!banner) return;
+  banner.hidden = !simulation;
+  if (!simulation) return;
+  const today = getCalendarDate(now.getTime());
+  banner.textContent = `Simulation: ${dayNamesLong[today.getDay()]} ${formatDateKey(today)} ` +
+    `${formatClock(now.getTime())} (${simulationSpeedLabels[simulation.speed].toLowerCase()}). ` +
+    'Changes are kept in a sandbox and do not affect your records.';
+}
+
+/**
+ * Fills the simulation panel: the simulated time and speed while
+ * simulating, or the current time before a simulation is started.
+ */
+function renderSimulationPanel() {
+  const now = getCurrentTime();
+  document.getElementById('simulation-time').value = formatDateTimeLocal(now.getTime());
+  document.getElementById('simulation-speed').value = String(simulation ? simulation.speed : 60);
+  document.getElementById('simulation-copy-row').hidden = !!simulation;
+  document.getElementById('simulation-start').textContent = simulation ? 'Set clock' : 'Start simulation';
+  ['simulation-step-15', 'simulation-step-60', 'simulation-step-next', 'simulation-end'].forEach(id => {
+    document.getElementById(id).hidden = !simulation;
+  });
+}
+
+/**
+ * Re-renders everything that depends on the clock after the simulated
+ * clock was moved.
+ */
+function refreshAfterClockChange() {
+  updateDisplay();
+  renderCalendars();
+  renderTimeLog();
+  renderLeavePanel();
+  renderSimulationPanel();
+}
+
+/**
+ * Wires the simulation panel.
+ */
+function initSimulationPanel() {
+  const panel = document.getElementById('simulation-panel');
+  if (!panel) return;
+  const speedSelect = document.getElementById('simulation-speed');
+  Object.keys(simulationSpeedLabels).forEach(speed => {
+    const option = document.createElement('option');
+    option.value = speed;
+    option.textContent = simulationSpeedLabels[speed];
+    speedSelect.appendChild(option);
+  });
+  const statusEl = document.getElementById('simulation-status');
+  const setStatus = message => {
+    statusEl.textContent = message;
+  };
+  renderSimulationPanel();
+  if (simulation) panel.open = true;
+
+  document.getElementById('simulation-start').addEventListener('click', () => {
+    const time = parseDateTimeLocal(document.getElementById('simulation-time').value);
+    const errorEl = document.getElementById('simulation-time-error');
+    const timeInput = document.getElementById('simulation-time');
+    if (time === null || isNaN(time)) {
+      errorEl.textContent = 'Enter the date and time to simulate.';
+      timeInput.setAttribute('aria-invalid', 'true');
+      return;
+    }
+    errorEl.textContent = '';
+    timeInput.removeAttribute('aria-invalid');
+    const speed = Number(speedSelect.value);
+    if (!simulation) {
+      if (!startSimulation(time, speed, document.getElementById('simulation-copy').checked)) {
+        setStatus('The simulation could not be started because session storage is unavailable.');
+      }
+      return;
+    }
+    setSimulatedClock(time, speed);
+    refreshAfterClockChange();
+    setStatus(`Clock set to ${formatDateTimeLocal(time).replace('T', ' ')}.`);
+  });
+  speedSelect.addEventListener('change', () => {
+    if (!simulation) return;
+    setSimulatedClock(getSimulatedTime(), Number(speedSelect.value));
+    refreshAfterClockChange();
+  });
+  const steps = {
+    'simulation-step-15': () => ({ time: getSimulatedTime() + 15 * 60000, label: '15 minutes' }),
+    'simulation-step-60': () => ({ time: getSimulatedTime() + msPerHour, label: '1 hour' }),
+    'simulation-step-next': () => getNextShiftMilestone(getCurrentTime())
+  };
+  Object.keys(steps).forEach(id => {
+    document.getElementById(id).addEventListener('click', () => {
+      const step = steps[id]();
+      if (!step) {
+        setStatus('No shifts are scheduled.');
+        return;
+      }
+      setSimulatedClock(step.time, simulation.speed);
+      refreshAfterClockChange();
+      setStatus(`Stepped to ${step.label}: ${formatDateTimeLocal(step.time).replace('T', ' ')}.`);
+    });
+  });
+  document.getElementById('simulation-end').addEventListener('click', () => {
+    if (!window.confirm('End the simulation and discard its changes?')) return;
+    endSimulation();
+  });
+}
+
+/**
+ * Formats a number of minutes as e.g. "1h 5m" or "12m".
+ */
+function formatMinutes(minutes) {
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60);
+  return hours > 0 ? `${hours}h ${rounded % 60}m` : `${rounded}m`;
+}
+
+/**
+ * Updates the status line and the punch buttons of the earnings card for
+ * the current shift.
+ *
+ * @param {Date} now - Current time.
+ * @param {{key: string, record: Object, live: boolean}|null} current - Result of getCurrentPunchRecord().
+ * @param {Object|null} earnings - Result of calculatePunchedShiftEarnings() for the current shift.
+ */
+function renderShiftControls(now, current, earnings) {
+  const statusEl = document.getElementById('shift-status');
+  const buttons = {
+    clockIn: document.getElementById('clock-in-btn'),
+    breakStart: document.getElementById('break-start-btn'),
+    breakEnd: document.getElementById('break-end-btn'),
+    clockOut: document.getElementById('clock-out-btn')
+  };
+  const record = current ? current.record : null;
+  const state = getShiftState(current);
+  Object.keys(buttons).forEach(punch => {
+    if (buttons[punch]) buttons[punch].disabled = !canPunch(punch, current);
+  });
+  if (!statusEl) return;
+  let status;
+  if (state === 'notStarted') {
+    const next = getShiftStart(now);
+    const verb = next <= now ? 'started' : 'starts';
+    const day = dayNamesLong[getCalendarDate(next.getTime()).getDay()];
+    status = `Not clocked in. The scheduled shift ${verb} ${day} at ${formatClock(next.getTime())}.`;
+  } else if (state === 'inProgress' && record.autoClockOut) {
+    status = `Automatically clocked out at ${formatClock(record.clockOut)}. Overtime is still counting — clock out to record it.`;
+  } else if (state === 'onBreak') {
+    status = `On break since ${formatClock(record.breakStart)}.`;
+  } else if (state === 'inProgress') {
+    const late = earnings && earnings.tardyMinutes >= 1 ? ` (${formatMinutes(earnings.tardyMinutes)} late)` : '';
+    status = `Clocked in at ${formatClock(record.clockIn)}${late}.`;
+  } else {
+    status = `Clocked out at ${formatClock(record.clockOut)}.`;
+  }
+  statusEl.textContent = status;
+}
+
+/**
+ * Updates the real‑time earnings display from the time log.  The current
+ * shift's punches are evaluated up to now, so the counter runs while
+ * clocked in, pauses during the break and freezes once the shift is
+ * clocked out.  Rest-day and holiday rates follow the shift date.
+ *
+ * @param {boolean} [hiding=false] - Whether the page is being hidden, so
+ *   the shift notification is refreshed with the earnings so far.
+ */
+function updateDisplay(hiding) {
+  const now = getCurrentTime();
+  const current = getCurrentPunchRecord(now.getTime());
+  let earnings = null;
+  if (current) {
+    // While the shift is live an automatic clock-out is ignored, so
+    // overtime keeps counting on screen until the user clocks out
+    const record = current.live ? Object.assign({}, current.record, { clockOut: null }) : current.record;
+    earnings = calculatePunchedShiftEarnings(parseDateKey(current.key), record, now.getTime());
+  }
+  const paidHoursWorked = earnings ? earnings.paidHours : 0;
+  // Holiday and rest‑day premiums are shown as part of the base earnings
+  const baseEarnings = earnings ? earnings.base + earnings.holiday + earnings.restDay : 0;
+  const nightEarnings = earnings ? earnings.night : 0;
+  const midEarnings = earnings ? earnings.mid : 0;
+  const overtimeEarnings = earnings ? earnings.overtime : 0;
+  // De minimis allowance is not accrued during the shift
+  const allowanceEarnings = 0;
+  // Total earnings
+  const total = baseEarnings + nightEarnings + midEarnings + overtimeEarnings + allowanceEarnings;
+  // Format time worked
+  const displayHours = Math.floor(paidHoursWorked);
+  const displayMinutes = Math.floor(((paidHoursWorked * 3600) % 3600) / 60);
+  const displaySeconds = Math.floor((paidHoursWorked * 3600) % 60);
+  // Update DOM elements
+  document.getElementById('time-worked').textContent = `${displayHours}h ${displayMinutes}m ${displaySeconds}s`;
+  document.getElementById('base-earnings').textContent = formatMoney(baseEarnings);
+  document.getElementById('night-earnings').textContent = formatMoney(nightEarnings);
+  document.getElementById('mid-earnings').textContent = formatMoney(midEarnings);
+  document.getElementById('ot-earnings').textContent = formatMoney(overtimeEarnings);
+  // Overtime past the approved hours keeps counting but is not paid
+  const unapprovedEarnings = earnings ? earnings.unapprovedOvertime : 0;
+  document.getElementById('ot-unapproved-metric').hidden = unapprovedEarnings < 0.005;
+  document.getElementById('ot-unapproved').textContent = formatMoney(unapprovedEarnings);
+  // Update DOM elements (allowance and semi‑monthly metrics have been removed)
+  document.getElementById('total-earnings').textContent = formatMoney(total);
+  // The total also in the display currency, when one is set
+  const convertedTotal = formatDisplayMoney(total);
+  document.getElementById('converted-earnings-metric').hidden = convertedTotal === null;
+  if (convertedTotal !== null) {
+    document.getElementById('converted-earnings-label').textContent = `In ${currencySettings.displayCurrency}:`;
+    document.getElementById('converted-earnings').textContent = convertedTotal;
+  }
+  renderShiftControls(now, current, earnings);
+  renderGoalProgress(now, current, total);
+  renderSimulationBanner(now);
+  recordShiftHeartbeat(now, current);
+  checkReminders(now, current);
+  updateShiftNotification(now, current, current ? total : null, hiding === true);
+
+  // After updating the display, check if the shift has exceeded the
+  // allowed paid hours without a clock-out. If so, clock out
+  // automatically once.  This ensures that if the user forgets to clock
+  // out and continues working, the scheduled portion of the shift
+  // (including grace period) is still captured in the calendar.  Overtime
+  // beyond this threshold will continue to accumulate on screen but is
+  // only recorded when the user clocks out.
+  // The calendars are also redrawn when the date changes, e.g. at the
+  // start of a new month.
+  const clockedOut = autoClockOutIfPastGrace(now);
+  if (clockedOut || (calendarDateKey !== null && calendarDateKey !== formatDateKey(getCalendarDate(now.getTime())))) {
+    renderCalendars();
+    renderTimeLog();
+  }
+}
+
+// Initialize display and update every second
+// Call updateDisplay immediately and then every second.  The update
+// function also invokes autoClockOutIfPastGrace() to handle automatic
+// clock-outs when appropriate.  The profiles and the simulation are loaded
+// first so that everything else is read from the matching storage, then the
+// compensation profile because every figure is derived from it.  A shift
+// interrupted by a crash is looked for before the first update, which
+// would otherwise record its heartbeat or clock it out automatically, and
+// that waits for the dated records to be read from the database.
+loadProfiles();
+loadSimulation();
+loadPayrollTimeZone();
+loadWeeklySchedule();
+loadCompensationProfile();
+loadCurrencySettings();
+loadCustomHolidays();
+loadShiftPunches();
+loadPayslipReconciliation();
+loadLeavePolicy();
+loadOvertimeRequests();
+loadEarningsGoals();
+loadReminderSettings();
+loadReminderLog();
+const recordsReady = loadRecordStores();
+recordsReady.then(() => {
+  pendingRecovery = findInterruptedShift(getCurrentTime().getTime());
+  updateDisplay();
+  setInterval(updateDisplay, 1000);
+  registerServiceWorker();
+});
+
+/**
+ * Re-renders everything that depends on the time log after a punch.
+ */
+function refreshAfterPunch() {
+  updateDisplay();
+  renderCalendars();
+  renderTimeLog();
+}
+
+// Sync between tabs
+// A change another tab saves to localStorage reloads the matching store
+// here and refreshes the views, so that every tab shows the same shift
+// and records.  Changes to the dated records arrive over the
+// BroadcastChannel instead (see "Dated records").  Forms keep what is
+// being typed into them.  The sandbox of a simulation belongs to its tab
+// and is not synced.
+const storeLoaders = {
+  compensationProfile: loadCompensationProfile,
+  weeklySchedule: loadWeeklySchedule,
+  payrollTimeZone: loadPayrollTimeZone,
+  customHolidays: loadCustomHolidays,
+  completedWeekdayEarnings: loadCompletedWeekdayEarnings,
+  dayDetails: loadDayDetails,
+  shiftPunches: loadShiftPunches,
+  payslipReconciliation: loadPayslipReconciliation,
+  leavePolicy: loadLeavePolicy,
+  overtimeRequests: loadOvertimeRequests,
+  earningsGoals: loadEarningsGoals,
+  reminderSettings: loadReminderSettings,
+  currencySettings: loadCurrencySettings
+};
+
+window.addEventListener('storage', event => {
+  if (simulation || event.storageArea !== localStorage) return;
+  // Follow another tab to the profile it switched to
+  if (event.key === 'profiles') {
+    const active = profiles.active;
+    loadProfiles();
+    if (profiles.active !== active) {
+      switchingStorage = true;
+      window.location.reload();
+      return;
+    }
+    renderProfileSwitcher();
+    renderHouseholdView();
+    return;
+  }
+  // The keys of other profiles only show in the household view
+  const key = getActiveProfileKey(event.key);
+  if (event.key !== null && key === null) {
+    if (/(^|:)periodTotals$/.test(event.key)) renderHouseholdView();
+    return;
+  }
+  // A key removed or cleared elsewhere was reset to its defaults, which
+  // the loaders do not fall back to; start over from the stored data
+  if (event.key === null || (storeLoaders.hasOwnProperty(key) && event.newValue === null)) {
+    window.location.reload();
+    return;
+  }
+  const heartbeat = key === 'shiftHeartbeat';
+  if (!heartbeat && !storeLoaders.hasOwnProperty(key)) return;
+  if (!heartbeat) storeLoaders[key]();
+  // Another tab may have answered the recovery prompt, after which it
+  // records heartbeats again or the shift is clocked out
+  if (pendingRecovery && !findInterruptedShift(getCurrentTime().getTime())) {
+    pendingRecovery = null;
+    renderShiftRecovery();
+  }
+  if (heartbeat) return;
+  renderStoredData();
+});
+
+/**
+ * Refreshes every view that shows stored data.
+ */
+function renderStoredData() {
+  renderCompensationFooter();
+  updateDisplay();
+  renderCalendars();
+  renderTimeLog();
+  renderLeavePanel();
+  renderHolidayList();
+  renderOvertimeList();
+  renderReconciliationComparison();
+  renderReconciliationHistory();
+  renderReminderForm();
+  renderCurrencyForm();
+  renderCurrencySymbols();
+}
+
+/**
+ * Event listeners for the punch buttons.  Each button records the current
+ * time for its punch and refreshes the display, calendars and time log.
+ * The punches are read again first, so a punch already made in another
+ * tab is not recorded twice.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  const punchActions = {
+    'clock-in-btn': clockIn,
+    'break-start-btn': startBreak,
+    'break-end-btn': endBreak,
+    'clock-out-btn': clockOut
+  };
+  Object.keys(punchActions).forEach(id => {
+    const button = document.getElementById(id);
+    if (!button) return;
+    button.addEventListener('click', () => {
+      loadShiftPunches();
+      punchActions[id](getCurrentTime());
+      refreshAfterPunch();
+    });
+  });
+
+  // Month navigation for the pay‑period calendars and the year view
+  const monthActions = {
+    'calendar-prev': () => changeDisplayedMonth(-1),
+    'calendar-next': () => changeDisplayedMonth(1),
+    'calendar-current': showCurrentMonth,
+    'year-prev': () => changeDisplayedMonth(-12),
+    'year-next': () => changeDisplayedMonth(12)
+  };
+  Object.keys(monthActions).forEach(id => {
+    const button = document.getElementById(id);
+    if (button) button.addEventListener('click', monthActions[id]);
+  });
+  // The analytics charts are drawn when their panel is opened
+  const analyticsPanel = document.getElementById('analytics-panel');
+  if (analyticsPanel) analyticsPanel.addEventListener('toggle', renderAnalytics);
+
+  // Populate the settings panels and the footer from the active profile
+  initCompensationSettings();
+  initCurrencyPanel();
+  initScheduleSettings();
+  initHolidaySettings();
+  initTimeLog();
+  initOvertimePanel();
+  initGoalsPanel();
+  initLeavePanel();
+  initDayEditor();
+  initBackupPanel();
+  initPayslipView();
+  initReconciliationPanel();
+  initSimulationPanel();
+  initShiftRecovery();
+  initReminderPanel();
+  initProfilesPanel();
+  renderCompensationFooter();
+
+  // Render everything again once the dated records are read
+  recordsReady.then(renderStoredData);
 });
@@ -0,0 +1,57 @@
+// Service worker for the earnings calculator.
+//
+// Keeps a copy of the app's files so the installed app opens offline.
+// Files are fetched from the network first, so a new version shows up on
+// the next visit, and the copy is refreshed with every response; the copy
+// is used only when the network cannot be reached.  Clicking a
+// notification brings the app forward.  Change cacheName when the list of
+// files changes.
+const cacheName = 'work-motivation-v3';
+const appFiles = [
+  './',
+  'index.html',
+  'style.css',
+  'script.js',
+  'payroll.js',
+  'datastore.js',
+  'currency.js',
+  'holidays.js',
+  'contributions.js',
+  'manifest.webmanifest',
+  'icon.svg'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(cacheName).then(cache => cache.addAll(appFiles)).then(() => self.skipWaiting()));
+});
+
+// Drop the copies kept by earlier versions
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys().then(names => Promise.all(names
+    .filter(name => name !== cacheName)
+    .map(name => caches.delete(name)))).then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(fetch(request).then(response => {
+    if (response.ok) {
+      const copy = response.clone();
+      caches.open(cacheName).then(cache => cache.put(request, copy));
+    }
+    return response;
+  }).catch(() => caches.match(request, { ignoreSearch: true }).then(cached => {
+    if (cached) return cached;
+    // Any page of the app is index.html
+    return request.mode === 'navigate' ? caches.match('index.html') : Response.error();
+  })));
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+    if (clients.length > 0) return clients[0].focus();
+    return self.clients.openWindow('./');
+  }));
+});
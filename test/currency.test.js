@@ -0,0 +1,78 @@
+// Tests for currency conversion and formatting.  Run with `npm test`.
+// Locales are given explicitly, so the results do not depend on the
+// locale the tests run in.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  convertFromBase,
+  convertToBase,
+  createMoneyFormatter,
+  getCurrencySymbol,
+  validateCurrencySettings
+} from '../currency.js';
+
+const settings = { baseCurrency: 'PHP', displayCurrency: 'USD', locale: '', rates: { USD: 56.25, JPY: 0.375 } };
+
+describe('formatting', () => {
+  it('separates thousands and keeps the currency decimals', () => {
+    assert.equal(createMoneyFormatter('PHP', 'en-PH')(1234567.891), '₱1,234,567.89');
+    assert.equal(createMoneyFormatter('USD', 'en-US')(0.5), '$0.50');
+    assert.equal(createMoneyFormatter('JPY', 'en-US')(1234.4), '¥1,234');
+  });
+
+  it('follows the locale', () => {
+    assert.equal(createMoneyFormatter('EUR', 'de-DE')(1234.5), '1.234,50 €');
+  });
+
+  it('shows negative zero without a sign', () => {
+    assert.equal(createMoneyFormatter('PHP', 'en-PH')(-0), '₱0.00');
+    assert.equal(createMoneyFormatter('PHP', 'en-PH')(-12.5), '-₱12.50');
+  });
+
+  it('names the symbol of a currency', () => {
+    assert.equal(getCurrencySymbol('PHP', 'en-PH'), '₱');
+    assert.equal(getCurrencySymbol('USD', 'en-US'), '$');
+  });
+});
+
+describe('conversion', () => {
+  it('converts with the value of one unit in the base currency', () => {
+    assert.equal(convertFromBase(5625, 'USD', settings), 100);
+    assert.equal(convertToBase(100, 'USD', settings), 5625);
+    assert.equal(convertFromBase(3, 'JPY', settings), 8);
+  });
+
+  it('leaves the base currency as it is and has no rate for others', () => {
+    assert.equal(convertFromBase(12.5, 'PHP', settings), 12.5);
+    assert.equal(convertFromBase(12.5, 'EUR', settings), null);
+  });
+});
+
+describe('settings', () => {
+  it('accepts a display currency with a rate', () => {
+    assert.deepEqual(validateCurrencySettings(settings), {});
+    assert.deepEqual(validateCurrencySettings(Object.assign({}, settings, { displayCurrency: '' })), {});
+  });
+
+  it('needs a rate for the display currency', () => {
+    const errors = validateCurrencySettings(Object.assign({}, settings, { displayCurrency: 'EUR' }));
+    assert.deepEqual(Object.keys(errors), ['displayCurrency']);
+  });
+
+  it('needs a peso rate for another salary currency', () => {
+    const usd = { baseCurrency: 'USD', displayCurrency: '', locale: '', rates: {} };
+    assert.deepEqual(Object.keys(validateCurrencySettings(usd)), ['baseCurrency']);
+    assert.deepEqual(validateCurrencySettings(Object.assign(usd, { rates: { PHP: 0.0178 } })), {});
+  });
+
+  it('rejects unknown codes, rates that are not positive and unknown locales', () => {
+    const errors = validateCurrencySettings({
+      baseCurrency: 'PHP',
+      displayCurrency: '',
+      locale: 'not a locale',
+      rates: { usd: 56, EUR: 0, PHP: 1 }
+    });
+    assert.deepEqual(Object.keys(errors).sort(), ['locale', 'rates']);
+    assert.deepEqual(Object.keys(errors.rates).sort(), ['EUR', 'PHP', 'usd']);
+  });
+});
@@ -0,0 +1,97 @@
+// Tests for the data access layer.  Run with `npm test`.  The migration
+// of the legacy keys runs against the in‑memory IndexedDB of
+// fake-indexeddb.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  DataStoreError,
+  diffRecords,
+  getRecords,
+  migrateLegacyRecords,
+  openDataStore,
+  parseLegacyRecords
+} from '../datastore.js';
+
+describe('legacy records', () => {
+  it('reads the dated records of a legacy key', () => {
+    const parsed = parseLegacyRecords(JSON.stringify({ '2026-10-05': 1234.5, '2026-10-06': { type: 'absent' } }));
+    assert.equal(parsed.error, null);
+    assert.deepEqual(parsed.records, { '2026-10-05': 1234.5, '2026-10-06': { type: 'absent' } });
+  });
+
+  it('drops entries that are not keyed by a date', () => {
+    const parsed = parseLegacyRecords(JSON.stringify({ '2026-10-05': 100, total: 100, '2026-10-06': null }));
+    assert.deepEqual(parsed.records, { '2026-10-05': 100 });
+  });
+
+  it('treats an absent key as no records', () => {
+    assert.deepEqual(parseLegacyRecords(null), { records: {}, error: null });
+  });
+
+  it('returns the error of a value that cannot be read', () => {
+    assert.ok(parseLegacyRecords('{broken').error instanceof SyntaxError);
+    assert.ok(parseLegacyRecords('[1, 2]').error instanceof TypeError);
+    assert.deepEqual(parseLegacyRecords('[1, 2]').records, {});
+  });
+});
+
+describe('saving changes', () => {
+  it('writes only the days that changed and deletes the removed ones', () => {
+    const first = diffRecords({}, { '2026-10-05': { type: 'absent' }, '2026-10-06': { type: 'leave' } });
+    assert.deepEqual(Object.keys(first.put), ['2026-10-05', '2026-10-06']);
+    assert.deepEqual(first.remove, []);
+    const second = diffRecords(first.saved, { '2026-10-05': { type: 'absent' }, '2026-10-07': { type: 'absent' } });
+    assert.deepEqual(second.put, { '2026-10-07': { type: 'absent' } });
+    assert.deepEqual(second.remove, ['2026-10-06']);
+  });
+
+  it('writes nothing when nothing changed', () => {
+    const records = { '2026-10-05': 100 };
+    const saved = diffRecords({}, records).saved;
+    assert.deepEqual(diffRecords(saved, records), { put: {}, remove: [], saved });
+  });
+});
+
+describe('migrating the legacy keys', () => {
+  it('moves each store over once', async () => {
+    const db = await openDataStore(new IDBFactory());
+    const legacy = { completedWeekdayEarnings: JSON.stringify({ '2026-10-05': 100 }), dayDetails: null };
+    const first = await migrateLegacyRecords(db, legacy, 1);
+    assert.deepEqual(first, { migrated: ['completedWeekdayEarnings', 'dayDetails'], errors: {} });
+    assert.deepEqual(await migrateLegacyRecords(db, legacy, 2), { migrated: [], errors: {} });
+    assert.deepEqual(await getRecords(db, 'completedWeekdayEarnings'), { '2026-10-05': 100 });
+    db.close();
+  });
+
+  it('tries a store whose value could not be read again the next time', async () => {
+    const db = await openDataStore(new IDBFactory());
+    const legacy = { completedWeekdayEarnings: JSON.stringify({ '2026-10-05': 100 }), dayDetails: '{broken' };
+    const first = await migrateLegacyRecords(db, legacy, 1);
+    assert.deepEqual(first.migrated, ['completedWeekdayEarnings']);
+    assert.ok(first.errors.dayDetails instanceof SyntaxError);
+    // Still unreadable: reported again
+    const second = await migrateLegacyRecords(db, { dayDetails: '{broken' }, 2);
+    assert.deepEqual(second.migrated, []);
+    assert.deepEqual(Object.keys(second.errors), ['dayDetails']);
+    // Repaired: moved over, and the store done before is left alone
+    const third = await migrateLegacyRecords(db, {
+      completedWeekdayEarnings: JSON.stringify({ '2026-10-06': 200 }),
+      dayDetails: JSON.stringify({ '2026-10-05': { type: 'absent' } })
+    }, 3);
+    assert.deepEqual(third, { migrated: ['dayDetails'], errors: {} });
+    assert.deepEqual(await getRecords(db, 'dayDetails'), { '2026-10-05': { type: 'absent' } });
+    assert.deepEqual(await getRecords(db, 'completedWeekdayEarnings'), { '2026-10-05': 100 });
+    db.close();
+  });
+});
+
+describe('errors', () => {
+  it('names the operation that failed and keeps the cause', () => {
+    const cause = new Error('quota exceeded');
+    const error = new DataStoreError('save the day details', cause);
+    assert.equal(error.message, 'Could not save the day details: quota exceeded');
+    assert.equal(error.operation, 'save the day details');
+    assert.equal(error.cause, cause);
+  });
+});
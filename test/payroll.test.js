@@ -0,0 +1,286 @@
+// Tests for the pay computation core.  Run with `npm test`.
+//
+// The profile below gives an hourly rate of exactly ₱100 (20,800 / 26
+// days / 8 hours) so that expected amounts can be worked out by hand.
+// Times are Manila wall‑clock times, so the results do not depend on the
+// time zone the tests run in.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateDayBreakdown,
+  calculatePunchedShiftEarnings,
+  calculateSpanPay,
+  getDailyBasePay,
+  getHourlyRate,
+  getPayLineItems,
+  getPayPeriodDates,
+  getShiftSpans,
+  getZonedDate,
+  getZonedParts,
+  isValidTimeZone,
+  parseDateKey,
+  zonedTimeToMs
+} from '../payroll.js';
+
+const profile = {
+  monthlySalary: 20800,
+  workingDaysPerMonth: 26,
+  hoursPerDay: 8,
+  nightDiffRate: 0.1,
+  midShiftDiffRate: 0.1,
+  overtimeMultiplier: 1.25,
+  restDayOvertimeMultiplier: 1.69,
+  holidayOvertimeFactor: 1.3,
+  nightOvertimeDiffRate: 0.1,
+  deMinimisMonthly: 0,
+  gracePeriodMinutes: 15
+};
+
+/**
+ * Weekly schedule with the same shift from Monday to Friday and rest days
+ * on the weekend.
+ */
+function createSchedule(start, paidHours = 8, breakHours = 1) {
+  const days = [];
+  for (let day = 0; day < 7; day++) {
+    days.push({ workday: day !== 0 && day !== 6, start, paidHours, breakHours });
+  }
+  return { version: 1, days };
+}
+
+function createContext(start, holidays = {}, timeZone = 'Asia/Manila') {
+  return { profile, schedule: createSchedule(start), getHoliday: date => holidays[date.getDate()] || null, timeZone };
+}
+
+const dayShift = createContext('08:00');
+const nightShift = createContext('22:00');
+
+/**
+ * Timestamp of a date and time in Manila.  Hours past 23 fall on the next
+ * day.
+ */
+function at(dateKey, hours, minutes = 0, timeZone = 'Asia/Manila') {
+  return zonedTimeToMs(parseDateKey(dateKey), hours * 60 + minutes, timeZone);
+}
+
+function assertAmount(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `expected ${expected}, got ${actual}`);
+}
+
+describe('weekday', () => {
+  // Monday; 1–15 October 2026 has 11 workdays
+  const date = parseDateKey('2026-10-05');
+
+  it('derives the hourly rate and the daily base pay from the salary', () => {
+    assertAmount(getHourlyRate(profile), 100);
+    assertAmount(getDailyBasePay(date, dayShift), 10400 / 11);
+  });
+
+  it('pays a scheduled shift its daily base pay', () => {
+    const breakdown = calculateDayBreakdown(date, { nowMs: at('2026-10-01', 0) }, dayShift);
+    assert.equal(breakdown.source, 'scheduled');
+    assert.equal(breakdown.hours, 8);
+    assertAmount(breakdown.base, 10400 / 11);
+    assertAmount(breakdown.total, breakdown.base);
+  });
+
+  it('prices a punched shift from its timestamps', () => {
+    const record = { clockIn: at('2026-10-05', 8, 30), breakStart: at('2026-10-05', 12),
+      breakEnd: at('2026-10-05', 13), clockOut: at('2026-10-05', 17) };
+    const pay = calculatePunchedShiftEarnings(date, record, record.clockOut, dayShift);
+    assert.equal(pay.hours, 7.5);
+    assert.equal(pay.tardyMinutes, 30);
+    assert.equal(pay.undertimeMinutes, 0);
+    assertAmount(pay.base, 10400 / 11 * 7.5 / 8);
+    assert.equal(pay.overtime, 0);
+  });
+
+  it('prefers punches over a day editor entry and the recorded total', () => {
+    const punches = { clockIn: at('2026-10-05', 8), breakStart: null, breakEnd: null, clockOut: at('2026-10-05', 12) };
+    const details = { type: 'regular', hours: 8, startTime: '08:00', breakHours: 1 };
+    const breakdown = calculateDayBreakdown(date, { punches, details, recordedTotal: 1, nowMs: punches.clockOut },
+      dayShift);
+    assert.equal(breakdown.source, 'punched');
+    assert.equal(breakdown.hours, 4);
+  });
+
+  it('keeps the daily base pay on paid leave and forfeits it on unpaid leave', () => {
+    const vacation = calculateDayBreakdown(date, { details: { type: 'leave', leave: 'vacation' }, nowMs: 0 }, dayShift);
+    assertAmount(vacation.total, 10400 / 11);
+    const unpaid = calculateDayBreakdown(date, { details: { type: 'leave', leave: 'unpaid' }, nowMs: 0 }, dayShift);
+    assert.equal(unpaid.total, 0);
+    assertAmount(unpaid.unpaidBase, 10400 / 11);
+  });
+});
+
+describe('rest day', () => {
+  // Saturday
+  const date = parseDateKey('2026-10-10');
+
+  it('earns nothing without work', () => {
+    const breakdown = calculateDayBreakdown(date, { nowMs: 0 }, dayShift);
+    assert.equal(breakdown.source, 'off');
+    assert.equal(breakdown.dayType, 'restDay');
+    assert.equal(breakdown.total, 0);
+  });
+
+  it('pays the first 8 hours at 130% and the rest as rest‑day overtime', () => {
+    const record = { clockIn: at('2026-10-10', 8), breakStart: null, breakEnd: null, clockOut: at('2026-10-10', 18) };
+    const pay = calculatePunchedShiftEarnings(date, record, record.clockOut, dayShift);
+    assert.equal(pay.overtimeCategory, 'restDay');
+    assert.equal(pay.regularHours, 8);
+    assert.equal(pay.overtimeHours, 2);
+    assertAmount(pay.base, 800);
+    assertAmount(pay.restDay, 240);
+    assertAmount(pay.overtime, 338);
+    assertAmount(pay.total, 1378);
+    assert.equal(pay.tardyMinutes, 0);
+  });
+
+  it('pays a regular holiday on a rest day at 260%', () => {
+    const context = createContext('08:00', { 10: { name: 'Holiday', type: 'regular' } });
+    const pay = calculateSpanPay(date, getShiftSpans(date, '08:00', 8, 1, context.timeZone), context);
+    assert.equal(pay.overtimeCategory, 'holiday');
+    assertAmount(pay.total, 2080);
+    assertAmount(pay.holiday, 1040);
+  });
+});
+
+describe('midnight crossing', () => {
+  // Monday night shift, 22:00 to 07:00 with a one‑hour break at 02:00
+  const date = parseDateKey('2026-10-05');
+
+  it('pays night differential for the hours between 22:00 and 06:00', () => {
+    const breakdown = calculateDayBreakdown(date, { nowMs: 0 }, nightShift);
+    assert.equal(breakdown.hours, 8);
+    assertAmount(breakdown.night, 7 * 100 * 0.1);
+    assertAmount(breakdown.total, 10400 / 11 + 70);
+  });
+
+  it('splits the worked spans at midnight‑wrapping window edges', () => {
+    const pay = calculateSpanPay(date, getShiftSpans(date, '22:00', 8, 1, nightShift.timeZone), nightShift);
+    assert.deepEqual(pay.segments.map(segment => [segment.hours, segment.window]),
+      [[4, 'night'], [3, 'night'], [1, null]]);
+  });
+
+  it('attributes a punched shift to the date it started', () => {
+    const record = { clockIn: at('2026-10-05', 22), breakStart: at('2026-10-05', 26),
+      breakEnd: at('2026-10-05', 27), clockOut: at('2026-10-05', 31) };
+    const breakdown = calculateDayBreakdown(date, { punches: record, nowMs: record.clockOut }, nightShift);
+    assert.equal(breakdown.source, 'punched');
+    assert.equal(breakdown.hours, 8);
+    assertAmount(breakdown.night, 70);
+  });
+
+  it('pays the mid shift premium before 22:00', () => {
+    const spans = [{ start: at('2026-10-05', 20), end: at('2026-10-05', 24) }];
+    const pay = calculateSpanPay(date, spans, nightShift);
+    assertAmount(pay.mid, 2 * 100 * 0.1);
+    assertAmount(pay.night, 2 * 100 * 0.1);
+  });
+});
+
+describe('grace period', () => {
+  const date = parseDateKey('2026-10-05');
+  const punches = clockOut => ({ clockIn: at('2026-10-05', 8), breakStart: at('2026-10-05', 12),
+    breakEnd: at('2026-10-05', 13), clockOut });
+
+  it('pays no overtime for a clock‑out within the grace period', () => {
+    const record = punches(at('2026-10-05', 17, 10));
+    const pay = calculatePunchedShiftEarnings(date, record, record.clockOut, dayShift);
+    assert.equal(pay.regularHours, 8);
+    assert.equal(pay.overtimeHours, 0);
+    assert.equal(pay.overtime, 0);
+    assertAmount(pay.base, 10400 / 11);
+  });
+
+  it('pays overtime only after the grace period', () => {
+    const record = punches(at('2026-10-05', 18));
+    const pay = calculatePunchedShiftEarnings(date, record, record.clockOut, dayShift);
+    assert.equal(pay.overtimeHours, 0.75);
+    assertAmount(pay.overtime, 0.75 * 100 * 1.25);
+  });
+
+  it('does not pay overtime beyond the approved hours', () => {
+    const record = punches(at('2026-10-05', 18));
+    const pay = calculatePunchedShiftEarnings(date, record, record.clockOut, dayShift, 0.5);
+    assert.equal(pay.overtimeHours, 0.5);
+    assert.equal(pay.unapprovedHours, 0.25);
+    assertAmount(pay.overtime, 0.5 * 100 * 1.25);
+    assertAmount(pay.unapprovedOvertime, 0.25 * 100 * 1.25);
+  });
+
+  it('does not apply on rest days', () => {
+    const date = parseDateKey('2026-10-10');
+    const spans = [{ start: at('2026-10-10', 8), end: at('2026-10-10', 16, 10) }];
+    const pay = calculateSpanPay(date, spans, dayShift, { graceHours: 0.25 });
+    assertAmount(pay.overtimeHours, 10 / 60);
+  });
+});
+
+describe('end of month', () => {
+  it('ends the second pay period on the last day of the month', () => {
+    assert.equal(getPayPeriodDates(1, 2026, 1).length, 15);
+    assert.equal(getPayPeriodDates(2, 2026, 1).length, 13);
+    assert.equal(getPayPeriodDates(2, 2024, 1).length, 14);
+    assert.equal(getPayPeriodDates(2, 2026, 3).length, 15);
+    const october = getPayPeriodDates(2, 2026, 9);
+    assert.equal(october.length, 16);
+    assert.equal(october[0].getDate(), 16);
+    assert.equal(october[15].getDate(), 31);
+  });
+
+  it('spreads the half salary over the workdays of the second period', () => {
+    // 16–28 February 2026 has 10 workdays, 16–31 March 2026 has 12
+    assertAmount(getDailyBasePay(parseDateKey('2026-02-27'), dayShift), 1040);
+    assertAmount(getDailyBasePay(parseDateKey('2026-03-31'), dayShift), 10400 / 12);
+  });
+
+  it('pays a shift crossing into the next month on its start date', () => {
+    const date = parseDateKey('2026-03-31');
+    const record = { clockIn: at('2026-03-31', 22), breakStart: null, breakEnd: null, clockOut: at('2026-03-31', 30) };
+    const breakdown = calculateDayBreakdown(date, { punches: record, nowMs: record.clockOut }, nightShift);
+    assertAmount(breakdown.base, 10400 / 12);
+    assertAmount(breakdown.night, 8 * 100 * 0.1);
+  });
+});
+
+describe('time zones', () => {
+  it('converts between timestamps and the wall clock of the time zone', () => {
+    const ms = zonedTimeToMs(parseDateKey('2026-10-19'), 22 * 60, 'Asia/Manila');
+    assert.equal(ms, Date.UTC(2026, 9, 19, 14));
+    assert.deepEqual(getZonedParts(ms, 'Asia/Manila'),
+      { year: 2026, month: 9, day: 19, hours: 22, minutes: 0, seconds: 0 });
+    assert.deepEqual(getZonedParts(ms, 'Europe/London'),
+      { year: 2026, month: 9, day: 19, hours: 15, minutes: 0, seconds: 0 });
+    assert.equal(getZonedDate(Date.UTC(2026, 9, 19, 16), 'Asia/Manila').getDate(), 20);
+    assert.equal(getZonedDate(Date.UTC(2026, 9, 19, 16), 'America/New_York').getDate(), 19);
+  });
+
+  it('recognizes IANA time zone names', () => {
+    assert.equal(isValidTimeZone('Asia/Manila'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimeZone(''), false);
+  });
+
+  it('prices a night shift across a daylight saving change by the hours worked', () => {
+    // Clocks in New York go back from 02:00 to 01:00 on 1 November 2026, so
+    // a 22:00 to 07:00 shift without a break lasts ten hours
+    const context = createContext('22:00', {}, 'America/New_York');
+    const record = { clockIn: at('2026-10-31', 22, 0, context.timeZone), breakStart: null, breakEnd: null,
+      clockOut: at('2026-10-31', 31, 0, context.timeZone) };
+    const pay = calculatePunchedShiftEarnings(parseDateKey('2026-10-31'), record, record.clockOut, context);
+    assert.equal(pay.hours, 10);
+    assert.equal(pay.nightHours + pay.overtimeNightHours, 9);
+  });
+});
+
+describe('line items', () => {
+  it('lists every pay component with its label', () => {
+    const breakdown = calculateDayBreakdown(parseDateKey('2026-10-05'), { nowMs: 0 }, nightShift);
+    const items = getPayLineItems(breakdown);
+    assert.deepEqual(items.map(item => item.key), ['base', 'holiday', 'restDay', 'night', 'mid', 'overtime']);
+    assert.equal(items[0].label, 'Base pay');
+    assertAmount(items.reduce((sum, item) => sum + item.amount, 0), breakdown.total);
+  });
+});